@@ -0,0 +1,270 @@
+// --- SYNC SERVER ---
+// Holds the one authoritative copy of team load and the routing history for every dashboard
+// on the network, and pushes each change to all of them over Server-Sent Events.
+//
+// Writes are compare-and-swap: a client sends the version its change was computed against,
+// and a commit made against anything but the current version is refused with 409 and the
+// commits it missed. The client re-runs its change (e.g. determineRouting) on that state and
+// tries again, so two people routing at once can never both take the same "lowest load" rep.
+// Node is single threaded, so the version check and the write can't interleave.
+//
+// A commit carries only its changes (add or patch a history entry, replace the roster; see
+// diffShared in src/syncClient.js), never the whole history, so request size doesn't grow
+// with the history. Each accepted commit is appended to a journal next to the data file and
+// broadcast as a delta; the data file itself is rewritten only every COMPACT_EVERY commits.
+//
+//   npm run sync-server                        port 4000, state in server/sync-data.json
+//   SYNC_PORT=5000 SYNC_DATA_FILE=/srv/router.json npm run sync-server
+//
+// Then start the app with REACT_APP_SYNC_URL=http://<host>:4000.
+//
+//   GET  /api/state    { version, team, history }
+//   GET  /api/events   SSE: "state" on connect, "delta" { version, changes } after every
+//                      commit, "presence" on join/leave
+//   POST /api/commit   { baseVersion, changes } -> 200 { version }
+//                      | 409 { error, deltas } (or { error, state } when too far behind)
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const PORT = Number(process.env.SYNC_PORT) || 4000;
+const DATA_FILE = process.env.SYNC_DATA_FILE || path.join(__dirname, "sync-data.json");
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+const HEARTBEAT_MS = 25000;
+const COMPACT_EVERY = 500;
+// Commits kept in memory to answer a stale client with what it missed
+const MAX_RECENT = 200;
+
+const CHANGE_OPS = ["team", "add", "patch", "remove", "clear"];
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Why a change can't apply to `history`, or null
+const changeProblem = (change, history) => {
+  if (!isObject(change) || !CHANGE_OPS.includes(change.op)) return "unknown change";
+  if (change.op === "team" && !Array.isArray(change.team)) return "team must be an array";
+  if (change.op === "add" && !(isObject(change.entry) && change.entry.id)) return "added entry needs an id";
+  if (change.op === "patch") {
+    if (!isObject(change.changes)) return "patch needs changes";
+    if (!history.some(entry => entry.id === change.id)) return `no history entry ${change.id}`;
+  }
+  return null;
+};
+
+// The same rules as applyChanges in src/syncClient.js
+const applyChanges = (current, changes, version) => {
+  let team = current.team;
+  let history = current.history.slice();
+  changes.forEach(change => {
+    if (change.op === "team") team = change.team;
+    else if (change.op === "add") history.push(change.entry);
+    else if (change.op === "remove") history = history.filter(entry => entry.id !== change.id);
+    else if (change.op === "clear") history = [];
+    else if (change.op === "patch") {
+      const index = history.findIndex(entry => entry.id === change.id);
+      if (index >= 0) history[index] = { ...history[index], ...change.changes };
+    }
+  });
+  return { version, team, history };
+};
+
+// team stays null until the first dashboard seeds it with its own roster
+const loadSnapshot = (dataFile) => {
+  try {
+    const saved = JSON.parse(fs.readFileSync(dataFile, "utf8"));
+    return { version: saved.version || 0, team: saved.team || null, history: saved.history || [] };
+  } catch (err) {
+    if (err.code !== "ENOENT") console.warn(`Could not read ${dataFile}, starting empty:`, err.message);
+    return { version: 0, team: null, history: [] };
+  }
+};
+
+// The snapshot plus every journaled commit after it. A crash mid-append can leave a torn last
+// line; it's skipped, which loses only the commit whose reply never went out.
+const loadData = (dataFile, journalFile) => {
+  let loaded = loadSnapshot(dataFile);
+  let lines = [];
+  try {
+    lines = fs.readFileSync(journalFile, "utf8").split("\n").filter(Boolean);
+  } catch (err) {
+    if (err.code !== "ENOENT") console.warn(`Could not read ${journalFile}:`, err.message);
+  }
+  lines.forEach(line => {
+    let delta;
+    try {
+      delta = JSON.parse(line);
+    } catch (err) {
+      return;
+    }
+    if (delta.version === loaded.version + 1) loaded = applyChanges(loaded, delta.changes, delta.version);
+  });
+  return loaded;
+};
+
+// Write to a temp file and rename, so a crash mid-write never leaves half a file
+const saveData = (dataFile, state) => {
+  const tmp = `${dataFile}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state));
+  fs.renameSync(tmp, dataFile);
+};
+
+const send = (res, event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+const json = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+};
+
+// An oversized body is read to the end but not kept, so the client gets the 413 back
+// instead of a reset connection
+const readBody = (req) => new Promise((resolve, reject) => {
+  let size = 0;
+  const chunks = [];
+  req.on("data", chunk => {
+    size += chunk.length;
+    if (size <= MAX_BODY_BYTES) chunks.push(chunk);
+  });
+  req.on("end", () => {
+    if (size > MAX_BODY_BYTES) {
+      reject(Object.assign(new Error(`Request body over ${MAX_BODY_BYTES} bytes`), { status: 413 }));
+      return;
+    }
+    resolve(Buffer.concat(chunks).toString("utf8"));
+  });
+  req.on("error", reject);
+});
+
+// An http.Server holding the state kept in `dataFile` and its journal; the caller listens
+const createSyncServer = ({ dataFile = DATA_FILE } = {}) => {
+  const journalFile = `${dataFile}.journal`;
+  let state = loadData(dataFile, journalFile);
+  let journaled = 0;
+  const recent = [];
+  const clients = new Set();
+
+  const broadcast = (event, data) => clients.forEach(res => send(res, event, data));
+
+  const presence = () => broadcast("presence", { clients: clients.size });
+
+  // Rewrite the data file from the current state and start an empty journal
+  const compact = () => {
+    saveData(dataFile, state);
+    fs.writeFileSync(journalFile, "");
+    journaled = 0;
+  };
+
+  // What a client at `baseVersion` missed: the recent commits when they reach back that far
+  const missedSince = (baseVersion) => {
+    const deltas = recent.filter(delta => delta.version > baseVersion);
+    const complete = baseVersion < state.version && deltas.length === state.version - baseVersion;
+    return complete ? { deltas } : { state };
+  };
+
+  const commit = async (req, res) => {
+    let body;
+    try {
+      body = JSON.parse(await readBody(req));
+    } catch (err) {
+      json(res, err.status || 400, { error: err.message });
+      return;
+    }
+    if (!isObject(body)) {
+      json(res, 400, { error: "Body must be a JSON object" });
+      return;
+    }
+
+    // Nothing async from here on: the check and the write happen in one turn of the event loop
+    if (body.baseVersion !== state.version) {
+      json(res, 409, { error: `Version ${body.baseVersion} is stale; current is ${state.version}`, ...missedSince(body.baseVersion) });
+      return;
+    }
+    if (!Array.isArray(body.changes)) {
+      json(res, 400, { error: "changes must be an array" });
+      return;
+    }
+    const problem = body.changes.map(change => changeProblem(change, state.history)).find(Boolean);
+    if (problem) {
+      json(res, 400, { error: problem });
+      return;
+    }
+
+    const delta = { version: state.version + 1, changes: body.changes };
+    state = applyChanges(state, delta.changes, delta.version);
+    recent.push(delta);
+    if (recent.length > MAX_RECENT) recent.shift();
+    try {
+      fs.appendFileSync(journalFile, `${JSON.stringify(delta)}\n`);
+      if (++journaled >= COMPACT_EVERY) compact();
+    } catch (err) {
+      console.error(`Could not save ${journalFile}:`, err.message);
+    }
+    json(res, 200, { version: state.version });
+    broadcast("delta", delta);
+  };
+
+  const events = (req, res) => {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    clients.add(res);
+    send(res, "state", state);
+    presence();
+    req.on("close", () => {
+      clients.delete(res);
+      presence();
+    });
+  };
+
+  const server = http.createServer((req, res) => {
+    // Dashboards are served from another origin (the dev server or a static host)
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+    res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+
+    const url = req.url.split("?")[0];
+    if (req.method === "OPTIONS") {
+      res.writeHead(204);
+      res.end();
+    } else if (req.method === "GET" && url === "/api/state") {
+      json(res, 200, state);
+    } else if (req.method === "GET" && url === "/api/events") {
+      events(req, res);
+    } else if (req.method === "POST" && url === "/api/commit") {
+      // A bug in one request must not take the server down for every dashboard
+      commit(req, res).catch(err => {
+        console.error("Commit failed:", err);
+        if (!res.headersSent) json(res, 500, { error: "Commit failed" });
+      });
+    } else {
+      json(res, 404, { error: "Not found" });
+    }
+  });
+
+  // Keeps proxies from closing idle event streams
+  const heartbeat = setInterval(() => clients.forEach(res => res.write(": ping\n\n")), HEARTBEAT_MS);
+  heartbeat.unref();
+  server.on("close", () => clearInterval(heartbeat));
+
+  // Fold whatever the last run journaled into the data file before taking commits
+  try {
+    compact();
+  } catch (err) {
+    console.error(`Could not save ${dataFile}:`, err.message);
+  }
+
+  server.state = () => state;
+  return server;
+};
+
+module.exports = { createSyncServer, applyChanges };
+
+if (require.main === module) {
+  const server = createSyncServer();
+  server.listen(PORT, () => {
+    const { version, history } = server.state();
+    console.log(`Sync server on http://localhost:${PORT} (version ${version}, ${history.length} orders, data in ${DATA_FILE})`);
+  });
+}
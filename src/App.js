@@ -1,406 +1,935 @@
-import React, { useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import "./App.css";
-
-// --- CONFIGURATION ---
-const API_URL = "https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent";
-const API_KEY = process.env.REACT_APP_GOOGLE_API_KEY;
-
-// --- MOCK INITIAL TEAM STATE ---
-// Colors updated to "Neon" versions for dark mode
-const INITIAL_TEAM = [
-  { id: 1, name: "Hector Origel", role: "Order Entry", cards: 5, totalPages: 45, color: "#3b82f6" },
-  { id: 2, name: "Jairo Figueroa", role: "Order Entry", cards: 4, totalPages: 25, color: "#10b981" },
-  { id: 5, name: "Claudia Franco", role: "Order Entry", cards: 9, totalPages: 12, color: "#ec4899" },
-  { id: 6, name: "Emmanuel Rojas", role: "Order Entry", cards: 3, totalPages: 30, color: "#06b6d4" },
-  { id: 7, name: "Paulina Lobo", role: "Order Entry", cards: 0, totalPages: 0, color: "#84cc16" },
-  { id: 3, name: "Maureen Thompson", role: "Intl/Keying", cards: 12, totalPages: 60, color: "#8b5cf6" },
-  { id: 4, name: "Susan Alpert", role: "Chargebacks", cards: 2, totalPages: 5, color: "#f59e0b" },
-];
-
-const fetchWithBackoff = async (payload, maxAttempts = 3) => {
-  let attempt = 0;
-  while (attempt < maxAttempts) {
-    try {
-      const response = await fetch(`${API_URL}?key=${API_KEY}`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload),
-      });
-      if (response.status !== 429) return response;
-    } catch (e) {
-      console.error("Fetch failed:", e);
-    }
-    
-    const delay = 1000 * Math.pow(2, attempt);
-    await new Promise((resolve) => setTimeout(resolve, delay));
-    attempt++;
-  }
-  throw new Error("API Limit Exceeded");
+import { determineRouting, applyAssignment, removeAssignment, transferAssignment } from "./routing";
+import { DEFAULT_RULE_SET } from "./routingRules";
+import VerdictReview from "./VerdictReview";
+import MyQueue from "./MyQueue";
+import HoldQueue from "./HoldQueue";
+import ReportsPanel from "./ReportsPanel";
+import DocumentViewer from "./DocumentViewer";
+import PoAnalyzer from "./PoAnalyzer";
+import SettingsView from "./SettingsView";
+import { VIEWS, useRoute } from "./navigation";
+import { lineItemTerms, parseEvidence } from "./pdfRender";
+import { applyCardLoad, heldOrders, isOpenCard, orderFromHistory, transitionCard, unassignedOrders } from "./cards";
+import { createCustomer, findCustomer } from "./customers";
+import { DUPLICATE_FLAGS, findDuplicate, fingerprintOrder, hashFile } from "./duplicates";
+import { formatCountdown, slaDueAt, slaStatus, tierById } from "./priority";
+import { documentTypeById } from "./documentTypes";
+import { INITIAL_TEAM, isAvailable, statusLabel } from "./team";
+import { ERROR_CATEGORIES, describeError, extractionClient } from "./extractionClient";
+import { canExtract, extractOrder } from "./extraction";
+import { isEmailFile, isOutlookMsg, readEmailFile } from "./emailMessage";
+import { canWatchFolders, watchFolder } from "./folderWatcher";
+import { reviewWarnings } from "./poSchema";
+import { HOLD_ROUTE, confidenceLabel, fieldConfidence, isLowConfidence, lineConfidence } from "./confidence";
+import { SYNC_STATUSES, SYNC_URL, createSyncClient, rebaseRosterEdit } from "./syncClient";
+import {
+  APP_VERSION,
+  clearState,
+  createHistoryEntry,
+  createReviewEntry,
+  loadState,
+  overrideRate,
+  saveState,
+} from "./storage";
+
+const partCheckTitle = (item) => {
+  const check = item.partCheck;
+  if (!check) return undefined;
+  const lines = [check.series ? `Series ${check.series}, function ${check.function}` : "Not in the part catalog"];
+  if (item.modelPrefixes) lines.push(`Model read prefixes [${item.modelPrefixes.join(", ")}]`);
+  return [...lines, ...check.issues].join("\n");
 };
 
+// Only PDFs and images can be sent to the model; anything else in a dropped folder is ignored.
+// Emails are unpacked into one job per attachment first.
+const isSupportedFile = (file) => file.type === "application/pdf" || file.type.startsWith("image/");
+
+let nextJobId = 1;
+const createJob = (file, email = null) => ({ id: nextJobId++, file, email, status: "pending", route: null, error: null });
+
 const Spinner = () => <div className="spinner"></div>;
 
 const App = () => {
-  const [file, setFile] = useState(null);
+  const [saved] = useState(loadState);
+  const [queue, setQueue] = useState([]);
+  const [dragActive, setDragActive] = useState(false);
   const [analyzing, setAnalyzing] = useState(false);
-  const [currentOrder, setCurrentOrder] = useState(null);
+  const [currentOrder, setCurrentOrder] = useState(saved?.currentOrder || null);
   const [error, setError] = useState(null);
-  const [team, setTeam] = useState(INITIAL_TEAM);
-  const [routingLog, setRoutingLog] = useState([]);
+  const [team, setTeam] = useState(saved?.team || INITIAL_TEAM);
+  const [routingLog, setRoutingLog] = useState(saved?.routingLog || []);
+  const [ruleSet, setRuleSet] = useState(saved?.ruleSet || DEFAULT_RULE_SET);
+  const [history, setHistory] = useState(saved?.history || []);
+  const [reviewLog, setReviewLog] = useState(saved?.reviewLog || []);
+  const [customers, setCustomers] = useState(saved?.customers || []);
+  const [settings, setSettings] = useState(saved?.settings || { reviewer: "" });
+  const [route, navigate] = useRoute();
+  const [watcher, setWatcher] = useState(null);
+  const [showQueue, setShowQueue] = useState(false);
+  const [showHolds, setShowHolds] = useState(false);
+  const [showReports, setShowReports] = useState(false);
+  const [now, setNow] = useState(Date.now);
+  const [viewerTarget, setViewerTarget] = useState(null);
+  // Uploaded files by history id. Files can't go into localStorage, so the viewer only
+  // has the original document for orders routed in this session.
+  const fileStore = useRef(new Map());
+  const viewerRef = useRef(null);
+  // AbortController for the batch in flight; CANCEL aborts it
+  const batchRef = useRef(null);
+
+  // --- SHARED STATE ---
+  // Team load and the routing history only change through updateShared(mutate), where
+  // mutate({ team, history }) returns the slices it changes. With a sync server the change is
+  // committed there and re-run if another dashboard got in first (see syncClient.js);
+  // otherwise it applies here. sharedRef always holds the latest of both, so each job in a
+  // batch routes against the load the previous job added.
+  const [sync] = useState(() => (SYNC_URL ? createSyncClient(SYNC_URL) : null));
+  const [syncStatus, setSyncStatus] = useState({ status: sync ? "connecting" : "local", clients: 0 });
+  const sharedRef = useRef({ team, history });
+
+  useEffect(() => {
+    if (!sync) return undefined;
+    const show = (state) => {
+      sharedRef.current = { team: state.team, history: state.history };
+      setTeam(state.team);
+      setHistory(state.history);
+    };
+    return sync.connect(
+      (state) => {
+        if (state.team) {
+          show(state);
+          return;
+        }
+        // An empty server is seeded by the first dashboard to connect, with its own roster and history
+        sync.commit(base => (base.team ? {} : sharedRef.current))
+          .then(show)
+          .catch(err => setError(`Sync failed: ${err.message}`));
+      },
+      (status, clients) => setSyncStatus(prev => ({ status, clients: clients ?? prev.clients }))
+    );
+  }, [sync]);
+
+  const updateShared = async (mutate) => {
+    if (sync) {
+      const state = await sync.commit(mutate);
+      sharedRef.current = { team: state.team, history: state.history };
+    } else {
+      sharedRef.current = { ...sharedRef.current, ...mutate(sharedRef.current) };
+    }
+    setTeam(sharedRef.current.team);
+    setHistory(sharedRef.current.history);
+  };
 
-  const handleFileChange = (e) => {
-    setFile(e.target.files[0]);
+  const reportSyncError = (err) => setError(`Sync failed: ${err.message}`);
+
+  // Roster edits arrive as a whole team built from what was on screen
+  const changeTeam = (next) => {
+    const shown = team;
+    updateShared(state => ({ team: rebaseRosterEdit(next, shown, state.team) })).catch(reportSyncError);
+  };
+
+  // Drives the SLA countdowns
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(timer);
+  }, []);
+
+  useEffect(() => {
+    saveState({ team, ruleSet, history, reviewLog, settings, customers, currentOrder, routingLog });
+  }, [team, ruleSet, history, reviewLog, settings, customers, currentOrder, routingLog]);
+
+  const resetSavedData = () => {
+    if (!window.confirm("Reset team load and clear the routing history? This cannot be undone.")) return;
+    clearState();
+    updateShared(() => ({ team: INITIAL_TEAM, history: [] })).catch(reportSyncError);
+    setReviewLog([]);
     setCurrentOrder(null);
+    setRoutingLog([]);
+  };
+
+  const enqueueFiles = async (fileList) => {
+    const files = Array.from(fileList || []);
+    const jobs = [];
+    const notes = [];
+    let unsupported = 0;
+
+    for (const file of files) {
+      if (isEmailFile(file)) {
+        try {
+          const { email, files: attachments } = await readEmailFile(file);
+          if (!attachments.length) notes.push(`${file.name} has no PDF or image attachments.`);
+          jobs.push(...attachments.map(attachment => createJob(attachment, email)));
+        } catch (err) {
+          console.error(err);
+          notes.push(`Could not read ${file.name}: ${err.message}`);
+        }
+      } else if (isOutlookMsg(file)) {
+        notes.push(`${file.name} is an Outlook .msg. Save the message as .eml and drop that instead.`);
+      } else if (isSupportedFile(file)) {
+        jobs.push(createJob(file));
+      } else {
+        unsupported++;
+      }
+    }
+
+    if (unsupported) notes.unshift(`Skipped ${unsupported} unsupported file(s). Only PDF, image and .eml files can be routed.`);
+    setError(notes.length ? notes.join(" ") : null);
+    setQueue(prevQueue => [...prevQueue, ...jobs]);
+  };
+
+  const toggleFolderWatch = async () => {
+    if (watcher) {
+      setWatcher(null);
+      return;
+    }
+    try {
+      setWatcher(await watchFolder(enqueueFiles, err => setError(`Folder watch failed: ${err.message}`)));
+    } catch (err) {
+      // Closing the folder picker rejects with AbortError
+      if (err.name !== "AbortError") setError(`Could not watch the folder: ${err.message}`);
+    }
+  };
+
+  // Stops polling when the watch is turned off or the app unmounts
+  useEffect(() => () => watcher?.stop(), [watcher]);
+
+  const handleFileChange = (e) => {
+    enqueueFiles(e.target.files);
+    e.target.value = "";
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragActive(false);
+    enqueueFiles(e.dataTransfer.files);
+  };
+
+  const clearFinishedJobs = () => {
+    setQueue(prevQueue => prevQueue.filter(job => job.status === "pending" || job.status === "analyzing"));
+  };
+
+  const retryFailedJobs = () => {
+    setQueue(prevQueue => prevQueue.map(job =>
+      job.status === "failed" ? { ...job, status: "pending", error: null, errorCategory: null } : job
+    ));
     setError(null);
   };
 
+  const cancelBatch = () => batchRef.current?.abort();
+
   const updateTeamStats = (id, field, value) => {
-    setTeam(team.map(member => 
-      member.id === id ? { ...member, [field]: parseInt(value) || 0 } : member
-    ));
+    updateShared(state => ({
+      team: state.team.map(member => member.id === id ? { ...member, [field]: parseInt(value) || 0 } : member),
+    })).catch(reportSyncError);
   };
 
-  // --- LOGIC: ROUTING RULES ENGINE ---
-  const determineRouting = (data) => {
-    const logs = [];
-    logs.push("> Initializing Routing Protocol...");
-    logs.push("> Scanning content for flags...");
-
-    let route = "Order Entry";
-    let flags = [];
-    let reason = "Standard Order";
-    let evidence = null;
-
-    // 1. Check Line Item Volume
-    const actualLineCount = data.totalLineCount || data.lineItems?.length || 0;
-    
-    if (actualLineCount >= 10) {
-      flags.push("10+ LINES");
-      logs.push(`! ALERT: High Volume (${actualLineCount} lines)`);
-    } else if (actualLineCount > 0 && actualLineCount <= 3) {
-      flags.push("CHECKERED FLAG");
-    }
+  const updateJob = (id, changes) => {
+    setQueue(prevQueue => prevQueue.map(job => job.id === id ? { ...job, ...changes } : job));
+  };
 
-    // 2. Check for Keying Indicators
-    const keyingPrefixes = ["10", "21", "22", "51", "59", "82", "83", "73", "AL"];
-    const keyingKeywords = ["MK", "GMK", "SKD", "KA", "KEYED", "MASTER KEY", "GRAND MASTER", "KESO"];
-
-    let isKeying = false;
-    
-    if (data.lineItems) {
-      for (let item of data.lineItems) {
-        let cleanPrefixList = (item.prefixes || []).map(p => p.replace(/[^0-9A-Z]/g, ''));
-        
-        // Hallucination Fix
-        if (item.partNumber && item.partNumber.startsWith("31") && cleanPrefixList.includes("AL")) {
-           console.log(`Ignoring False Positive: 31/AL mismatch`);
-           continue; 
-        }
+  // --- LOGIC: BATCH QUEUE ---
+  // Jobs run strictly one after another, and each routing decision is made inside
+  // updateShared so it sees the assignment made for the previous file in the batch.
+  const processQueue = async () => {
+    const pending = queue.filter(job => job.status === "pending");
+    if (!pending.length) return;
+    if (!canExtract()) {
+      setError(extractionClient.configError);
+      return;
+    }
+    if (sync && syncStatus.status !== "live") {
+      setError("Not connected to the sync server. Routing resumes once the connection is back.");
+      return;
+    }
+    const controller = new AbortController();
+    batchRef.current = controller;
+    setAnalyzing(true);
+    setRoutingLog([]);
+    setError(null);
 
-        const badPrefix = cleanPrefixList.find(p => keyingPrefixes.includes(p));
+    const failures = [];
 
-        if (badPrefix) {
-          isKeying = true;
-          reason = `Restricted Prefix '${badPrefix}'`;
-          evidence = `LINE DETECTED:\nLine #: ${item.lineNumber || 'N/A'}\nPage: ${item.pageNumber || '?'}\nPart: ${item.partNumber}\nPrefix: [${badPrefix}]`;
-          logs.push(`> MATCH FOUND: Keying Prefix [${badPrefix}] on Page ${item.pageNumber}`);
+    for (const job of pending) {
+      if (controller.signal.aborted) break;
+      updateJob(job.id, { status: "analyzing" });
+      try {
+        const extractedData = await extractOrder(job.file, { signal: controller.signal, email: job.email });
+        // Cancelled after the last model call: nothing has been assigned yet, so stop here
+        if (controller.signal.aborted) {
+          updateJob(job.id, { status: "pending" });
           break;
         }
+        const fingerprint = fingerprintOrder(extractedData, { fileHash: await hashFile(job.file), customers });
+        let decision;
+        let historyEntry;
+        // Decided inside the commit, so a sync conflict re-routes against the load that won
+        await updateShared(({ team: liveTeam, history: liveHistory }) => {
+          // liveHistory also catches the same PO dropped twice in one batch
+          const duplicate = findDuplicate(liveHistory, fingerprint, extractedData, customers);
+          decision = determineRouting(extractedData, liveTeam, ruleSet, { customers, duplicate });
+          historyEntry = createHistoryEntry(extractedData, decision, job.file.name, fingerprint);
+          const assignment = { ...decision, assignedAt: historyEntry.routedAt };
+          return { team: applyAssignment(liveTeam, assignment), history: [...liveHistory, historyEntry] };
+        });
+
+        fileStore.current.set(historyEntry.id, job.file);
+        const finalOrder = {
+          ...extractedData,
+          ...decision,
+          fileName: job.file.name,
+          historyId: historyEntry.id,
+          slaDueAt: historyEntry.slaDueAt,
+        };
+        setCurrentOrder(finalOrder);
+        setRoutingLog(decision.logs);
+        updateJob(job.id, { status: "routed", route: decision.route, duplicate: decision.duplicate?.kind });
+      } catch (err) {
+        // A cancelled job goes back to pending so the next run picks it up
+        if (err.category === "cancelled") {
+          updateJob(job.id, { status: "pending" });
+          break;
+        }
+        console.error(err);
+        failures.push(err);
+        updateJob(job.id, { status: "failed", error: describeError(err), errorCategory: err.category || null });
       }
     }
 
-    if (!isKeying) {
-      const safeSearchFields = [
-         ...(data.routingKeywords || []),
-         ...(data.pages || []).map(p => p.summary),
-         ...(data.pages || []).flatMap(p => p.itemsOnPage?.map(i => i.desc) || [])
-      ];
-      
-      const globalText = safeSearchFields.join(" ").toUpperCase();
-      const foundKeyword = keyingKeywords.find(kw => globalText.includes(kw));
-
-      if (foundKeyword) {
-          isKeying = true;
-          reason = `Global Keyword Match`;
-          evidence = `KEYWORD DETECTED: "${foundKeyword}" found in notes/summary.`;
-          logs.push(`> MATCH FOUND: Global Keyword [${foundKeyword}]`);
-      }
+    batchRef.current = null;
+    setAnalyzing(false);
+    if (controller.signal.aborted) {
+      setError("Stopped. Files not yet routed are still pending in the queue.");
+    } else if (failures.length === 1 && pending.length === 1) {
+      setError(describeError(failures[0]));
+    } else if (failures.length > 0) {
+      // One line per kind of failure, each with what to do about it
+      const byCategory = [...new Map(failures.map(err => [err.category || err.message, err])).values()];
+      setError(`${failures.length} of ${pending.length} file(s) failed. ${byCategory.map(describeError).join(" ")}`);
     }
+  };
 
-    if (isKeying) {
-      const keyingRep = team.find(m => m.role.includes("Keying"));
-      route = keyingRep ? keyingRep.name : "Keying Dept"; 
-      logs.push(`> ROUTING: Directed to Special Handling (${route})`);
-    } else {
-      logs.push("> No restrictions found.");
-      logs.push("> Calculating workload balance...");
-      
-      const oeReps = team.filter(m => m.role === "Order Entry");
-      const targetRep = oeReps.sort((a, b) => a.totalPages - b.totalPages)[0];
-      
-      route = targetRep.name;
-      reason = `Lowest Page Load (${targetRep.totalPages}pgs)`;
-      logs.push(`> ASSIGNMENT: ${targetRep.name} (Load: ${targetRep.totalPages})`);
-    }
+  // --- LOGIC: HUMAN REVIEW ---
+  // A review updates the on-screen verdict and its history entry together, and
+  // appends to the audit trail with the decision as it stood before the change.
+  const patchOrder = (changes, historyChanges = changes) => {
+    const { historyId } = currentOrder;
+    setCurrentOrder(prevOrder => ({ ...prevOrder, ...changes }));
+    updateShared(state => ({
+      history: state.history.map(entry => entry.id === historyId ? { ...entry, ...historyChanges } : entry),
+    })).catch(reportSyncError);
+  };
 
-    return { route, flags, reason, evidence, logs, pageCount: data.pageCount || 1 };
+  const logReview = (action, to, reason) => {
+    setReviewLog(prevLog => [...prevLog, createReviewEntry({
+      action,
+      historyId: currentOrder.historyId,
+      poNumber: currentOrder.poNumber,
+      from: currentOrder,
+      to,
+      by: settings.reviewer.trim(),
+      reason,
+    })]);
   };
 
-  const processOrder = async () => {
-    if (!file || !API_KEY) return;
-    setAnalyzing(true);
-    setRoutingLog([]);
-    setError(null);
+  const reviewStamp = (status, changed) => ({
+    status,
+    by: settings.reviewer.trim(),
+    at: new Date().toISOString(),
+    originalRoute: currentOrder.review?.originalRoute || (changed ? currentOrder.route : null),
+  });
 
-    try {
-      const reader = new FileReader();
-      reader.readAsDataURL(file);
-      reader.onload = async () => {
-        const base64Data = reader.result.split(",")[1];
-        
-        const promptText = `
-          Analyze this Purchase Order. 
-          
-          TASK 1: IDENTIFY CUSTOMER (From Email Domain on Page 1)
-          
-          TASK 2: EXTRACT DETAILS
-          - PO Number.
-          - Total page count (estimated).
-          - "totalLineCount": Total # of items.
-          - Routing Keywords: Look for "DPAS", "Quick Ship", "Keying", "Master Key", "Keso", "MK", "GMK", "SKD", "KA".
-          
-          TASK 3: LINE ITEM EXTRACTION
-          - If >20 lines, extract the FIRST 5 lines AND any lines with prefixes: 10, 21, 22, 51, 59, 82, 83, 73, AL.
-          - Identify "lineNumber" and "pageNumber".
-          
-          TASK 4: PAGE SUMMARIES
-          - Return "pages" array with "itemsOnPage" summary.
-
-          Return JSON Schema:
-          {
-            "customerInfo": { "name": "...", "email": "...", "source": "..." },
-            "poNumber": "...",
-            "pageCount": number,
-            "totalLineCount": number,
-            "routingKeywords": ["..."],
-            "lineItems": [ 
-               { 
-                 "lineNumber": "string", 
-                 "pageNumber": number, 
-                 "partNumber": "string", 
-                 "prefixes": ["string"], 
-                 "quantity": number 
-               } 
-            ],
-            "pages": [
-              {
-                "pageNumber": 1,
-                "type": "PO Data",
-                "summary": "...",
-                "itemsOnPage": [ { "qty": "1", "desc": "..." } ] 
-              }
-            ]
-          }
-        `;
-
-        const payload = {
-          contents: [{
-            parts: [{ text: promptText }, { inlineData: { mimeType: file.type, data: base64Data } }]
-          }],
-          generationConfig: { responseMimeType: "application/json" }
-        };
+  const acceptDecision = () => {
+    logReview("accept", currentOrder, "");
+    patchOrder({ review: reviewStamp("accepted", false) });
+  };
 
-        const response = await fetchWithBackoff(payload);
-        const result = await response.json();
-        const text = result.candidates?.[0]?.content?.parts?.[0]?.text;
-        
-        if (!text) throw new Error("No data returned from AI");
-        
-        const cleanText = text.replace(/```json/g, "").replace(/```/g, "").trim();
+  // A closed card no longer counts toward anyone's load, so moving it shifts nothing
+  const currentCardOpen = () => {
+    const entry = history.find(e => e.id === currentOrder.historyId);
+    return !entry || isOpenCard(entry);
+  };
 
-        let extractedData;
-        try {
-          extractedData = JSON.parse(cleanText);
-        } catch (parseErr) {
-          console.error("JSON Parse Error:", parseErr);
-          throw new Error("Analysis Failed. Please try a clearer file.");
-        }
-        
-        const decision = determineRouting(extractedData);
-        
-        const finalOrder = { ...extractedData, ...decision };
-        setCurrentOrder(finalOrder);
-        setRoutingLog(decision.logs);
+  const reassignDecision = (repId, reason) => {
+    const rep = team.find(m => m.id === repId);
+    const to = { route: rep.name, repId: rep.id, reason: `Manual Reassignment: ${reason}`, reasonCategory: "manual" };
+    if (currentCardOpen()) {
+      updateShared(state => ({ team: transferAssignment(state.team, currentOrder, rep.id) })).catch(reportSyncError);
+    }
+    logReview("reassign", to, reason);
+    patchOrder({ ...to, review: reviewStamp("reassigned", true) });
+    setRoutingLog(prevLog => [...prevLog, `> OVERRIDE: ${currentOrder.route} -> ${rep.name} (${settings.reviewer.trim()})`]);
+  };
 
-        setTeam(prevTeam => prevTeam.map(member => {
-            if (member.name === decision.route) {
-            return {
-                ...member,
-                cards: member.cards + 1,
-                totalPages: member.totalPages + (finalOrder.pageCount || 1)
-            };
-            }
-            return member;
-        }));
-
-        setAnalyzing(false);
-      };
+  // Routes the same extraction again against the current rules and team, minus this order's own load.
+  // Releasing a hold does the same, but records that a reviewer has checked the weak fields, so
+  // this and every later re-run routes the order instead of holding it again.
+  const rerouteOrder = async (action) => {
+    const holdReleased = action === "release"
+      ? { by: settings.reviewer.trim(), at: new Date().toISOString() }
+      : currentOrder.holdReleased || null;
+    const open = currentCardOpen();
+    const ownEntry = history.find(entry => entry.id === currentOrder.historyId);
+    const earlier = history.filter(entry => entry.id !== currentOrder.historyId);
+    const fingerprint = ownEntry?.fingerprint || fingerprintOrder(currentOrder, { customers });
+    const duplicate = findDuplicate(earlier, fingerprint, currentOrder, customers);
+    let decision;
+    try {
+      await updateShared(state => {
+        const baseTeam = open ? removeAssignment(state.team, currentOrder) : state.team;
+        decision = determineRouting(currentOrder, baseTeam, ruleSet, { customers, duplicate, holdReleased: Boolean(holdReleased) });
+        return open ? { team: applyAssignment(baseTeam, decision) } : {};
+      });
     } catch (err) {
-      console.error(err);
-      setError(err.message);
-      setAnalyzing(false);
+      reportSyncError(err);
+      return;
+    }
+    const changed = decision.route !== currentOrder.route;
+    logReview(action, decision, action === "release" ? "Released from review hold" : "Re-run with current rules");
+
+    const { route, repId, reason, reasonCategory, evidence, flags, addsLoad, priority, documentType } = decision;
+    const review = reviewStamp(action === "release" ? "released" : "rerouted", changed);
+    const due = ownEntry ? slaDueAt(ownEntry.routedAt, priority) : currentOrder.slaDueAt;
+    patchOrder(
+      {
+        route, repId, reason, reasonCategory, evidence, flags, addsLoad, priority, documentType, slaDueAt: due,
+        duplicate: decision.duplicate, logs: decision.logs, review, holdReleased,
+      },
+      {
+        route, repId, reason, reasonCategory, evidence, flags, addsLoad, priority, documentType, slaDueAt: due, review,
+        holdReleased,
+      }
+    );
+    setRoutingLog(decision.logs);
+  };
+
+  const rerunDecision = () => rerouteOrder("rerun");
+
+  const releaseHold = () => rerouteOrder("release");
+
+  // Brings an earlier routing back on screen, e.g. the original of a flagged duplicate
+  const openHistoryEntry = (historyId) => {
+    const entry = history.find(e => e.id === historyId);
+    if (!entry) {
+      setError("The earlier routing is no longer in the saved history.");
+      return;
     }
+    setCurrentOrder(orderFromHistory(entry));
+    setRoutingLog([`> Viewing earlier routing of ${entry.fileName} (${new Date(entry.routedAt).toLocaleString()})`]);
+  };
+
+  // --- DOCUMENT VIEWER ---
+  const currentHistoryId = currentOrder?.historyId;
+  useEffect(() => setViewerTarget(null), [currentHistoryId]);
+
+  const showInViewer = (target) => {
+    setViewerTarget({ ...target });
+    if (viewerRef.current) viewerRef.current.scrollIntoView({ behavior: "smooth", block: "start" });
   };
 
+  const showLineItem = (item) => showInViewer({
+    pageNumber: item.pageNumber || 1,
+    terms: lineItemTerms(item),
+    label: `Line ${item.lineNumber || "?"}: ${[...(item.prefixes || []), item.partNumber].join("-")}`,
+  });
+
+  const evidenceTarget = currentOrder ? parseEvidence(currentOrder.evidence) : null;
+
+  // --- CONFIDENCE HIGHLIGHTS ---
+  // Low-confidence fields and lines get the low-confidence class and their reasons as a tooltip
+  const lowEntry = (entry) => (isLowConfidence(currentOrder, entry) ? entry : null);
+  const lowField = (path) => lowEntry(fieldConfidence(currentOrder, path));
+  const lowLine = (index) => lowEntry(lineConfidence(currentOrder, index));
+  const confidenceTitle = (entry) => (entry ? `Confidence ${confidenceLabel(entry)}` : undefined);
+  const lowConfidence = currentOrder?.confidenceCheck?.low || [];
+
+  // --- SLA TRACKING ---
+  const openPriorityOrders = history.filter(entry => entry.slaDueAt && !entry.enteredAt);
+  const atRiskCount = openPriorityOrders.filter(entry => slaStatus(entry, now).state !== "ok").length;
+
+  // --- CARD LIFECYCLE ---
+  const setCardStatus = (historyId, status) => {
+    const entry = history.find(e => e.id === historyId);
+    if (!entry || (entry.status || "assigned") === status) return;
+    const by = settings.reviewer.trim();
+    updateShared(state => {
+      const latest = state.history.find(e => e.id === historyId);
+      if (!latest || (latest.status || "assigned") === status) return {};
+      return {
+        team: applyCardLoad(state.team, latest, status),
+        history: state.history.map(e => e.id === historyId ? transitionCard(e, status, by) : e),
+      };
+    }).catch(reportSyncError);
+  };
+
+  const addCustomerFromOrder = () => {
+    setCustomers(prevCustomers => [...prevCustomers, createCustomer(currentOrder.customerInfo)]);
+    navigate({ view: "settings", id: "customers" });
+  };
+
+  // Looked up live so a customer added after routing shows as known straight away
+  const directoryMatch = currentOrder ? findCustomer(customers, currentOrder.customerInfo) : null;
+
   return (
     <div className="app-container">
       <header className="header">
         <h1><span className="brand">SARGENT</span> INTELLIGENT ROUTER</h1>
         <p>AI-Driven Order Entry & Workload Distribution</p>
+        <nav className="app-nav">
+          {VIEWS.map(v => (
+            <button
+              key={v.id}
+              className={`admin-btn${route.view === v.id ? " active" : ""}`}
+              onClick={() => navigate({ view: v.id })}
+            >
+              {v.label}
+            </button>
+          ))}
+        </nav>
       </header>
 
-      {/* DASHBOARD */}
-      <section className="dashboard">
-        <div className="section-header">
-          <h2>LIVE OPS :: TEAM LOAD</h2>
-          <span className="badge">SYSTEM ACTIVE</span>
-        </div>
-        <div className="team-grid">
-          {team.map(member => (
-            <div key={member.id} className="team-card" style={{borderTopColor: member.color}}>
-              <div className="member-info">
-                <h3>{member.name}</h3>
-                <span className="role">{member.role}</span>
-              </div>
-              <div className="stats-row">
-                <div className="stat">
-                  <label>Active Cards</label>
-                  <input 
-                    type="number" 
-                    value={member.cards} 
-                    onChange={(e) => updateTeamStats(member.id, 'cards', e.target.value)}
-                  />
-                </div>
-                <div className="stat">
-                  <label>Total Pages</label>
-                  <input 
-                    type="number" 
-                    value={member.totalPages} 
-                    onChange={(e) => updateTeamStats(member.id, 'totalPages', e.target.value)}
-                    className={member.role === "Order Entry" ? "highlight-stat" : ""}
-                  />
-                </div>
+      {route.view === "orders" && (
+        <PoAnalyzer
+          history={history}
+          team={team}
+          historyId={route.id}
+          onSelect={(historyId) => navigate({ view: "orders", id: historyId })}
+          onOpenInRouter={(historyId) => {
+            openHistoryEntry(historyId);
+            navigate({ view: "dashboard" });
+          }}
+        />
+      )}
+
+      {route.view === "settings" && (
+        <SettingsView
+          section={route.id}
+          onSectionChange={(id) => navigate({ view: "settings", id })}
+          onClose={() => navigate({ view: "dashboard" })}
+          team={team}
+          onTeamChange={changeTeam}
+          ruleSet={ruleSet}
+          onRuleSetChange={setRuleSet}
+          customers={customers}
+          onCustomersChange={setCustomers}
+          settings={settings}
+          onSettingsChange={setSettings}
+          history={history}
+          onReset={resetSavedData}
+        />
+      )}
+
+      {route.view === "dashboard" && (
+        <>
+          {/* DASHBOARD */}
+          <section className="dashboard">
+            <div className="section-header">
+              <h2>LIVE OPS :: TEAM LOAD</h2>
+              <div className="header-actions">
+                <button className="admin-btn" onClick={() => setShowQueue(!showQueue)}>
+                  {showQueue ? "HIDE QUEUE" : "MY QUEUE"}
+                </button>
+                <button className="admin-btn" onClick={() => setShowHolds(!showHolds)}>
+                  {showHolds ? "HIDE HOLD" : `REVIEW HOLD (${heldOrders(history).length + unassignedOrders(history).length})`}
+                </button>
+                <button className="admin-btn" onClick={() => setShowReports(!showReports)}>
+                  {showReports ? "HIDE REPORTS" : "REPORTS"}
+                </button>
+                <span className={`badge sync-${syncStatus.status}`} title={SYNC_STATUSES[syncStatus.status].title}>
+                  {SYNC_STATUSES[syncStatus.status].label}
+                  {syncStatus.status === "live" && syncStatus.clients > 1 && ` :: ${syncStatus.clients} DASHBOARDS`}
+                </span>
               </div>
             </div>
-          ))}
-        </div>
-      </section>
-
-      {/* MAIN WORK AREA */}
-      <div className="main-work-area">
-        <div className="upload-panel">
-          <div className="section-header">
-            <h3>INCOMING STREAM</h3>
-          </div>
-          <div className="upload-area">
-             <input type="file" onChange={handleFileChange} className="file-input" />
-          </div>
-          <button 
-            onClick={processOrder} 
-            disabled={!file || analyzing}
-            className="process-btn"
-          >
-            {analyzing ? <Spinner /> : "ANALYZE & ROUTE"}
-          </button>
-          
-          {error && <div style={{color: '#fca5a5', marginTop: '10px', fontSize: '0.9rem', padding: '10px', background: 'rgba(239, 68, 68, 0.2)', borderRadius: '4px', border: '1px solid #ef4444'}}><strong>ERROR:</strong> {error}</div>}
-
-          {currentOrder && (
-            <div className="po-summary fade-in">
-              <h4>EXTRACTION RESULTS</h4>
-              <div className="summary-row">
-                <p>PO #: <strong>{currentOrder.poNumber}</strong></p>
-                <p>Pages: <strong>{currentOrder.pageCount}</strong></p>
-              </div>
-              <div className="summary-row" style={{borderLeft: '4px solid var(--primary)'}}>
-                 <p>{currentOrder.customerInfo?.name}</p>
-              </div>
-               <p style={{fontSize:'0.7rem', color:'var(--text-muted)', marginTop:'5px'}}>
-                  SRC: {currentOrder.customerInfo?.source || "AI INFERENCE"}
-               </p>
-              
-              <div className="tags">
-                {currentOrder.flags.map((f,i) => <span key={i} className="tag flag">{f}</span>)}
+            {atRiskCount > 0 && (
+              <div className="message warning-message sla-alert">
+                {atRiskCount} priority order(s) close to or past their SLA. Check the countdowns below.
               </div>
+            )}
+            <div className="team-grid">
+              {team.map(member => (
+                <div
+                  key={member.id}
+                  className={`team-card${isAvailable(member) ? "" : " rep-unavailable"}`}
+                  style={{borderTopColor: member.color}}
+                >
+                  <div className="member-info">
+                    <h3>{member.name}</h3>
+                    <span className="role">{member.role}</span>
+                    {!isAvailable(member) && <span className={`rep-status status-${member.status}`}>{statusLabel(member.status)}</span>}
+                  </div>
+                  <div className="stats-row">
+                    <div className="stat">
+                      <label>Active Cards</label>
+                      <input 
+                        type="number" 
+                        value={member.cards} 
+                        onChange={(e) => updateTeamStats(member.id, 'cards', e.target.value)}
+                      />
+                    </div>
+                    <div className="stat">
+                      <label>Total Pages</label>
+                      <input 
+                        type="number" 
+                        value={member.totalPages} 
+                        onChange={(e) => updateTeamStats(member.id, 'totalPages', e.target.value)}
+                        className={member.role === "Order Entry" ? "highlight-stat" : ""}
+                      />
+                    </div>
+                  </div>
+                  {openPriorityOrders.some(entry => entry.repId === member.id) && (
+                    <ul className="sla-list">
+                      {openPriorityOrders.filter(entry => entry.repId === member.id).map(entry => {
+                        const sla = slaStatus(entry, now);
+                        return (
+                          <li key={entry.id} className={`sla-item sla-${sla.state}`}>
+                            <span className="priority-badge">{tierById(entry.priority).label}</span>
+                            <span className="sla-po" title={entry.fileName}>{entry.poNumber || entry.fileName}</span>
+                            <span className="sla-countdown">{formatCountdown(sla.remainingMs)}</span>
+                            <button title="Mark entered" onClick={() => setCardStatus(entry.id, "entered")}>✓</button>
+                          </li>
+                        );
+                      })}
+                    </ul>
+                  )}
+                </div>
+              ))}
             </div>
+          </section>
+
+          {showQueue && (
+            <MyQueue
+              history={history}
+              team={team}
+              repId={settings.myRepId ?? null}
+              now={now}
+              onRepChange={(myRepId) => setSettings({ ...settings, myRepId })}
+              onStatusChange={setCardStatus}
+              onOpen={openHistoryEntry}
+              onDetail={(historyId) => navigate({ view: "orders", id: historyId })}
+              onClose={() => setShowQueue(false)}
+            />
           )}
-        </div>
 
-        <div className="routing-panel">
-          <div className="section-header">
-            <h3>DECISION LOGIC</h3>
-            <span className="badge">v2.4.0</span>
-          </div>
-          <div className="decision-tree">
-            {/* FIX: Wrapped string in curly braces to fix JSX error */}
-            {routingLog.length === 0 && <p className="placeholder">{'// WAITING FOR DATA STREAM...'}</p>}
-            {routingLog.map((log, i) => (
-              <div key={i} className="log-step fade-in" style={{animationDelay: `${i * 0.1}s`}}>
-                <div className="step-marker"></div>
-                <p>{log}</p>
+          {showHolds && (
+            <HoldQueue
+              history={history}
+              onOpen={openHistoryEntry}
+              onDetail={(historyId) => navigate({ view: "orders", id: historyId })}
+              onClose={() => setShowHolds(false)}
+            />
+          )}
+
+          {showReports && (
+            <ReportsPanel history={history} reviewLog={reviewLog} team={team} onClose={() => setShowReports(false)} />
+          )}
+
+          {/* MAIN WORK AREA */}
+          <div className="main-work-area">
+            <div className="upload-panel">
+              <div className="section-header">
+                <h3>INCOMING STREAM</h3>
               </div>
-            ))}
-            {currentOrder && (
-              <div className="final-verdict fade-in">
-                <span>TARGET ASSIGNMENT</span>
-                <h2>{currentOrder.route}</h2>
-                <div className="verdict-reason">
-                  {currentOrder.reason}
-                  {currentOrder.evidence && (
-                     <pre className="evidence-box">{currentOrder.evidence}</pre>
+              <div
+                className={`upload-area${dragActive ? " drag-active" : ""}`}
+                onDragOver={(e) => { e.preventDefault(); setDragActive(true); }}
+                onDragLeave={() => setDragActive(false)}
+                onDrop={handleDrop}
+              >
+                 <p className="upload-hint">DROP PO FILES OR .EML EMAILS HERE</p>
+                 <input type="file" multiple accept="image/*,application/pdf,.eml,message/rfc822" onChange={handleFileChange} className="file-input" />
+                 <label className="folder-input">
+                   OR SELECT A FOLDER
+                   <input type="file" webkitdirectory="" onChange={handleFileChange} />
+                 </label>
+                 {canWatchFolders() && (
+                   <button
+                     className="inline-btn watch-btn"
+                     onClick={toggleFolderWatch}
+                     title="New files in the folder are added to the queue; ANALYZE & ROUTE runs them"
+                   >
+                     {watcher ? `STOP WATCHING ${watcher.name}` : "WATCH A FOLDER"}
+                   </button>
+                 )}
+              </div>
+
+              {queue.length > 0 && (
+                <div className="queue-panel">
+                  <div className="queue-header">
+                    <span>QUEUE :: {queue.filter(job => job.status === "pending").length} PENDING / {queue.length} TOTAL</span>
+                    <div>
+                      {queue.some(job => job.status === "failed") && (
+                        <button onClick={retryFailedJobs} disabled={analyzing} className="queue-clear-btn">RETRY FAILED</button>
+                      )}
+                      <button onClick={clearFinishedJobs} disabled={analyzing} className="queue-clear-btn">CLEAR DONE</button>
+                    </div>
+                  </div>
+                  <ul className="queue-list">
+                    {queue.map(job => (
+                      <li key={job.id} className="queue-item" title={job.error || ""}>
+                        <span className="queue-file">
+                          {job.file.name}
+                          {job.email && <small className="queue-email" title={job.email.from}>✉ {job.email.subject || job.email.fromAddress}</small>}
+                        </span>
+                        <span className={`queue-status status-${job.status}`}>
+                          {job.status === "routed" ? `ROUTED → ${job.route}` : job.status.toUpperCase()}
+                          {job.duplicate && ` (${DUPLICATE_FLAGS[job.duplicate]})`}
+                          {job.errorCategory && ERROR_CATEGORIES[job.errorCategory] && ` (${ERROR_CATEGORIES[job.errorCategory].label.toUpperCase()})`}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              <button 
+                onClick={processQueue} 
+                disabled={analyzing || !queue.some(job => job.status === "pending")}
+                className="process-btn"
+              >
+                {analyzing ? <Spinner /> : "ANALYZE & ROUTE"}
+              </button>
+              {analyzing && (
+                <button onClick={cancelBatch} className="admin-btn cancel-btn">CANCEL</button>
+              )}
+          
+              {error && <div style={{color: '#fca5a5', marginTop: '10px', fontSize: '0.9rem', padding: '10px', background: 'rgba(239, 68, 68, 0.2)', borderRadius: '4px', border: '1px solid #ef4444'}}><strong>ERROR:</strong> {error}</div>}
+
+              {currentOrder && (
+                <div className="po-summary fade-in">
+                  <h4>EXTRACTION RESULTS</h4>
+                  <div className="summary-row">
+                    <p className={lowField("poNumber") ? "low-confidence" : ""} title={confidenceTitle(lowField("poNumber"))}>
+                      PO #: <strong>{currentOrder.poNumber}</strong>
+                    </p>
+                    <p
+                      className={lowField("pageCount") ? "low-confidence" : ""}
+                      title={confidenceTitle(lowField("pageCount")) || (currentOrder.textLayer ? "Counted from the PDF" : "Estimated by the model")}
+                    >
+                      Pages: <strong>{currentOrder.pageCount}</strong>{currentOrder.textLayer ? "" : " (est.)"}
+                    </p>
+                    {lowField("totalLineCount") && (
+                      <p className="low-confidence" title={confidenceTitle(lowField("totalLineCount"))}>
+                        Lines: <strong>{currentOrder.lineItems.length}</strong>
+                        {currentOrder.totalLineCount != null && ` of ${currentOrder.totalLineCount}`}
+                      </p>
+                    )}
+                    {currentOrder.documentType && currentOrder.documentType !== "standard_po" && (
+                      <p>Type: <strong>{documentTypeById(currentOrder.documentType).label}</strong></p>
+                    )}
+                    {currentOrder.slaDueAt && (
+                      <p>SLA: <strong>{new Date(currentOrder.slaDueAt).toLocaleString()}</strong></p>
+                    )}
+                  </div>
+                  <div className="summary-row" style={{borderLeft: '4px solid var(--primary)'}}>
+                     <p className={lowField("customerInfo") ? "low-confidence" : ""} title={confidenceTitle(lowField("customerInfo"))}>
+                       {currentOrder.customerInfo?.name}
+                     </p>
+                     {directoryMatch ? (
+                       <span className="directory-match" title={`Matched by ${directoryMatch.matchedBy}`}>
+                         ON FILE: {directoryMatch.customer.name}
+                       </span>
+                     ) : currentOrder.customerInfo?.name && (
+                       <button className="inline-btn" onClick={addCustomerFromOrder}>+ ADD TO DIRECTORY</button>
+                     )}
+                  </div>
+                   {currentOrder.email && (
+                     <p className="email-source" title={currentOrder.email.body}>
+                       ✉ {currentOrder.email.from} :: {currentOrder.email.subject || "(no subject)"}
+                     </p>
+                   )}
+                   <p style={{fontSize:'0.7rem', color:'var(--text-muted)', marginTop:'5px'}}>
+                      SRC: {currentOrder.customerInfo?.source || "AI INFERENCE"}
+                      {currentOrder.textLayer?.pagesSent && (
+                        <> :: TEXT LAYER ({currentOrder.textLayer.pagesSent.length
+                          ? `${currentOrder.textLayer.pagesSent.length} PAGES SENT AS TEXT`
+                          : "NO AI CALL"})</>
+                      )}
+                      {currentOrder.textLayer?.scannedPages?.length > 0 && (
+                        <> :: SCANNED PAGES {currentOrder.textLayer.scannedPages.join(", ")} (READ FROM FILE)</>
+                      )}
+                      {currentOrder.textLayer?.blankPages?.length > 0 && (
+                        <> :: BLANK PAGES {currentOrder.textLayer.blankPages.join(", ")} SKIPPED</>
+                      )}
+                   </p>
+              
+                  <div className="tags">
+                    {currentOrder.flags.map((f,i) => <span key={i} className="tag flag">{f}</span>)}
+                  </div>
+
+                  {currentOrder.historyId && (
+                    <button className="inline-btn" onClick={() => navigate({ view: "orders", id: currentOrder.historyId })}>
+                      FULL PO DETAIL
+                    </button>
+                  )}
+
+                  {currentOrder.duplicate && (
+                    <div className="duplicate-notice">
+                      <strong>{DUPLICATE_FLAGS[currentOrder.duplicate.kind]}</strong> of PO {currentOrder.duplicate.poNumber || "?"},
+                      routed {new Date(currentOrder.duplicate.routedAt).toLocaleString()} to {currentOrder.duplicate.route}
+                      {" "}({currentOrder.duplicate.matchedBy}).
+                      <button className="inline-btn" onClick={() => openHistoryEntry(currentOrder.duplicate.historyId)}>
+                        VIEW EARLIER ROUTING
+                      </button>
+                    </div>
+                  )}
+
+                  {lowConfidence.length > 0 && (
+                    <div className="data-warnings confidence-warnings">
+                      <strong>LOW CONFIDENCE{currentOrder.repId == null ? " :: HELD FOR REVIEW" : ""}</strong>
+                      <ul>
+                        {lowConfidence.map(entry => (
+                          <li key={entry.path}>
+                            {entry.index != null ? (
+                              <button className="inline-btn" onClick={() => showLineItem(currentOrder.lineItems[entry.index])}>
+                                {entry.label}
+                              </button>
+                            ) : <code>{entry.label}</code>}
+                            {" "}{confidenceLabel(entry)}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+
+                  {reviewWarnings(currentOrder.validationWarnings).length > 0 && (
+                    <div className="data-warnings">
+                      <strong>DATA WARNINGS</strong>
+                      <ul>
+                        {reviewWarnings(currentOrder.validationWarnings).map((w, i) => (
+                          <li key={i}><code>{w.path}{w.chunkPages && ` (pages ${w.chunkPages})`}</code> {w.message}</li>
+                        ))}
+                      </ul>
+                    </div>
                   )}
                 </div>
+              )}
+            </div>
+
+            <div className="routing-panel">
+              <div className="section-header">
+                <h3>DECISION LOGIC</h3>
+                <span className="badge">v{APP_VERSION}</span>
               </div>
-            )}
-          </div>
-        </div>
-      </div>
-
-      {/* VERIFICATION SECTION */}
-      {currentOrder && currentOrder.pages && (
-        <section className="verification-section fade-in">
-          <div className="section-header">
-            <h3>VISUAL VERIFICATION</h3>
-            <span className="badge">PAGE RECONSTRUCTION</span>
+              <div className="decision-tree">
+                {/* FIX: Wrapped string in curly braces to fix JSX error */}
+                {routingLog.length === 0 && <p className="placeholder">{'// WAITING FOR DATA STREAM...'}</p>}
+                {routingLog.map((log, i) => (
+                  <div key={i} className="log-step fade-in" style={{animationDelay: `${i * 0.1}s`}}>
+                    <div className="step-marker"></div>
+                    <p>{log}</p>
+                  </div>
+                ))}
+                {currentOrder && (
+                  <div className="final-verdict fade-in">
+                    <span>TARGET ASSIGNMENT</span>
+                    <h2>{currentOrder.route}</h2>
+                    <div className="verdict-reason">
+                      {currentOrder.reason}
+                      {currentOrder.evidence && (
+                         <pre
+                           className={`evidence-box${evidenceTarget ? " evidence-link" : ""}`}
+                           onClick={evidenceTarget ? () => showInViewer(evidenceTarget) : undefined}
+                           title={evidenceTarget ? "Show on the document" : undefined}
+                         >
+                           {currentOrder.evidence}
+                         </pre>
+                      )}
+                    </div>
+                    {currentOrder.historyId && !analyzing && (
+                      <VerdictReview
+                        key={currentOrder.historyId}
+                        order={currentOrder}
+                        team={team}
+                        reviewer={settings.reviewer}
+                        onReviewerChange={(reviewer) => setSettings({ ...settings, reviewer })}
+                        onAccept={acceptDecision}
+                        onReassign={reassignDecision}
+                        onRerun={rerunDecision}
+                        onRelease={currentOrder.route === HOLD_ROUTE ? releaseHold : null}
+                        stats={overrideRate(reviewLog)}
+                      />
+                    )}
+                  </div>
+                )}
+              </div>
+            </div>
           </div>
-          <div className="pages-container">
-            {currentOrder.pages.map((page, idx) => (
-              <div key={idx} className="page-visual">
-                <div className="page-header">
-                  <span className="page-num">PAGE {page.pageNumber}</span>
-                  <span className="page-type" style={{background:'#64748b'}}>{page.type}</span>
-                </div>
-                <div className="page-content">
-                  <p className="page-summary">{page.summary}</p>
-                  {page.itemsOnPage && page.itemsOnPage.length > 0 ? (
-                    <div className="page-lines">
-                      <small style={{color:'#64748b', fontWeight:'bold'}}>DETECTED ITEMS:</small>
+
+          {/* VERIFICATION SECTION */}
+          {currentOrder && currentOrder.pages && (
+            <section className="verification-section fade-in" ref={viewerRef}>
+              <div className="section-header">
+                <h3>VISUAL VERIFICATION</h3>
+                <span className="badge">DOCUMENT + RECONSTRUCTION</span>
+              </div>
+              <div className="verification-layout">
+                <DocumentViewer file={fileStore.current.get(currentOrder.historyId) || null} target={viewerTarget} />
+
+                <div className="verification-extraction">
+                  {currentOrder.lineItems?.length > 0 && (
+                    <div className="line-jump-list">
+                      <small>EXTRACTED LINES (click to locate)</small>
                       <ul>
-                        {page.itemsOnPage.map((item, i) => (
+                        {currentOrder.lineItems.map((item, i) => (
                           <li key={i}>
-                             <strong>{item.qty}x</strong> {item.desc || item.partNumber || "Line Item"}
+                            <button
+                              onClick={() => showLineItem(item)}
+                              className={[
+                                item.partCheck?.issues?.length ? "part-issue" : "",
+                                lowLine(i) ? "low-confidence" : "",
+                              ].filter(Boolean).join(" ")}
+                              title={[partCheckTitle(item), confidenceTitle(lowLine(i))].filter(Boolean).join("\n") || undefined}
+                            >
+                              <span className="line-jump-page">p{item.pageNumber || "?"}</span>
+                              {" "}#{item.lineNumber || i + 1}{" "}
+                              {item.prefixes?.length > 0 && <strong>{item.prefixes.join("-")}-</strong>}
+                              {item.partNumber}
+                              {item.quantity != null && <span className="line-jump-qty"> x{item.quantity}</span>}
+                            </button>
                           </li>
                         ))}
                       </ul>
                     </div>
-                  ) : (
-                    <div className="empty-lines">NO DATA LINES</div>
                   )}
+
+                  <div className="pages-container">
+                    {currentOrder.pages.map((page, idx) => (
+                      <div
+                        key={idx}
+                        className={`page-visual${lowConfidence.some(entry => entry.index != null && currentOrder.lineItems[entry.index]?.pageNumber === page.pageNumber) ? " low-confidence" : ""}`}
+                        onClick={() => showInViewer({ pageNumber: page.pageNumber })}
+                      >
+                        <div className="page-header">
+                          <span className="page-num">PAGE {page.pageNumber}</span>
+                          <span className="page-type" style={{background:'#64748b'}}>{page.type}</span>
+                        </div>
+                        <div className="page-content">
+                          <p className="page-summary">{page.summary}</p>
+                          {page.itemsOnPage && page.itemsOnPage.length > 0 ? (
+                            <div className="page-lines">
+                              <small style={{color:'#64748b', fontWeight:'bold'}}>DETECTED ITEMS:</small>
+                              <ul>
+                                {page.itemsOnPage.map((item, i) => (
+                                  <li key={i}>
+                                     <strong>{item.qty}x</strong> {item.desc || item.partNumber || "Line Item"}
+                                  </li>
+                                ))}
+                              </ul>
+                            </div>
+                          ) : (
+                            <div className="empty-lines">NO DATA LINES</div>
+                          )}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
                 </div>
               </div>
-            ))}
-          </div>
-        </section>
+            </section>
+          )}
+        </>
       )}
 
     </div>
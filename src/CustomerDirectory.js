@@ -0,0 +1,120 @@
+import React from "react";
+import { HANDLING_OPTIONS, REP_MODES } from "./customers";
+
+// Comma separated text <-> list, committed on blur like the rules admin
+const toList = (text) => text.split(",").map(s => s.trim()).filter(Boolean);
+
+const CustomerDirectory = ({ customers, team, onChange, onClose }) => {
+  const updateCustomer = (id, changes) => {
+    onChange(customers.map(c => (c.id === id ? { ...c, ...changes } : c)));
+  };
+
+  const removeCustomer = (customer) => {
+    if (!window.confirm(`Remove ${customer.name} from the directory?`)) return;
+    onChange(customers.filter(c => c.id !== customer.id));
+  };
+
+  return (
+    <section className="rules-admin customer-directory fade-in">
+      <div className="section-header">
+        <h3>CUSTOMER DIRECTORY</h3>
+        <div className="rules-toolbar">
+          <button onClick={onClose}>CLOSE</button>
+        </div>
+      </div>
+
+      <p className="rules-help">
+        Orders are matched by sender email domain first, then by fuzzy name against the name and aliases.
+        Customer preferences apply after the routing rules, so restricted keying prefixes still go to Keying.
+        Add unknown customers from the extraction results.
+      </p>
+
+      {customers.length === 0 && <p className="placeholder">No customers on file yet.</p>}
+
+      <div className="rules-list">
+        {customers.map(customer => (
+          <div key={customer.id} className="rule-card">
+            <div className="rule-header">
+              <input
+                type="text"
+                className="rule-name"
+                value={customer.name}
+                onChange={(e) => updateCustomer(customer.id, { name: e.target.value })}
+              />
+              <button className="danger" onClick={() => removeCustomer(customer)}>DELETE</button>
+            </div>
+
+            <div className="rule-body">
+              <div className="rule-field">
+                <label>Email domains</label>
+                <input
+                  type="text"
+                  defaultValue={(customer.domains || []).join(", ")}
+                  placeholder="acme.com, acmehw.net"
+                  onBlur={(e) => updateCustomer(customer.id, { domains: toList(e.target.value.toLowerCase()) })}
+                />
+              </div>
+              <div className="rule-field">
+                <label>Name aliases</label>
+                <input
+                  type="text"
+                  defaultValue={(customer.aliases || []).join(", ")}
+                  placeholder="comma separated"
+                  onBlur={(e) => updateCustomer(customer.id, { aliases: toList(e.target.value) })}
+                />
+              </div>
+              <div className="rule-field">
+                <label>Rep</label>
+                <div className="range-inputs">
+                  <select
+                    value={customer.repId ?? ""}
+                    onChange={(e) => updateCustomer(customer.id, { repId: e.target.value ? Number(e.target.value) : null })}
+                  >
+                    <option value="">Load balance</option>
+                    {team.map(rep => <option key={rep.id} value={rep.id}>{rep.name}</option>)}
+                  </select>
+                  <select
+                    value={customer.repMode || "preferred"}
+                    disabled={customer.repId == null}
+                    onChange={(e) => updateCustomer(customer.id, { repMode: e.target.value })}
+                  >
+                    {REP_MODES.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+                  </select>
+                </div>
+              </div>
+              <div className="rule-field">
+                <label>Handling</label>
+                <select
+                  value={customer.handling || ""}
+                  onChange={(e) => updateCustomer(customer.id, { handling: e.target.value })}
+                >
+                  {HANDLING_OPTIONS.map(h => <option key={h.value} value={h.value}>{h.label}</option>)}
+                </select>
+              </div>
+              <div className="rule-field">
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={Boolean(customer.alwaysKeying)}
+                    onChange={(e) => updateCustomer(customer.id, { alwaysKeying: e.target.checked })}
+                  />
+                  {" "}Always keying
+                </label>
+              </div>
+              <div className="rule-field">
+                <label>Notes</label>
+                <input
+                  type="text"
+                  value={customer.notes || ""}
+                  onChange={(e) => updateCustomer(customer.id, { notes: e.target.value })}
+                />
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+};
+
+export default CustomerDirectory;
@@ -0,0 +1,145 @@
+import React, { useEffect, useRef, useState } from "react";
+import { findHighlights, openPdf, renderPage } from "./pdfRender";
+
+const PAGE_WIDTH = 560;
+const THUMB_WIDTH = 84;
+
+const Thumbnail = ({ doc, pageNumber, active, marked, onClick }) => {
+  const canvasRef = useRef(null);
+  useEffect(() => {
+    renderPage(doc, pageNumber, canvasRef.current, THUMB_WIDTH).catch(err => console.warn(err));
+  }, [doc, pageNumber]);
+  return (
+    <button className={`viewer-thumb${active ? " active" : ""}${marked ? " marked" : ""}`} onClick={onClick}>
+      <canvas ref={canvasRef} />
+      <span>{pageNumber}</span>
+    </button>
+  );
+};
+
+// The uploaded PDF or image next to the extraction. `target` ({ pageNumber, terms, label })
+// comes from a clicked line item or evidence box: the viewer jumps there and boxes the match.
+const DocumentViewer = ({ file, target }) => {
+  const [doc, setDoc] = useState(null);
+  const [imageUrl, setImageUrl] = useState(null);
+  const [pageNumber, setPageNumber] = useState(1);
+  const [highlights, setHighlights] = useState([]);
+  const [loadError, setLoadError] = useState(null);
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    setDoc(null);
+    setImageUrl(null);
+    setLoadError(null);
+    setPageNumber(1);
+    if (!file) return undefined;
+
+    if (file.type.startsWith("image/")) {
+      const url = URL.createObjectURL(file);
+      setImageUrl(url);
+      return () => URL.revokeObjectURL(url);
+    }
+
+    let cancelled = false;
+    let opened = null;
+    openPdf(file)
+      .then(pdf => {
+        opened = pdf;
+        if (cancelled) pdf.destroy();
+        else setDoc(pdf);
+      })
+      .catch(err => !cancelled && setLoadError(err.message));
+    return () => {
+      cancelled = true;
+      if (opened) opened.destroy();
+    };
+  }, [file]);
+
+  useEffect(() => {
+    if (target?.pageNumber) setPageNumber(target.pageNumber);
+  }, [target]);
+
+  useEffect(() => {
+    if (!doc || pageNumber > doc.numPages) return undefined;
+    let cancelled = false;
+    setHighlights([]);
+    renderPage(doc, pageNumber, canvasRef.current, PAGE_WIDTH)
+      .then(({ page, viewport }) =>
+        target && target.pageNumber === pageNumber && target.terms?.length
+          ? findHighlights(page, viewport, target.terms)
+          : []
+      )
+      .then(boxes => !cancelled && setHighlights(boxes))
+      .catch(err => console.warn("Page render failed:", err));
+    return () => { cancelled = true; };
+  }, [doc, pageNumber, target]);
+
+  if (!file) {
+    return (
+      <div className="document-viewer viewer-empty">
+        The original file is only kept for this session. Re-upload it to view the document.
+      </div>
+    );
+  }
+
+  const onTargetPage = target && target.pageNumber === pageNumber;
+
+  return (
+    <div className="document-viewer">
+      <div className="viewer-toolbar">
+        <span>{file.name}</span>
+        {doc && (
+          <span>
+            <button onClick={() => setPageNumber(p => Math.max(1, p - 1))} disabled={pageNumber <= 1}>◀</button>
+            {" "}PAGE {pageNumber} / {doc.numPages}{" "}
+            <button onClick={() => setPageNumber(p => Math.min(doc.numPages, p + 1))} disabled={pageNumber >= doc.numPages}>▶</button>
+          </span>
+        )}
+      </div>
+
+      {onTargetPage && target.label && (
+        <div className={`viewer-target${highlights.length ? "" : " not-found"}`}>
+          {highlights.length
+            ? `Highlighted: ${target.label}`
+            : `${target.label} - no text layer match on this page, check it by eye.`}
+        </div>
+      )}
+
+      {loadError && <div className="message error-message">Could not open the PDF: {loadError}</div>}
+
+      <div className="viewer-body">
+        {doc && (
+          <div className="viewer-thumbs">
+            {Array.from({ length: doc.numPages }, (_, i) => i + 1).map(n => (
+              <Thumbnail
+                key={n}
+                doc={doc}
+                pageNumber={n}
+                active={n === pageNumber}
+                marked={target?.pageNumber === n}
+                onClick={() => setPageNumber(n)}
+              />
+            ))}
+          </div>
+        )}
+        <div className="viewer-page">
+          {imageUrl && <img src={imageUrl} alt={file.name} />}
+          {doc && (
+            <div className="viewer-canvas-wrap">
+              <canvas ref={canvasRef} />
+              {highlights.map((box, i) => (
+                <div
+                  key={i}
+                  className="viewer-highlight"
+                  style={{ left: box.left, top: box.top, width: box.width, height: box.height }}
+                />
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DocumentViewer;
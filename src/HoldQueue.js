@@ -0,0 +1,98 @@
+import React from "react";
+import { heldOrders, unassignedOrders } from "./cards";
+
+// Held orders with the fields that put them there, then orders waiting in a department queue
+// no rep covers. OPEN brings one into the router, where a reviewer checks a held order against
+// the document and releases it to normal routing, re-runs a queued one once the roster has a
+// rep for it, or reassigns either.
+const HoldQueue = ({ history, onOpen, onDetail, onClose }) => {
+  const held = heldOrders(history);
+  const waiting = unassignedOrders(history);
+
+  const actions = (entry) => (
+    <td className="rule-header">
+      <button onClick={() => onOpen(entry.id)}>OPEN</button>
+      <button onClick={() => onDetail(entry.id)}>DETAIL</button>
+    </td>
+  );
+
+  return (
+    <section className="rules-admin my-queue fade-in">
+      <div className="section-header">
+        <h3>REVIEW HOLD</h3>
+        <div className="rules-toolbar">
+          <button onClick={onClose}>CLOSE</button>
+        </div>
+      </div>
+
+      <p className="rules-help">
+        Orders with a low-confidence field or line wait here instead of going to a rep. Open one, check the
+        highlighted fields, then RELEASE it to route normally or REASSIGN it.
+      </p>
+      {held.length === 0 ? (
+        <p className="placeholder">Nothing on hold.</p>
+      ) : (
+        <table className="roster-table queue-table">
+          <thead>
+            <tr>
+              <th>PO</th>
+              <th>Customer</th>
+              <th>Pages</th>
+              <th>Low Confidence</th>
+              <th>Routed</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {held.map(entry => (
+              <tr key={entry.id}>
+                <td title={entry.fileName}>{entry.poNumber || entry.fileName}</td>
+                <td>{entry.customerName || "-"}</td>
+                <td>{entry.pageCount}</td>
+                <td>{(entry.extraction?.confidenceCheck?.low || []).map(low => low.label).join(", ") || "-"}</td>
+                <td>{new Date(entry.routedAt).toLocaleString()}</td>
+                {actions(entry)}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <h4 className="detail-subtitle">DEPARTMENT QUEUES</h4>
+      <p className="rules-help">
+        Orders for a role nobody on the roster has (e.g. Quotes), or that found no rep with capacity. Add the
+        rep in Settings and RE-RUN the order, or REASSIGN it.
+      </p>
+      {waiting.length === 0 ? (
+        <p className="placeholder">Nothing waiting.</p>
+      ) : (
+        <table className="roster-table queue-table">
+          <thead>
+            <tr>
+              <th>PO</th>
+              <th>Customer</th>
+              <th>Queue</th>
+              <th>Reason</th>
+              <th>Routed</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {waiting.map(entry => (
+              <tr key={entry.id}>
+                <td title={entry.fileName}>{entry.poNumber || entry.fileName}</td>
+                <td>{entry.customerName || "-"}</td>
+                <td>{entry.route}</td>
+                <td>{entry.reason}</td>
+                <td>{new Date(entry.routedAt).toLocaleString()}</td>
+                {actions(entry)}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </section>
+  );
+};
+
+export default HoldQueue;
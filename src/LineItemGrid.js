@@ -0,0 +1,255 @@
+import React, { useState } from "react";
+import {
+  DEFAULT_ERP_LAYOUT,
+  ERP_FIELDS,
+  downloadText,
+  extendedPrice,
+  fixedWidthOverflows,
+  formatMoney,
+  orderTotals,
+  overflowMessage,
+  toCsv,
+  toFixedWidth,
+} from "./lineItems";
+import { loadPreference, savePreference } from "./storage";
+
+const parseNumber = (value) => (value === "" ? null : Number(value));
+
+// Rows need a stable key that survives edits, deletes and inserts
+let rowSeq = 0;
+export const withRowIds = (items) => items.map(item => ({ ...item, _rowId: `row-${rowSeq++}` }));
+
+const emptyItem = () => withRowIds([
+  { lineNumber: "", partNumber: "", prefixes: [], description: "", quantity: 1, unitPrice: null },
+])[0];
+
+// Editable version of the analyzer's line item table. `items` is owned by the parent so
+// exports always reflect the corrected lines, not the raw extraction.
+const LineItemGrid = ({ order, items, onChange }) => {
+  const [layout, setLayout] = useState(() => loadPreference("erpLayout", DEFAULT_ERP_LAYOUT));
+  const [showLayout, setShowLayout] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  const totals = orderTotals(items);
+  const overflows = fixedWidthOverflows(order, items, layout);
+  const overflowTitle = overflows.length ? "A number is wider than its ERP column. Widen it in ERP Layout." : undefined;
+  const fileBase = `PO-${order.poNumber || "export"}`.replace(/[^\w.-]/g, "_");
+
+  const updateItem = (index, changes) => onChange(items.map((item, i) => (i === index ? { ...item, ...changes } : item)));
+  const removeItem = (index) => onChange(items.filter((_, i) => i !== index));
+
+  const updateLayout = (next) => {
+    setLayout(next);
+    savePreference("erpLayout", next);
+  };
+  const updateColumn = (index, changes) => updateLayout(layout.map((col, i) => (i === index ? { ...col, ...changes } : col)));
+
+  const copyErpText = async () => {
+    try {
+      await navigator.clipboard.writeText(toFixedWidth(order, items, layout));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (e) {
+      console.error("Clipboard write failed:", e);
+    }
+  };
+
+  return (
+    <>
+      <div className="table-container">
+        <table className="line-item-table editable">
+          <thead>
+            <tr>
+              <th>Line</th>
+              <th>Prefixes</th>
+              <th>Part Number</th>
+              <th>Description</th>
+              <th>Quantity</th>
+              <th>Unit Price</th>
+              <th>Extended</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {items.length > 0 ? (
+              items.map((item, index) => (
+                <tr key={item._rowId}>
+                  <td>
+                    <input
+                      type="text"
+                      className="cell-narrow"
+                      value={item.lineNumber || ""}
+                      placeholder={String(index + 1)}
+                      onChange={(e) => updateItem(index, { lineNumber: e.target.value })}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="text"
+                      className="cell-narrow"
+                      defaultValue={(item.prefixes || []).join(", ")}
+                      onBlur={(e) => updateItem(index, {
+                        prefixes: e.target.value.split(",").map(p => p.trim().toUpperCase()).filter(Boolean),
+                      })}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="text"
+                      value={item.partNumber || ""}
+                      onChange={(e) => updateItem(index, { partNumber: e.target.value })}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="text"
+                      value={item.description || ""}
+                      onChange={(e) => updateItem(index, { description: e.target.value })}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      min="0"
+                      className="cell-narrow"
+                      value={item.quantity ?? ""}
+                      onChange={(e) => updateItem(index, { quantity: parseNumber(e.target.value) })}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={item.unitPrice ?? ""}
+                      onChange={(e) => updateItem(index, { unitPrice: parseNumber(e.target.value) })}
+                    />
+                  </td>
+                  <td className="cell-computed">{formatMoney(extendedPrice(item))}</td>
+                  <td>
+                    <button className="row-delete" onClick={() => removeItem(index)} title="Delete line">✕</button>
+                  </td>
+                </tr>
+              ))
+            ) : (
+              <tr>
+                <td colSpan="8" className="no-items">
+                  No line items found.
+                </td>
+              </tr>
+            )}
+          </tbody>
+          <tfoot>
+            <tr>
+              <td colSpan="4">
+                <button
+                  className="row-add"
+                  onClick={() => onChange([...items, emptyItem()])}
+                >
+                  + Add Line
+                </button>
+              </td>
+              <td className="cell-computed">{totals.quantity}</td>
+              <td>Order Total</td>
+              <td className="cell-computed">{formatMoney(totals.amount)}</td>
+              <td></td>
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+
+      {totals.unpriced > 0 && (
+        <p className="grid-note">{totals.unpriced} line(s) have no price and are left out of the total.</p>
+      )}
+
+      <div className="export-bar">
+        <button onClick={() => downloadText(toCsv(order, items), `${fileBase}.csv`, "text/csv")}>Export CSV</button>
+        <button
+          disabled={overflows.length > 0}
+          title={overflowTitle}
+          onClick={() => downloadText(toFixedWidth(order, items, layout), `${fileBase}.txt`)}
+        >
+          Download ERP Import
+        </button>
+        <button disabled={overflows.length > 0} title={overflowTitle} onClick={copyErpText}>
+          {copied ? "Copied!" : "Copy ERP Lines"}
+        </button>
+        <button onClick={() => setShowLayout(!showLayout)}>{showLayout ? "Hide Layout" : "ERP Layout..."}</button>
+      </div>
+
+      {overflows.length > 0 && (
+        <div className="grid-note grid-error">
+          <p>ERP import blocked: numbers are never cut to fit. Widen these columns in ERP Layout.</p>
+          <ul>
+            {overflows.map((o, i) => <li key={i}>{overflowMessage(o)}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {showLayout && (
+        <div className="erp-layout">
+          <table className="line-item-table">
+            <thead>
+              <tr>
+                <th>Field</th>
+                <th>Width</th>
+                <th>Align</th>
+                <th>Pad</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {layout.map((col, index) => (
+                <tr key={index}>
+                  <td>
+                    <select value={col.field} onChange={(e) => updateColumn(index, { field: e.target.value })}>
+                      {ERP_FIELDS.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+                    </select>
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      min="1"
+                      className="cell-narrow"
+                      value={col.width}
+                      onChange={(e) => updateColumn(index, { width: Math.max(1, Number(e.target.value) || 1) })}
+                    />
+                  </td>
+                  <td>
+                    <select value={col.align || ""} onChange={(e) => updateColumn(index, { align: e.target.value || undefined })}>
+                      <option value="">Auto</option>
+                      <option value="left">Left</option>
+                      <option value="right">Right</option>
+                    </select>
+                  </td>
+                  <td>
+                    <input
+                      type="text"
+                      maxLength={1}
+                      className="cell-narrow"
+                      value={col.padChar || ""}
+                      placeholder="space"
+                      onChange={(e) => updateColumn(index, { padChar: e.target.value || undefined })}
+                    />
+                  </td>
+                  <td>
+                    <button className="row-delete" onClick={() => updateLayout(layout.filter((_, i) => i !== index))}>✕</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="export-bar">
+            <button onClick={() => updateLayout([...layout, { field: "description", width: 30 }])}>+ Add Column</button>
+            <button onClick={() => updateLayout(DEFAULT_ERP_LAYOUT)}>Reset Layout</button>
+          </div>
+          <pre className="erp-preview">
+            {overflows.length ? "(widen the columns above to preview)" : toFixedWidth(order, items.slice(0, 3), layout) || "(no lines)"}
+          </pre>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default LineItemGrid;
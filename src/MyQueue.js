@@ -0,0 +1,96 @@
+import React, { useState } from "react";
+import { CARD_STATUSES, cardStatusLabel, isOpenCard } from "./cards";
+import { formatCountdown, slaStatus, tierById } from "./priority";
+
+// Open cards first by SLA deadline, then oldest first
+const byUrgency = (a, b) => {
+  const dueA = a.slaDueAt && !a.enteredAt ? Date.parse(a.slaDueAt) : Infinity;
+  const dueB = b.slaDueAt && !b.enteredAt ? Date.parse(b.slaDueAt) : Infinity;
+  return (dueA - dueB) || (Date.parse(a.routedAt) - Date.parse(b.routedAt));
+};
+
+// One rep's cards with their lifecycle controls
+const MyQueue = ({ history, team, repId, now, onRepChange, onStatusChange, onOpen, onDetail, onClose }) => {
+  const [showClosed, setShowClosed] = useState(false);
+  const rep = team.find(m => m.id === repId);
+
+  const cards = history
+    .filter(entry => entry.repId === repId && (showClosed || isOpenCard(entry)))
+    .sort(byUrgency);
+  const openCount = history.filter(entry => entry.repId === repId && isOpenCard(entry)).length;
+
+  return (
+    <section className="rules-admin my-queue fade-in">
+      <div className="section-header">
+        <h3>MY QUEUE</h3>
+        <div className="rules-toolbar">
+          <select value={repId ?? ""} onChange={(e) => onRepChange(e.target.value ? Number(e.target.value) : null)}>
+            <option value="">Select rep...</option>
+            {team.map(m => <option key={m.id} value={m.id}>{m.name}</option>)}
+          </select>
+          <label className="queue-toggle">
+            <input type="checkbox" checked={showClosed} onChange={(e) => setShowClosed(e.target.checked)} />
+            {" "}SHOW CLOSED
+          </label>
+          <button onClick={onClose}>CLOSE</button>
+        </div>
+      </div>
+
+      {!rep && <p className="placeholder">Pick a rep to see their cards.</p>}
+
+      {rep && (
+        <>
+          <p className="rules-help">
+            {openCount} open card(s) for {rep.name}. Closing a card takes its pages off {rep.name}'s load.
+          </p>
+          {cards.length === 0 && <p className="placeholder">Nothing in the queue.</p>}
+          <table className="roster-table queue-table">
+            <thead>
+              <tr>
+                <th>PO</th>
+                <th>Customer</th>
+                <th>Pages</th>
+                <th>Priority</th>
+                <th>Routed</th>
+                <th>Status</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {cards.map(entry => {
+                const sla = entry.enteredAt ? null : slaStatus(entry, now);
+                return (
+                  <tr key={entry.id} className={isOpenCard(entry) ? "" : "card-closed"}>
+                    <td title={entry.fileName}>{entry.poNumber || entry.fileName}</td>
+                    <td>{entry.customerName || "-"}</td>
+                    <td>{entry.pageCount}</td>
+                    <td>
+                      {entry.priority && entry.priority !== "standard" ? tierById(entry.priority).label : "-"}
+                      {sla && <span className={`sla-countdown sla-${sla.state}`}> {formatCountdown(sla.remainingMs)}</span>}
+                    </td>
+                    <td>{new Date(entry.routedAt).toLocaleString()}</td>
+                    <td>
+                      <select
+                        value={entry.status || "assigned"}
+                        onChange={(e) => onStatusChange(entry.id, e.target.value)}
+                        title={`Currently ${cardStatusLabel(entry.status)}`}
+                      >
+                        {CARD_STATUSES.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+                      </select>
+                    </td>
+                    <td className="rule-header">
+                      <button onClick={() => onOpen(entry.id)}>OPEN</button>
+                      <button onClick={() => onDetail(entry.id)}>DETAIL</button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </>
+      )}
+    </section>
+  );
+};
+
+export default MyQueue;
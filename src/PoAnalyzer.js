@@ -1,258 +1,152 @@
-import React, { useState } from "react";
-import "./App.css"; // We'll keep using the main styles
-
-const API_URL =
-  "https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-05-20:generateContent";
-
-const API_KEY = process.env.REACT_APP_GOOGLE_API_KEY;
-
-const fetchWithBackoff = async (payload, maxAttempts = 5) => {
-  let attempt = 0;
-  while (attempt < maxAttempts) {
-    try {
-      const response = await fetch(`${API_URL}?key=${API_KEY}`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify(payload),
-      });
+import React, { useRef, useState } from "react";
+import { describeError, extractionClient } from "./extractionClient";
+import { canExtract, extractOrder } from "./extraction";
+import { reviewWarnings } from "./poSchema";
+import { cardStatusLabel } from "./cards";
+import { documentTypeById } from "./documentTypes";
+import LineItemGrid, { withRowIds } from "./LineItemGrid";
+
+const Spinner = () => <div className="spinner"></div>;
+
+const OrderInfo = ({ data }) => (
+  <div className="detail-grid">
+    <div className="rule-card">
+      <strong>CUSTOMER INFORMATION</strong>
+      <p><span>Name:</span> {data.customerInfo?.name || "N/A"}</p>
+      <p><span>Address:</span> {data.customerInfo?.address || "N/A"}</p>
+      <p><span>Email:</span> {data.customerInfo?.email || "N/A"}</p>
+    </div>
+    <div className="rule-card">
+      <strong>ORDER DETAILS</strong>
+      <p><span>PO Number:</span> {data.poNumber || "N/A"}</p>
+      <p><span>Order Number:</span> {data.orderNumber || "N/A"}</p>
+      <p><span>Quote Number:</span> {data.quoteNumber || "N/A"}</p>
+      {data.documentType && <p><span>Type:</span> {documentTypeById(data.documentType).label}</p>}
+    </div>
+    {data.email && (
+      <div className="rule-card">
+        <strong>EMAIL</strong>
+        <p><span>From:</span> {data.email.from}</p>
+        <p><span>Subject:</span> {data.email.subject || "N/A"}</p>
+        <p><span>Received:</span> {data.email.date ? new Date(data.email.date).toLocaleString() : "N/A"}</p>
+      </div>
+    )}
+  </div>
+);
 
-      if (response.status !== 429) {
-        return response;
-      }
-    } catch (e) {
-      console.error("Fetch attempt failed:", e);
-    }
+// Extraction detail with the editable line grid. `data` is a saved extraction, so a routed
+// order opens here with no second call to the model.
+const OrderDetail = ({ data }) => {
+  const [items, setItems] = useState(() => withRowIds(data.lineItems || []));
+  const warnings = reviewWarnings(data.validationWarnings);
 
-    const delay = Math.pow(2, attempt) * 1000;
-    await new Promise((res) => setTimeout(res, delay));
-    attempt++;
-  }
-  throw new Error("Maximum API call attempts exceeded.");
+  return (
+    <>
+      <OrderInfo data={data} />
+      {warnings.length > 0 && (
+        <div className="data-warnings">
+          <strong>CHECK THESE FIELDS BEFORE KEYING</strong>
+          <ul>
+            {warnings.map((w, i) => <li key={i}><code>{w.path}{w.chunkPages && ` (pages ${w.chunkPages})`}</code> {w.message}</li>)}
+          </ul>
+        </div>
+      )}
+      <h4 className="detail-subtitle">LINE ITEMS</h4>
+      <LineItemGrid order={data} items={items} onChange={setItems} />
+    </>
+  );
 };
 
-const Spinner = () => (
-  <div className="spinner-container">
-    <div className="spinner"></div>
-  </div>
-);
-
-const PoAnalyzer = () => {
+// PO detail view: a routed order from the history, or a file analyzed without routing it
+const PoAnalyzer = ({ history, team, historyId, onSelect, onOpenInRouter }) => {
   const [file, setFile] = useState(null);
-  const [data, setData] = useState(null);
+  const [analyzed, setAnalyzed] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const abortRef = useRef(null);
 
-  const handleFileChange = (event) => {
-    setFile(event.target.files[0]);
-    setData(null);
-    setError(null);
-  };
-
-  const extractData = () => {
-    if (!file) {
-      setError("Please upload a purchase order file.");
-      return;
-    }
+  const entry = historyId ? history.find(e => e.id === historyId) : null;
+  const recent = [...history].reverse();
 
-    if (!API_KEY) {
-      setError(
-        "API key is missing. Please set your REACT_APP_GOOGLE_API_KEY environment variable."
-      );
+  const analyzeFile = async () => {
+    if (!canExtract()) {
+      setError(extractionClient.configError);
       return;
     }
-
+    const controller = new AbortController();
+    abortRef.current = controller;
     setLoading(true);
     setError(null);
-    setData(null);
-
-    setTimeout(() => {
-      try {
-        const reader = new FileReader();
-        reader.readAsDataURL(file);
-
-        reader.onload = async () => {
-          try {
-            const base64Data = reader.result.split(",")[1];
-            const userPrompt = {
-              parts: [
-                {
-                  text: `Extract the following information from this purchase order document: Customer Name, Customer Address, a single PO number, a single Order Number, a single Quote Number, a single Customer Email, and a list of line items. For each line item, extract the part number, any prefixes (like '12', '55', '56', '72'), the description, quantity, and unit price. The base part number may be '8804 ETL' or 'AD-PE8406 ETL' with prefixes appearing before it. Format the output as a JSON object with the following schema:
-                {
-                  "customerInfo": {
-                    "name": "string",
-                    "address": "string",
-                    "email": "string"
-                  },
-                  "poNumber": "string",
-                  "orderNumber": "string",
-                  "quoteNumber": "string",
-                  "lineItems": [
-                    {
-                      "partNumber": "string",
-                      "prefixes": ["string"],
-                      "description": "string",
-                      "quantity": "number",
-                      "unitPrice": "number"
-                    }
-                  ]
-                }
-                If any data is not present, use null or "N/A" for strings and 0 for numbers. If no prefixes are found, the prefixes array should be empty.`,
-                },
-                { inlineData: { mimeType: file.type, data: base64Data } },
-              ],
-            };
-
-            const payload = {
-              contents: [userPrompt],
-              generationConfig: {
-                responseMimeType: "application/json",
-              },
-            };
-
-            const response = await fetchWithBackoff(payload);
-
-            if (!response.ok) {
-              throw new Error(
-                `API call failed with status: ${response.status} - ${response.statusText}`
-              );
-            }
-
-            const result = await response.json();
-            const jsonText = result.candidates?.[0]?.content?.parts?.[0]?.text;
-
-            if (jsonText) {
-              const parsedData = JSON.parse(jsonText);
-              setData(parsedData);
-            } else {
-              setError(
-                "Failed to extract data. The response was empty or malformed."
-              );
-            }
-          } catch (err) {
-            console.error(err);
-            setError(`An unexpected error occurred: ${err.message}`);
-          } finally {
-            setLoading(false);
-          }
-        };
-
-        reader.onerror = () => {
-          setError("Failed to read file.");
-          setLoading(false);
-        };
-      } catch (err) {
+    setAnalyzed(null);
+    try {
+      const data = await extractOrder(file, { signal: controller.signal });
+      if (!controller.signal.aborted) setAnalyzed({ id: Date.now(), data });
+    } catch (err) {
+      if (err.category !== "cancelled") {
         console.error(err);
-        setError(`An unexpected error occurred: ${err.message}`);
-        setLoading(false);
+        setError(describeError(err));
       }
-    }, 0);
+    } finally {
+      abortRef.current = null;
+      setLoading(false);
+    }
   };
 
   return (
-    <div className="main-card">
-      <h1 className="title">
-        <span className="logo-text">Sargent</span> PO Analyzer
-      </h1>
-      <p className="subtitle">
-        Instantly extract and organize key data from purchase orders using AI.
-      </p>
-
-      <div className="file-input-section">
-        <input
-          type="file"
-          accept="image/*,application/pdf"
-          onChange={handleFileChange}
-          className="file-input"
-        />
-        <button
-          onClick={extractData}
-          disabled={loading || !file || !API_KEY}
-          className="analyze-button"
-        >
-          {loading ? <Spinner /> : "Analyze PO"}
-        </button>
+    <section className="rules-admin po-detail fade-in">
+      <div className="section-header">
+        <h3>PO DETAIL</h3>
+        <div className="rules-toolbar">
+          <select value={historyId || ""} onChange={(e) => onSelect(e.target.value || null)}>
+            <option value="">Analyze a file without routing...</option>
+            {recent.map(e => (
+              <option key={e.id} value={e.id}>
+                {e.poNumber || e.fileName} :: {e.route} ({new Date(e.routedAt).toLocaleDateString()})
+              </option>
+            ))}
+          </select>
+        </div>
       </div>
 
-      {error && <div className="message error-message">Error: {error}</div>}
+      {historyId && !entry && <p className="placeholder">That order is no longer in the saved history.</p>}
 
-      {data && (
-        <div className="results-section">
-          <h2 className="results-title">Extracted Order Information</h2>
-          <div className="info-grid">
-            <div className="info-card">
-              <h3 className="card-title">Customer Information</h3>
-              <p>
-                <strong>Name:</strong> {data.customerInfo?.name || "N/A"}
-              </p>
-              <p>
-                <strong>Address:</strong> {data.customerInfo?.address || "N/A"}
-              </p>
-              <p>
-                <strong>Email:</strong> {data.customerInfo?.email || "N/A"}
-              </p>
-            </div>
-            <div className="info-card">
-              <h3 className="card-title">Order Details</h3>
-              <p>
-                <strong>PO Number:</strong> {data.poNumber || "N/A"}
-              </p>
-              <p>
-                <strong>Order Number:</strong> {data.orderNumber || "N/A"}
-              </p>
-              <p>
-                <strong>Quote Number:</strong> {data.quoteNumber || "N/A"}
-              </p>
-            </div>
+      {entry && (
+        <>
+          <div className="detail-banner">
+            <span>{entry.fileName}</span>
+            <span>ROUTED → <strong>{team.find(m => m.id === entry.repId)?.name || entry.route}</strong></span>
+            <span>{cardStatusLabel(entry.status)}</span>
+            <span>{new Date(entry.routedAt).toLocaleString()}</span>
+            <button className="inline-btn" onClick={() => onOpenInRouter(entry.id)}>OPEN IN ROUTER</button>
           </div>
-          <h3 className="line-items-title">Line Items</h3>
-          <div className="table-container">
-            <table className="line-item-table">
-              <thead>
-                <tr>
-                  <th>Prefixes</th>
-                  <th>Part Number</th>
-                  <th>Description</th>
-                  <th>Quantity</th>
-                  <th>Unit Price</th>
-                </tr>
-              </thead>
-              <tbody>
-                {data.lineItems?.length > 0 ? (
-                  data.lineItems.map((item, index) => (
-                    <tr key={index}>
-                      <td>{item.prefixes?.join(", ") || "N/A"}</td>
-                      <td>{item.partNumber || "N/A"}</td>
-                      <td>{item.description || "N/A"}</td>
-                      <td>
-                        {item.quantity !== null && item.quantity !== undefined
-                          ? item.quantity
-                          : "N/A"}
-                      </td>
-                      <td>
-                        $
-                        {item.unitPrice !== null &&
-                        item.unitPrice !== undefined
-                          ? item.unitPrice.toFixed(2)
-                          : "N/A"}
-                      </td>
-                    </tr>
-                  ))
-                ) : (
-                  <tr>
-                    <td colSpan="5" className="no-items">
-                      No line items found.
-                    </td>
-                  </tr>
-                )}
-              </tbody>
-            </table>
+          {entry.extraction
+            ? <OrderDetail key={entry.id} data={entry.extraction} />
+            : <p className="placeholder">No extraction was saved with this order.</p>}
+        </>
+      )}
+
+      {!historyId && (
+        <>
+          <p className="rules-help">
+            Reads the PO with the same extraction the router uses, without routing it or adding load.
+          </p>
+          <div className="detail-upload">
+            <input
+              type="file"
+              accept="image/*,application/pdf"
+              onChange={(e) => { setFile(e.target.files[0] || null); setAnalyzed(null); setError(null); }}
+            />
+            <button className="process-btn" onClick={analyzeFile} disabled={loading || !file}>
+              {loading ? <Spinner /> : "ANALYZE PO"}
+            </button>
+            {loading && <button className="admin-btn cancel-btn" onClick={() => abortRef.current?.abort()}>CANCEL</button>}
           </div>
-        </div>
+          {error && <div className="message error-message">Error: {error}</div>}
+          {analyzed && <OrderDetail key={analyzed.id} data={analyzed.data} />}
+        </>
       )}
-    </div>
+    </section>
   );
 };
 
-export default PoAnalyzer;
\ No newline at end of file
+export default PoAnalyzer;
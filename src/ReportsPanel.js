@@ -0,0 +1,194 @@
+import React, { useState } from "react";
+import { downloadText } from "./lineItems";
+import { overrideRate } from "./storage";
+import {
+  averageTimeToClose, dayKey, daysBetween, filterByDate, flagFrequency, formatDuration,
+  reasonMix, repDailyLoad, reportCsv, reviewsInRange,
+} from "./reporting";
+
+const METRICS = [
+  { value: "pages", label: "Pages Routed" },
+  { value: "orders", label: "Orders Routed" },
+  { value: "enteredPages", label: "Pages Entered" },
+  { value: "enteredOrders", label: "Orders Entered" },
+];
+
+const CHART_HEIGHT = 160;
+const BAR_WIDTH = 28;
+const BAR_GAP = 10;
+
+const daysAgo = (n) => dayKey(new Date(Date.now() - n * 86400000).toISOString());
+
+// Stacked column per day, one segment per rep, drawn as plain SVG
+const DailyChart = ({ days, daily, metric, colorOf }) => {
+  const totals = days.map(day => daily.filter(r => r.date === day).reduce((sum, r) => sum + r[metric], 0));
+  const max = Math.max(1, ...totals);
+  const width = days.length * (BAR_WIDTH + BAR_GAP) + BAR_GAP;
+
+  return (
+    <div className="report-chart-scroll">
+      <svg className="report-chart" width={width} height={CHART_HEIGHT + 34}>
+        {days.map((day, i) => {
+          const x = BAR_GAP + i * (BAR_WIDTH + BAR_GAP);
+          let y = CHART_HEIGHT;
+          return (
+            <g key={day}>
+              {daily.filter(r => r.date === day && r[metric] > 0).map(r => {
+                const h = (r[metric] / max) * CHART_HEIGHT;
+                y -= h;
+                return (
+                  <rect key={r.rep} x={x} y={y} width={BAR_WIDTH} height={h} fill={colorOf(r.rep)}>
+                    <title>{`${r.rep}: ${r[metric]}`}</title>
+                  </rect>
+                );
+              })}
+              {totals[i] > 0 && (
+                <text x={x + BAR_WIDTH / 2} y={y - 4} textAnchor="middle" className="report-chart-value">{totals[i]}</text>
+              )}
+              <text x={x + BAR_WIDTH / 2} y={CHART_HEIGHT + 14} textAnchor="middle" className="report-chart-label">
+                {day.slice(5)}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+    </div>
+  );
+};
+
+const BarList = ({ items, empty }) => {
+  const max = Math.max(1, ...items.map(i => i.count));
+  if (!items.length) return <p className="placeholder">{empty}</p>;
+  return (
+    <ul className="report-bars">
+      {items.map(item => (
+        <li key={item.label}>
+          <span className="report-bar-label">{item.label}</span>
+          <span className="report-bar-track">
+            <span className="report-bar-fill" style={{ width: `${(item.count / max) * 100}%` }} />
+          </span>
+          <span className="report-bar-count">{item.count}</span>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+// Throughput, routing mix and workload over a date range, from the routed-order history
+const ReportsPanel = ({ history, reviewLog, team, onClose }) => {
+  const [from, setFrom] = useState(daysAgo(6));
+  const [to, setTo] = useState(daysAgo(0));
+  const [metric, setMetric] = useState("pages");
+
+  const entries = filterByDate(history, from, to);
+  const daily = repDailyLoad(history, team, from, to);
+  const mix = reasonMix(entries);
+  const flags = flagFrequency(entries);
+  const overrides = overrideRate(reviewsInRange(reviewLog, from, to));
+  const avgCloseMs = averageTimeToClose(entries);
+  const days = from && to && from <= to ? daysBetween(from, to) : [];
+  const reps = [...new Set(daily.map(r => r.rep))];
+  const colorOf = (name) => team.find(m => m.name === name)?.color || "#666";
+
+  const repTotals = reps.map(rep => {
+    const rows = daily.filter(r => r.rep === rep);
+    const sum = (key) => rows.reduce((total, r) => total + r[key], 0);
+    return { rep, orders: sum("orders"), pages: sum("pages"), enteredOrders: sum("enteredOrders"), enteredPages: sum("enteredPages") };
+  });
+
+  const exportCsv = () => downloadText(
+    reportCsv({ from, to, daily, mix, flags, overrides, avgCloseMs }),
+    `order-routing-report-${from}-to-${to}.csv`,
+    "text/csv"
+  );
+
+  return (
+    <section className="rules-admin reports-panel fade-in">
+      <div className="section-header">
+        <h3>REPORTS</h3>
+        <div className="rules-toolbar">
+          <label className="report-range">
+            FROM <input type="date" value={from} max={to} onChange={(e) => setFrom(e.target.value)} />
+          </label>
+          <label className="report-range">
+            TO <input type="date" value={to} min={from} onChange={(e) => setTo(e.target.value)} />
+          </label>
+          <button onClick={exportCsv} disabled={!entries.length && !daily.length}>EXPORT CSV</button>
+          <button onClick={onClose}>CLOSE</button>
+        </div>
+      </div>
+
+      <div className="report-stats">
+        <div className="report-stat"><label>Orders Routed</label><span>{entries.length}</span></div>
+        <div className="report-stat">
+          <label>Pages Routed</label>
+          <span>{entries.reduce((sum, entry) => sum + (entry.pageCount || 0), 0)}</span>
+        </div>
+        <div className="report-stat" title={`${overrides.overridden} of ${overrides.reviewed} reviewed order(s) reassigned`}>
+          <label>Override Rate</label>
+          <span>{overrides.reviewed ? `${Math.round(overrides.rate * 100)}%` : "N/A"}</span>
+        </div>
+        <div className="report-stat" title="Routed to closed, over cards closed in this range">
+          <label>Avg Time To Close</label>
+          <span>{formatDuration(avgCloseMs)}</span>
+        </div>
+      </div>
+
+      <div className="rule-card">
+        <div className="rule-header">
+          <strong>PER REP PER DAY</strong>
+          <select value={metric} onChange={(e) => setMetric(e.target.value)}>
+            {METRICS.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+          </select>
+        </div>
+        {daily.length ? (
+          <>
+            <DailyChart days={days} daily={daily} metric={metric} colorOf={colorOf} />
+            <div className="report-legend">
+              {reps.map(rep => (
+                <span key={rep}><i style={{ background: colorOf(rep) }} />{rep}</span>
+              ))}
+            </div>
+            <table className="roster-table">
+              <thead>
+                <tr>
+                  <th>Rep</th>
+                  <th>Orders Routed</th>
+                  <th>Pages Routed</th>
+                  <th>Orders Entered</th>
+                  <th>Pages Entered</th>
+                </tr>
+              </thead>
+              <tbody>
+                {repTotals.map(r => (
+                  <tr key={r.rep}>
+                    <td>{r.rep}</td>
+                    <td>{r.orders}</td>
+                    <td>{r.pages}</td>
+                    <td>{r.enteredOrders}</td>
+                    <td>{r.enteredPages}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        ) : (
+          <p className="placeholder">No orders routed or entered in this range.</p>
+        )}
+      </div>
+
+      <div className="report-columns">
+        <div className="rule-card">
+          <strong>ROUTING MIX</strong>
+          <BarList items={mix} empty="No routed orders." />
+        </div>
+        <div className="rule-card">
+          <strong>FLAG FREQUENCY</strong>
+          <BarList items={flags} empty="No flags raised." />
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default ReportsPanel;
@@ -0,0 +1,139 @@
+import React from "react";
+import { REP_STATUSES, ROLES, createRep } from "./team";
+import { PRIORITY_TIERS } from "./priority";
+
+const PRIORITY_OPTIONS = PRIORITY_TIERS.filter(t => t.slaHours);
+
+const toCap = (value) => (value === "" ? undefined : Number(value));
+
+const RosterEditor = ({ team, onChange, onClose }) => {
+  // Custom roles from an imported/edited roster stay selectable alongside the standard ones
+  const roleOptions = [...new Set([...ROLES, ...team.map(m => m.role)])];
+
+  const updateRep = (id, changes) => {
+    onChange(team.map(m => (m.id === id ? { ...m, ...changes } : m)));
+  };
+
+  const togglePriority = (rep, tierId, on) => {
+    const tiers = (rep.priorityTiers || []).filter(t => t !== tierId);
+    updateRep(rep.id, { priorityTiers: on ? [...tiers, tierId] : tiers });
+  };
+
+  const removeRep = (rep) => {
+    if (rep.cards > 0 && !window.confirm(`${rep.name} still has ${rep.cards} active card(s). Remove anyway?`)) return;
+    onChange(team.filter(m => m.id !== rep.id));
+  };
+
+  return (
+    <section className="rules-admin roster-editor fade-in">
+      <div className="section-header">
+        <h3>TEAM ROSTER</h3>
+        <div className="rules-toolbar">
+          <button onClick={() => onChange([...team, createRep(team)])}>+ ADD REP</button>
+          <button onClick={onClose}>CLOSE</button>
+        </div>
+      </div>
+
+      <p className="rules-help">
+        Reps who are out, at lunch or at capacity are skipped by routing until they are marked available again.
+        A cap stops load balancing from handing a rep more work once they hold that many cards or pages.
+        Priority orders go to reps ticked for their tier; if nobody is ticked, any Order Entry rep can take them.
+      </p>
+
+      {!team.some(m => m.role === "Order Entry") && (
+        <div className="message error-message">
+          No Order Entry reps on the roster. Standard orders will be left unassigned.
+        </div>
+      )}
+
+      <datalist id="roster-roles">
+        {roleOptions.map(role => <option key={role} value={role} />)}
+      </datalist>
+
+      <table className="roster-table">
+        <thead>
+          <tr>
+            <th>Color</th>
+            <th>Name</th>
+            <th>Role</th>
+            <th>Availability</th>
+            <th>Cap (cards / pages)</th>
+            <th>Priority</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {team.map(rep => (
+            <tr key={rep.id}>
+              <td>
+                <input
+                  type="color"
+                  value={rep.color}
+                  onChange={(e) => updateRep(rep.id, { color: e.target.value })}
+                />
+              </td>
+              <td>
+                <input
+                  type="text"
+                  value={rep.name}
+                  onChange={(e) => updateRep(rep.id, { name: e.target.value })}
+                />
+              </td>
+              <td>
+                <input
+                  type="text"
+                  list="roster-roles"
+                  value={rep.role}
+                  onChange={(e) => updateRep(rep.id, { role: e.target.value })}
+                />
+              </td>
+              <td>
+                <select
+                  value={rep.status || "available"}
+                  onChange={(e) => updateRep(rep.id, { status: e.target.value })}
+                >
+                  {REP_STATUSES.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+                </select>
+              </td>
+              <td>
+                <div className="range-inputs">
+                  <input
+                    type="number"
+                    min="0"
+                    placeholder="default"
+                    value={rep.maxCards ?? ""}
+                    onChange={(e) => updateRep(rep.id, { maxCards: toCap(e.target.value) })}
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    placeholder="default"
+                    value={rep.maxPages ?? ""}
+                    onChange={(e) => updateRep(rep.id, { maxPages: toCap(e.target.value) })}
+                  />
+                </div>
+              </td>
+              <td className="priority-checks">
+                {PRIORITY_OPTIONS.map(tier => (
+                  <label key={tier.id}>
+                    <input
+                      type="checkbox"
+                      checked={(rep.priorityTiers || []).includes(tier.id)}
+                      onChange={(e) => togglePriority(rep, tier.id, e.target.checked)}
+                    />
+                    {" "}{tier.label}
+                  </label>
+                ))}
+              </td>
+              <td className="rule-header">
+                <button className="danger" onClick={() => removeRep(rep)}>REMOVE</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </section>
+  );
+};
+
+export default RosterEditor;
@@ -0,0 +1,400 @@
+import React, { useState } from "react";
+import { ACTION_TYPES, DEFAULT_RULE_SET, ruleProblem, validateRuleSet } from "./routingRules";
+import { downloadText } from "./lineItems";
+import { normalizeBalancing } from "./loadBalancing";
+
+// Comma separated text <-> list. List inputs commit on blur so typing a comma isn't eaten.
+const toList = (text) => text.split(",").map(s => s.trim()).filter(Boolean);
+const fromList = (list) => (list || []).join(", ");
+
+const toNumberOrUndefined = (value) => (value === "" ? undefined : Number(value));
+
+const RangeInput = ({ label, range, onChange }) => (
+  <div className="rule-field">
+    <label>{label}</label>
+    <div className="range-inputs">
+      <input
+        type="number"
+        placeholder="min"
+        value={range?.min ?? ""}
+        onChange={(e) => onChange({ ...range, min: toNumberOrUndefined(e.target.value) })}
+      />
+      <input
+        type="number"
+        placeholder="max"
+        value={range?.max ?? ""}
+        onChange={(e) => onChange({ ...range, max: toNumberOrUndefined(e.target.value) })}
+      />
+    </div>
+  </div>
+);
+
+const ListInput = ({ label, list, onChange }) => (
+  <div className="rule-field">
+    <label>{label}</label>
+    <input
+      type="text"
+      defaultValue={fromList(list)}
+      placeholder="comma separated"
+      onBlur={(e) => onChange(toList(e.target.value))}
+    />
+  </div>
+);
+
+const RulesAdmin = ({ ruleSet, onChange, onClose, title = "ROUTING RULES :: ADMIN" }) => {
+  const [importError, setImportError] = useState(null);
+  // Bumped on import/reset so the uncontrolled list inputs pick up the new values
+  const [revision, setRevision] = useState(0);
+
+  const replaceRuleSet = (next) => {
+    onChange(next);
+    setRevision(r => r + 1);
+  };
+
+  // An edit that leaves a rule without what it needs (e.g. a route with no target) switches it
+  // off; it can be switched back on once it's complete
+  const updateRule = (id, changes) => {
+    const update = (rule) => {
+      const next = { ...rule, ...changes };
+      return next.enabled && ruleProblem(next) ? { ...next, enabled: false } : next;
+    };
+    onChange({ ...ruleSet, rules: ruleSet.rules.map(r => (r.id === id ? update(r) : r)) });
+  };
+
+  const updateCondition = (rule, field, value) => {
+    const conditions = { ...rule.conditions };
+    const isEmptyRange = value && typeof value === "object" && !Array.isArray(value) &&
+      value.min === undefined && value.max === undefined;
+    if (value === undefined || isEmptyRange || (Array.isArray(value) && value.length === 0)) {
+      delete conditions[field];
+    } else {
+      conditions[field] = value;
+    }
+    updateRule(rule.id, { conditions });
+  };
+
+  const updateAction = (rule, changes) => updateRule(rule.id, { action: { ...rule.action, ...changes } });
+
+  const moveRule = (index, delta) => {
+    const rules = [...ruleSet.rules];
+    const target = index + delta;
+    if (target < 0 || target >= rules.length) return;
+    [rules[index], rules[target]] = [rules[target], rules[index]];
+    onChange({ ...ruleSet, rules });
+  };
+
+  const addRule = () => {
+    const rule = {
+      id: `rule-${Date.now()}`,
+      name: "New rule",
+      enabled: false,
+      conditions: {},
+      action: { type: "flag", flag: "REVIEW" },
+    };
+    onChange({ ...ruleSet, rules: [...ruleSet.rules, rule] });
+  };
+
+  const removeRule = (id) => onChange({ ...ruleSet, rules: ruleSet.rules.filter(r => r.id !== id) });
+
+  const updateException = (id, changes) => {
+    onChange({
+      ...ruleSet,
+      exceptions: ruleSet.exceptions.map(ex => (ex.id === id ? { ...ex, ...changes } : ex)),
+    });
+  };
+
+  const addException = () => {
+    const exception = { id: `ex-${Date.now()}`, name: "", enabled: true, partNumberStartsWith: "", prefixes: [] };
+    onChange({ ...ruleSet, exceptions: [...ruleSet.exceptions, exception] });
+  };
+
+  const removeException = (id) => {
+    onChange({ ...ruleSet, exceptions: ruleSet.exceptions.filter(ex => ex.id !== id) });
+  };
+
+  const balancing = normalizeBalancing(ruleSet.balancing);
+
+  const updateBalancing = (changes) => onChange({ ...ruleSet, balancing: { ...balancing, ...changes } });
+
+  const updateWeight = (key, value) =>
+    updateBalancing({ weights: { ...balancing.weights, [key]: toNumberOrUndefined(value) ?? 0 } });
+
+  const updateFlagWeights = (flags) => updateBalancing({ weights: { ...balancing.weights, flags } });
+
+  const renameFlagWeight = (oldFlag, newFlag) => {
+    const flags = {};
+    Object.entries(balancing.weights.flags).forEach(([flag, weight]) => {
+      flags[flag === oldFlag ? newFlag : flag] = weight;
+    });
+    updateFlagWeights(flags);
+  };
+
+  const removeFlagWeight = (flag) => {
+    const { [flag]: removed, ...flags } = balancing.weights.flags;
+    updateFlagWeights(flags);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const imported = validateRuleSet(JSON.parse(await file.text()));
+      replaceRuleSet(imported);
+      setImportError(null);
+    } catch (err) {
+      setImportError(err instanceof SyntaxError ? "File is not valid JSON." : err.message);
+    }
+  };
+
+  return (
+    <section className="rules-admin fade-in">
+      <div className="section-header">
+        <h3>{title}</h3>
+        <div className="rules-toolbar">
+          <button
+            onClick={() => downloadText(JSON.stringify(ruleSet, null, 2), "routing-rules.json", "application/json")}
+          >
+            EXPORT JSON
+          </button>
+          <label className="rules-import">
+            IMPORT JSON
+            <input type="file" accept="application/json,.json" onChange={handleImport} />
+          </label>
+          <button onClick={() => replaceRuleSet(DEFAULT_RULE_SET)}>RESET DEFAULTS</button>
+          <button onClick={onClose}>CLOSE</button>
+        </div>
+      </div>
+
+      {importError && <div className="message error-message">Import failed: {importError}</div>}
+
+      <p className="rules-help">
+        Rules run top to bottom. The first matching route rule decides the assignee; flag rules always apply.
+        Orders that match no route rule fall through to Order Entry load balancing.
+      </p>
+
+      <div className="rules-list" key={revision}>
+        {ruleSet.rules.map((rule, index) => {
+          const problem = ruleProblem(rule);
+          return (
+            <div key={rule.id} className={`rule-card${rule.enabled ? "" : " rule-disabled"}`}>
+              <div className="rule-header">
+                <input
+                  type="checkbox"
+                  checked={rule.enabled}
+                  disabled={!rule.enabled && Boolean(problem)}
+                  title={problem ? `Can't enable: this rule ${problem}.` : undefined}
+                  onChange={(e) => updateRule(rule.id, { enabled: e.target.checked })}
+                />
+                <input
+                  type="text"
+                  className="rule-name"
+                  value={rule.name}
+                  onChange={(e) => updateRule(rule.id, { name: e.target.value })}
+                />
+                <button onClick={() => moveRule(index, -1)} disabled={index === 0}>▲</button>
+                <button onClick={() => moveRule(index, 1)} disabled={index === ruleSet.rules.length - 1}>▼</button>
+                <button className="danger" onClick={() => removeRule(rule.id)}>DELETE</button>
+              </div>
+
+              {problem && <p className="review-error">Disabled: this rule {problem}.</p>}
+
+              <div className="rule-body">
+                <ListInput
+                  label="Line prefixes"
+                  list={rule.conditions.prefixes}
+                  onChange={(v) => updateCondition(rule, "prefixes", v)}
+                />
+                <ListInput
+                  label="Keywords"
+                  list={rule.conditions.keywords}
+                  onChange={(v) => updateCondition(rule, "keywords", v)}
+                />
+                <ListInput
+                  label="Customer (name/email contains)"
+                  list={rule.conditions.customers}
+                  onChange={(v) => updateCondition(rule, "customers", v)}
+                />
+                <RangeInput
+                  label="Line count"
+                  range={rule.conditions.lineCount}
+                  onChange={(v) => updateCondition(rule, "lineCount", v)}
+                />
+                <RangeInput
+                  label="Page count"
+                  range={rule.conditions.pageCount}
+                  onChange={(v) => updateCondition(rule, "pageCount", v)}
+                />
+
+                <div className="rule-field">
+                  <label>Action</label>
+                  <select value={rule.action.type} onChange={(e) => updateAction(rule, { type: e.target.value })}>
+                    {ACTION_TYPES.map(type => <option key={type} value={type}>{type.toUpperCase()}</option>)}
+                  </select>
+                </div>
+
+                {rule.action.type === "route" && (
+                  <>
+                    <div className="rule-field">
+                      <label>Role (contains)</label>
+                      <input
+                        type="text"
+                        value={rule.action.role || ""}
+                        onChange={(e) => updateAction(rule, { role: e.target.value || undefined })}
+                      />
+                    </div>
+                    <div className="rule-field">
+                      <label>Or person</label>
+                      <input
+                        type="text"
+                        value={rule.action.person || ""}
+                        onChange={(e) => updateAction(rule, { person: e.target.value || undefined })}
+                      />
+                    </div>
+                  </>
+                )}
+
+                {rule.action.type === "flag" && (
+                  <div className="rule-field">
+                    <label>Flag</label>
+                    <input
+                      type="text"
+                      value={rule.action.flag || ""}
+                      onChange={(e) => updateAction(rule, { flag: e.target.value })}
+                    />
+                  </div>
+                )}
+
+                {rule.action.type !== "flag" && (
+                  <div className="rule-field">
+                    <label>Reason {"({prefix}, {keyword}, {customer})"}</label>
+                    <input
+                      type="text"
+                      value={rule.action.reason || ""}
+                      onChange={(e) => updateAction(rule, { reason: e.target.value })}
+                    />
+                  </div>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+      <button className="rules-add" onClick={addRule}>+ ADD RULE</button>
+
+      <h4 className="rules-subtitle">PREFIX EXCEPTIONS</h4>
+      <p className="rules-help">
+        A line whose part number starts with the given text and carries one of the listed prefixes is ignored by
+        prefix rules.
+      </p>
+      <div className="rules-list" key={`ex-${revision}`}>
+        {ruleSet.exceptions.map(ex => (
+          <div key={ex.id} className={`rule-card${ex.enabled ? "" : " rule-disabled"}`}>
+            <div className="rule-header">
+              <input
+                type="checkbox"
+                checked={ex.enabled}
+                onChange={(e) => updateException(ex.id, { enabled: e.target.checked })}
+              />
+              <input
+                type="text"
+                className="rule-name"
+                value={ex.name}
+                placeholder="Description"
+                onChange={(e) => updateException(ex.id, { name: e.target.value })}
+              />
+              <button className="danger" onClick={() => removeException(ex.id)}>DELETE</button>
+            </div>
+            <div className="rule-body">
+              <div className="rule-field">
+                <label>Part number starts with</label>
+                <input
+                  type="text"
+                  value={ex.partNumberStartsWith}
+                  onChange={(e) => updateException(ex.id, { partNumberStartsWith: e.target.value })}
+                />
+              </div>
+              <ListInput
+                label="Prefixes"
+                list={ex.prefixes}
+                onChange={(v) => updateException(ex.id, { prefixes: v })}
+              />
+            </div>
+          </div>
+        ))}
+      </div>
+      <button className="rules-add" onClick={addException}>+ ADD EXCEPTION</button>
+
+      <h4 className="rules-subtitle">LOAD BALANCING</h4>
+      <p className="rules-help">
+        Standard orders go to the available Order Entry rep with the lowest score. Each weight multiplies what the
+        rep currently holds; a flag weight counts their open cards carrying that flag. Ties go to whoever was
+        assigned least recently. Reps at a cap are skipped (a cap set on the roster wins over the default).
+      </p>
+      <div className="rule-card">
+        <div className="rule-body">
+          {["pages", "cards", "lines"].map(key => (
+            <div className="rule-field" key={key}>
+              <label>Weight per {key.replace(/s$/, "")}</label>
+              <input
+                type="number"
+                step="0.1"
+                value={balancing.weights[key]}
+                onChange={(e) => updateWeight(key, e.target.value)}
+              />
+            </div>
+          ))}
+          <div className="rule-field">
+            <label>Default card cap</label>
+            <input
+              type="number"
+              placeholder="none"
+              value={balancing.maxCards ?? ""}
+              onChange={(e) => updateBalancing({ maxCards: toNumberOrUndefined(e.target.value) ?? null })}
+            />
+          </div>
+          <div className="rule-field">
+            <label>Default page cap</label>
+            <input
+              type="number"
+              placeholder="none"
+              value={balancing.maxPages ?? ""}
+              onChange={(e) => updateBalancing({ maxPages: toNumberOrUndefined(e.target.value) ?? null })}
+            />
+          </div>
+        </div>
+        <div className="rule-body" key={`flags-${revision}`}>
+          {Object.entries(balancing.weights.flags).map(([flag, weight]) => (
+            <div className="rule-field" key={flag}>
+              <label>Flag weight</label>
+              <div className="flag-weight">
+                <input
+                  type="text"
+                  defaultValue={flag}
+                  onBlur={(e) => e.target.value.trim() && renameFlagWeight(flag, e.target.value.trim())}
+                />
+                <input
+                  type="number"
+                  step="0.1"
+                  value={weight}
+                  onChange={(e) =>
+                    updateFlagWeights({ ...balancing.weights.flags, [flag]: toNumberOrUndefined(e.target.value) ?? 0 })}
+                />
+                <button className="danger" onClick={() => removeFlagWeight(flag)}>✕</button>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+      <button
+        className="rules-add"
+        onClick={() => updateFlagWeights({ ...balancing.weights.flags, "NEW FLAG": 1 })}
+        disabled={"NEW FLAG" in balancing.weights.flags}
+      >
+        + ADD FLAG WEIGHT
+      </button>
+    </section>
+  );
+};
+
+export default RulesAdmin;
@@ -0,0 +1,83 @@
+import React from "react";
+import RosterEditor from "./RosterEditor";
+import RulesAdmin from "./RulesAdmin";
+import CustomerDirectory from "./CustomerDirectory";
+import SimulationPanel from "./SimulationPanel";
+import { SETTINGS_SECTIONS } from "./navigation";
+import { APP_VERSION } from "./storage";
+
+// Everything that configures routing, one section at a time
+const SettingsView = ({
+  section, onSectionChange, onClose,
+  team, onTeamChange, ruleSet, onRuleSetChange, customers, onCustomersChange,
+  settings, onSettingsChange, history, onReset,
+}) => (
+  <div className="settings-view fade-in">
+    <div className="settings-tabs">
+      {SETTINGS_SECTIONS.map(s => (
+        <button
+          key={s.id}
+          className={`admin-btn${s.id === section ? " active" : ""}`}
+          onClick={() => onSectionChange(s.id)}
+        >
+          {s.label}
+        </button>
+      ))}
+    </div>
+
+    {section === "roster" && <RosterEditor team={team} onChange={onTeamChange} onClose={onClose} />}
+    {section === "rules" && <RulesAdmin ruleSet={ruleSet} onChange={onRuleSetChange} onClose={onClose} />}
+    {section === "simulate" && (
+      <SimulationPanel
+        history={history}
+        team={team}
+        ruleSet={ruleSet}
+        customers={customers}
+        onApplyRules={onRuleSetChange}
+        onClose={onClose}
+      />
+    )}
+    {section === "customers" && (
+      <CustomerDirectory customers={customers} team={team} onChange={onCustomersChange} onClose={onClose} />
+    )}
+
+    {section === "general" && (
+      <section className="rules-admin">
+        <div className="section-header">
+          <h3>GENERAL</h3>
+          <span className="badge">v{APP_VERSION}</span>
+        </div>
+        <div className="rule-card settings-general">
+          <label>
+            Reviewer name
+            <input
+              type="text"
+              value={settings.reviewer}
+              placeholder="Stamped on reviews and card changes"
+              onChange={(e) => onSettingsChange({ ...settings, reviewer: e.target.value })}
+            />
+          </label>
+          <label>
+            My rep
+            <select
+              value={settings.myRepId ?? ""}
+              onChange={(e) => onSettingsChange({ ...settings, myRepId: e.target.value ? Number(e.target.value) : null })}
+            >
+              <option value="">None</option>
+              {team.map(m => <option key={m.id} value={m.id}>{m.name}</option>)}
+            </select>
+          </label>
+        </div>
+        <div className="rule-card settings-general">
+          <strong>SAVED DATA</strong>
+          <p className="rules-help">{history.length} routed order(s) on record in this browser.</p>
+          <div>
+            <button className="admin-btn" onClick={onReset}>RESET DATA</button>
+          </div>
+        </div>
+      </section>
+    )}
+  </div>
+);
+
+export default SettingsView;
@@ -0,0 +1,221 @@
+import React, { useState } from "react";
+import RulesAdmin from "./RulesAdmin";
+import { downloadText } from "./lineItems";
+import { START_MODES, historyCases, savedCases, simulateRouting, simulationCsv, startingTeam } from "./simulation";
+
+const LoadCell = ({ load, start }) => (load ? (
+  <td>
+    {load.cards} cards / {load.pages} pgs
+    {start && <small className="sim-delta"> (+{load.cards - start.cards} / +{load.pages - start.pages})</small>}
+  </td>
+) : <td>-</td>);
+
+const FlagDiff = ({ added, removed }) => (
+  <>
+    {added.map(f => <span key={`+${f}`} className="tag flag sim-flag-added">+{f}</span>)}
+    {removed.map(f => <span key={`-${f}`} className="tag sim-flag-removed">-{f}</span>)}
+  </>
+);
+
+// Dry run: replay routed orders or saved extraction JSON against candidate rules, off the live team
+const SimulationPanel = ({ history, team, ruleSet, customers, onApplyRules, onClose }) => {
+  const [source, setSource] = useState("history");
+  const [files, setFiles] = useState({ cases: [], names: [], errors: [] });
+  const [startMode, setStartMode] = useState("empty");
+  const [allAvailable, setAllAvailable] = useState(false);
+  const [candidate, setCandidate] = useState(ruleSet);
+  const [editing, setEditing] = useState(false);
+  const [showAll, setShowAll] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const replayable = historyCases(history);
+  const cases = source === "history" ? replayable : files.cases;
+
+  const loadFiles = async (e) => {
+    const picked = Array.from(e.target.files || []).filter(file => /\.json$/i.test(file.name));
+    e.target.value = "";
+    const next = { cases: [], names: [], errors: [] };
+    for (const file of picked) {
+      try {
+        next.cases.push(...savedCases(file.name, await file.text()));
+        next.names.push(file.name);
+      } catch (err) {
+        next.errors.push(`${file.name}: ${err instanceof SyntaxError ? "not valid JSON" : err.message}`);
+      }
+    }
+    setFiles(next);
+    setResult(null);
+  };
+
+  const run = () => {
+    setResult(simulateRouting(cases, startingTeam(team, { mode: startMode, allAvailable }), candidate, { customers }));
+  };
+
+  const applyCandidate = () => {
+    if (!window.confirm("Replace the live routing rules with the candidate rules?")) return;
+    onApplyRules(candidate);
+  };
+
+  const rows = result ? result.rows.filter(row => showAll || !row.original || row.changed ||
+    row.flagsAdded.length || row.flagsRemoved.length) : [];
+
+  return (
+    <section className="rules-admin simulation-panel fade-in">
+      <div className="section-header">
+        <h3>ROUTING DRY RUN</h3>
+        <div className="rules-toolbar">
+          <button
+            onClick={() => downloadText(simulationCsv(result), "routing-dry-run.csv", "text/csv")}
+            disabled={!result}
+          >
+            EXPORT CSV
+          </button>
+          <button onClick={onClose}>CLOSE</button>
+        </div>
+      </div>
+
+      <p className="rules-help">
+        Replays orders through the router with candidate rules and a starting team of your choice.
+        The live team, history and rules are not touched.
+      </p>
+
+      <div className="report-columns">
+        <div className="rule-card sim-options">
+          <strong>ORDERS</strong>
+          <label>
+            <input type="radio" checked={source === "history"} onChange={() => { setSource("history"); setResult(null); }} />
+            Routed orders ({replayable.length} with a saved extraction)
+          </label>
+          <label>
+            <input type="radio" checked={source === "files"} onChange={() => { setSource("files"); setResult(null); }} />
+            Saved extraction JSON ({files.cases.length} loaded)
+          </label>
+          {source === "files" && (
+            <div className="rules-toolbar">
+              <label className="rules-import">
+                PICK FILES
+                <input type="file" accept="application/json,.json" multiple onChange={loadFiles} />
+              </label>
+              <label className="rules-import">
+                PICK FOLDER
+                <input type="file" webkitdirectory="" onChange={loadFiles} />
+              </label>
+            </div>
+          )}
+          {source === "files" && files.errors.map(err => <p key={err} className="review-error">{err}</p>)}
+        </div>
+
+        <div className="rule-card sim-options">
+          <strong>STARTING TEAM</strong>
+          <select value={startMode} onChange={(e) => setStartMode(e.target.value)}>
+            {START_MODES.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+          </select>
+          <label>
+            <input type="checkbox" checked={allAvailable} onChange={(e) => setAllAvailable(e.target.checked)} />
+            Treat every rep as available
+          </label>
+          <strong>CANDIDATE RULES</strong>
+          <div className="rules-toolbar">
+            <button onClick={() => setEditing(!editing)}>{editing ? "HIDE EDITOR" : "EDIT CANDIDATE"}</button>
+            <button onClick={() => setCandidate(ruleSet)} disabled={candidate === ruleSet}>RESET TO LIVE</button>
+            <button onClick={applyCandidate} disabled={candidate === ruleSet}>APPLY AS LIVE</button>
+          </div>
+          <p className="rules-help">{candidate === ruleSet ? "Same as the live rules." : "Edited; differs from the live rules."}</p>
+        </div>
+      </div>
+
+      {editing && (
+        <RulesAdmin
+          title="CANDIDATE RULES"
+          ruleSet={candidate}
+          onChange={setCandidate}
+          onClose={() => setEditing(false)}
+        />
+      )}
+
+      <button className="process-btn" onClick={run} disabled={!cases.length}>
+        RUN DRY RUN ({cases.length} ORDER{cases.length === 1 ? "" : "S"})
+      </button>
+
+      {result && (
+        <>
+          <div className="report-stats">
+            <div className="report-stat"><label>Orders Replayed</label><span>{result.summary.orders}</span></div>
+            <div className="report-stat" title={`${result.summary.compared} with an original assignment to compare`}>
+              <label>Assignee Changed</label><span>{result.summary.changed}</span>
+            </div>
+            <div className="report-stat"><label>Desk Moves</label><span>{result.summary.deskMoves}</span></div>
+            <div className="report-stat"><label>Flag Changes</label><span>{result.summary.flagChanges}</span></div>
+          </div>
+
+          {result.deskMoves.length > 0 && (
+            <div className="rule-card">
+              <strong>DESK MOVES</strong>
+              <ul className="sim-moves">
+                {result.deskMoves.map(m => <li key={`${m.from}>${m.to}`}>{m.from} → {m.to}: <strong>{m.count}</strong></li>)}
+              </ul>
+            </div>
+          )}
+
+          <div className="rule-card">
+            <div className="rule-header">
+              <strong>ORDERS</strong>
+              <label>
+                <input type="checkbox" checked={showAll} onChange={(e) => setShowAll(e.target.checked)} /> Show unchanged
+              </label>
+            </div>
+            {rows.length ? (
+              <table className="roster-table">
+                <thead>
+                  <tr><th>Order</th><th>Original</th><th>Simulated</th><th>Flags</th><th>Simulated Reason</th></tr>
+                </thead>
+                <tbody>
+                  {rows.map(row => (
+                    <tr key={row.id} className={row.deskChange ? "sim-desk-move" : ""}>
+                      <td>{row.label}</td>
+                      <td>{row.original ? row.original.route : <em>not routed</em>}</td>
+                      <td>
+                        {row.simulated.route}
+                        {row.deskChange && <small className="sim-delta"> ({row.deskChange.from} → {row.deskChange.to})</small>}
+                      </td>
+                      <td>
+                        {row.original
+                          ? <FlagDiff added={row.flagsAdded} removed={row.flagsRemoved} />
+                          : row.simulated.flags.map(f => <span key={f} className="tag flag">{f}</span>)}
+                      </td>
+                      <td>{row.simulated.reason}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : (
+              <p className="placeholder">Every order lands where it did before.</p>
+            )}
+          </div>
+
+          <div className="rule-card">
+            <strong>FINAL LOAD PER REP</strong>
+            <table className="roster-table">
+              <thead>
+                <tr><th>Rep</th><th>Role</th><th>Start</th><th>Original</th><th>Simulated</th></tr>
+              </thead>
+              <tbody>
+                {result.loads.map(l => (
+                  <tr key={l.id}>
+                    <td>{l.name}</td>
+                    <td>{l.role}</td>
+                    <LoadCell load={l.start} />
+                    <LoadCell load={l.original} start={l.start} />
+                    <LoadCell load={l.simulated} start={l.start} />
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </section>
+  );
+};
+
+export default SimulationPanel;
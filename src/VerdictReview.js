@@ -0,0 +1,107 @@
+import React, { useState } from "react";
+import { isAvailable, statusLabel } from "./team";
+
+const REVIEW_LABELS = {
+  accepted: "ACCEPTED",
+  reassigned: "REASSIGNED",
+  rerouted: "RE-RUN",
+  released: "RELEASED FROM HOLD",
+};
+
+// Accept / Reassign / Re-run controls for the TARGET ASSIGNMENT verdict, plus Release for an
+// order in the review hold. Every action needs a reviewer name; a reassignment also needs a reason.
+const VerdictReview = ({ order, team, reviewer, onReviewerChange, onAccept, onReassign, onRerun, onRelease, stats }) => {
+  const [mode, setMode] = useState(null);
+  const [targetId, setTargetId] = useState("");
+  const [reason, setReason] = useState("");
+  const [formError, setFormError] = useState(null);
+
+  const candidates = team.filter(m => m.id !== order.repId);
+
+  const requireReviewer = () => {
+    if (!reviewer.trim()) {
+      setFormError("Enter your name as reviewer first.");
+      return false;
+    }
+    return true;
+  };
+
+  const submitReassign = () => {
+    if (!requireReviewer()) return;
+    if (!targetId) return setFormError("Pick the rep to reassign to.");
+    if (!reason.trim()) return setFormError("A reason is required for every reassignment.");
+    onReassign(Number(targetId), reason.trim());
+    setMode(null);
+    setTargetId("");
+    setReason("");
+    setFormError(null);
+  };
+
+  const runAction = (action) => {
+    if (!requireReviewer()) return;
+    setFormError(null);
+    setMode(null);
+    action();
+  };
+
+  return (
+    <div className="verdict-review">
+      {order.review && (
+        <p className="review-status">
+          {REVIEW_LABELS[order.review.status]} BY {order.review.by.toUpperCase()}
+          {order.review.originalRoute && ` (WAS ${order.review.originalRoute})`}
+        </p>
+      )}
+
+      <div className="review-reviewer">
+        <label>Reviewer</label>
+        <input
+          type="text"
+          value={reviewer}
+          placeholder="Your name"
+          onChange={(e) => onReviewerChange(e.target.value)}
+        />
+      </div>
+
+      <div className="review-actions">
+        <button onClick={() => runAction(onAccept)}>ACCEPT</button>
+        <button onClick={() => setMode(mode === "reassign" ? null : "reassign")}>REASSIGN</button>
+        <button onClick={() => runAction(onRerun)}>RE-RUN</button>
+        {onRelease && (
+          <button onClick={() => runAction(onRelease)} title="Weak fields checked: route this order normally">
+            RELEASE
+          </button>
+        )}
+      </div>
+
+      {mode === "reassign" && (
+        <div className="review-form">
+          <select value={targetId} onChange={(e) => setTargetId(e.target.value)}>
+            <option value="">Select rep...</option>
+            {candidates.map(m => (
+              <option key={m.id} value={m.id}>
+                {m.name} ({m.role}, {m.totalPages}pgs){isAvailable(m) ? "" : ` - ${statusLabel(m.status)}`}
+              </option>
+            ))}
+          </select>
+          <textarea
+            value={reason}
+            placeholder="Why is the rules engine wrong here?"
+            onChange={(e) => setReason(e.target.value)}
+          />
+          <button onClick={submitReassign}>CONFIRM REASSIGN</button>
+        </div>
+      )}
+
+      {formError && <p className="review-error">{formError}</p>}
+
+      {stats.reviewed > 0 && (
+        <p className="review-stats">
+          OVERRIDE RATE: {stats.overridden}/{stats.reviewed} REVIEWED ({Math.round(stats.rate * 100)}%)
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default VerdictReview;
@@ -0,0 +1,77 @@
+import { applyAssignment, removeAssignment } from "./routing";
+import { HOLD_ROUTE } from "./confidence";
+
+// --- OPEN-CARD LIFECYCLE ---
+// Every routed order (a history entry) is a card on its assignee's queue:
+//   assigned -> in_progress -> on_hold / entered -> closed
+// Any state can move to any other; the team load only changes when a card crosses the
+// closed line. Closing takes the card and its pages off the rep, reopening puts them back,
+// so cards/totalPages always describe open work and load balancing sees live numbers.
+
+export const CARD_STATUSES = [
+  { value: "assigned", label: "Assigned" },
+  { value: "in_progress", label: "In Progress" },
+  { value: "on_hold", label: "On Hold" },
+  { value: "entered", label: "Entered" },
+  { value: "closed", label: "Closed" },
+];
+
+export const cardStatusLabel = (status) =>
+  (CARD_STATUSES.find(s => s.value === status) || CARD_STATUSES[0]).label;
+
+export const isOpenCard = (entry) => (entry.status || "assigned") !== "closed";
+
+// Orders waiting in the low-confidence review hold, oldest first. They belong to no rep
+// until a reviewer releases or reassigns them.
+export const heldOrders = (history) => history
+  .filter(entry => entry.route === HOLD_ROUTE && isOpenCard(entry))
+  .sort((a, b) => Date.parse(a.routedAt) - Date.parse(b.routedAt));
+
+// Open orders no rep holds outside the review hold: a department queue ("Quotes Dept") with no
+// one on the roster to take it, or "Unassigned" when nobody had capacity. Oldest first.
+export const unassignedOrders = (history) => history
+  .filter(entry => entry.repId == null && entry.route !== HOLD_ROUTE && isOpenCard(entry))
+  .sort((a, b) => Date.parse(a.routedAt) - Date.parse(b.routedAt));
+
+// What applyAssignment/removeAssignment need from a history entry
+const asDecision = (entry) => ({
+  repId: entry.repId,
+  pageCount: entry.pageCount,
+  lineCount: entry.lineCount || 0,
+  flags: entry.flags,
+  addsLoad: entry.addsLoad,
+});
+
+// The order screen's copy of a history entry: the saved extraction plus the routing, including
+// the page and line counts its assignment added, so a reassignment or re-run started from
+// history takes exactly that load back off the rep
+export const orderFromHistory = (entry) => {
+  const { route, repId, reason, reasonCategory, evidence, fileName, review, addsLoad, priority, documentType, slaDueAt } = entry;
+  return {
+    ...entry.extraction, ...asDecision(entry), route, repId, reason, reasonCategory, evidence, fileName, review, addsLoad,
+    priority, documentType, slaDueAt, holdReleased: entry.holdReleased || null, historyId: entry.id,
+  };
+};
+
+// Returns the updated entry. Reaching entered or closed stops the SLA clock.
+export const transitionCard = (entry, status, by = "", at = new Date().toISOString()) => {
+  const from = entry.status || "assigned";
+  if (from === status) return entry;
+  const done = status === "entered" || status === "closed";
+  return {
+    ...entry,
+    status,
+    enteredAt: done ? entry.enteredAt || at : entry.enteredAt,
+    closedAt: status === "closed" ? at : null,
+    statusLog: [...(entry.statusLog || []), { from, to: status, at, by }],
+  };
+};
+
+// Team load after `entry` moves to `status`
+export const applyCardLoad = (team, entry, status) => {
+  const wasOpen = isOpenCard(entry);
+  const willBeOpen = status !== "closed";
+  if (wasOpen && !willBeOpen) return removeAssignment(team, asDecision(entry));
+  if (!wasOpen && willBeOpen) return applyAssignment(team, asDecision(entry));
+  return team;
+};
@@ -0,0 +1,67 @@
+import { applyCardLoad, heldOrders, isOpenCard, orderFromHistory, transitionCard, unassignedOrders } from './cards';
+import { determineRouting, transferAssignment } from './routing';
+import { createHistoryEntry } from './storage';
+import { INITIAL_TEAM } from './team';
+
+const team = [{ id: 1, name: 'Rep', role: 'Order Entry', cards: 3, totalPages: 20, totalLines: 9, flagCounts: { '10+ LINES': 1 } }];
+const card = { id: 'h1', repId: 1, pageCount: 5, lineCount: 4, flags: ['10+ LINES'], status: 'in_progress', routedAt: '2024-01-01T00:00:00Z' };
+
+test('closing a card takes its pages off the rep and reopening puts them back', () => {
+  const closed = applyCardLoad(team, card, 'closed');
+  expect(closed[0]).toMatchObject({ cards: 2, totalPages: 15, totalLines: 5, flagCounts: { '10+ LINES': 0 } });
+
+  const closedCard = transitionCard(card, 'closed', 'Sup', '2024-01-01T03:00:00Z');
+  expect(isOpenCard(closedCard)).toBe(false);
+  expect(applyCardLoad(closed, closedCard, 'on_hold')[0]).toMatchObject({ cards: 3, totalPages: 20 });
+});
+
+test('moves between open states leave the load alone', () => {
+  expect(applyCardLoad(team, card, 'on_hold')).toBe(team);
+  expect(applyCardLoad(team, { ...card, addsLoad: false }, 'closed')).toEqual(team);
+});
+
+test('transitions keep an audit trail and stop the SLA clock once entered', () => {
+  const entered = transitionCard(card, 'entered', 'Sup', '2024-01-01T02:00:00Z');
+  expect(entered.enteredAt).toBe('2024-01-01T02:00:00Z');
+  expect(entered.statusLog).toEqual([{ from: 'in_progress', to: 'entered', at: '2024-01-01T02:00:00Z', by: 'Sup' }]);
+  const closed = transitionCard(entered, 'closed', 'Sup', '2024-01-01T05:00:00Z');
+  expect(closed).toMatchObject({ enteredAt: '2024-01-01T02:00:00Z', closedAt: '2024-01-01T05:00:00Z' });
+  expect(transitionCard(closed, 'closed')).toBe(closed);
+});
+
+test('the review hold lists open held orders, oldest first', () => {
+  const history = [
+    { id: 'a', route: 'Review Hold', repId: null, routedAt: '2024-01-02T00:00:00Z' },
+    { id: 'b', route: 'Review Hold', repId: null, routedAt: '2024-01-01T00:00:00Z' },
+    { id: 'c', route: 'Review Hold', repId: null, routedAt: '2024-01-01T00:00:00Z', status: 'closed' },
+    { id: 'd', route: 'Rep', repId: 1, routedAt: '2024-01-01T00:00:00Z' },
+  ];
+  expect(heldOrders(history).map(e => e.id)).toEqual(['b', 'a']);
+});
+
+test('a quote request with no Quotes rep on the roster waits in a visible queue', () => {
+  const quote = { pageCount: 1, documentType: 'quote_request', lineItems: [] };
+  const decision = determineRouting(quote, INITIAL_TEAM);
+  expect(decision).toMatchObject({ route: 'Quotes Dept', repId: null });
+  expect(decision.logs).toContain('! WARNING: No Quotes rep on the roster. Waiting under REVIEW HOLD until one is added.');
+
+  const entry = { ...createHistoryEntry(quote, decision, 'rfq.pdf', null), routedAt: '2024-01-01T00:00:00Z' };
+  const history = [
+    entry,
+    { id: 'held', route: 'Review Hold', repId: null, routedAt: '2024-01-01T00:00:00Z' },
+    { id: 'done', route: 'Chargebacks Dept', repId: null, routedAt: '2024-01-01T00:00:00Z', status: 'closed' },
+    { id: 'rep', route: 'Rep', repId: 1, routedAt: '2024-01-01T00:00:00Z' },
+  ];
+  expect(unassignedOrders(history).map(e => e.id)).toEqual([entry.id]);
+});
+
+test('reassigning an order opened from history moves its lines too', () => {
+  const reps = [...team, { id: 2, name: 'Other', role: 'Order Entry', cards: 0, totalPages: 0, totalLines: 0, flagCounts: {} }];
+  const entry = { ...card, route: 'Rep', extraction: { poNumber: 'PO-1', pageCount: 9, lineItems: [{}, {}, {}, {}] } };
+  const order = orderFromHistory(entry);
+  expect(order).toMatchObject({ poNumber: 'PO-1', pageCount: 5, lineCount: 4, flags: ['10+ LINES'], historyId: 'h1' });
+
+  const [from, to] = transferAssignment(reps, order, 2);
+  expect(from).toMatchObject({ cards: 2, totalPages: 15, totalLines: 5, flagCounts: { '10+ LINES': 0 } });
+  expect(to).toMatchObject({ cards: 1, totalPages: 5, totalLines: 4, flagCounts: { '10+ LINES': 1 } });
+});
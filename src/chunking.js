@@ -0,0 +1,122 @@
+// --- PAGE CHUNKING FOR LARGE POs ---
+// Long documents are extracted a few pages at a time so the model returns every line
+// instead of a sample. Each chunk is normalized on its own, then the chunks are merged
+// into one order: header fields from the first chunk that has them, keywords unioned,
+// pages de-duplicated and line items de-duplicated across chunk boundaries.
+
+export const CHUNK_PAGES = Number(process.env.REACT_APP_CHUNK_PAGES) || 4;
+
+// Splits the pages to extract (not necessarily contiguous) into groups of `size`
+export const planChunks = (pageNumbers, size = CHUNK_PAGES) => {
+  const chunks = [];
+  for (let i = 0; i < pageNumbers.length; i += size) chunks.push(pageNumbers.slice(i, i + size));
+  return chunks;
+};
+
+const describePages = (pages) =>
+  pages.length > 1 && pages[pages.length - 1] - pages[0] === pages.length - 1
+    ? `${pages[0]}-${pages[pages.length - 1]}`
+    : pages.join(", ");
+
+export const chunkPrompt = (basePrompt, pages, index, total) => `${basePrompt}
+  CHUNK ${index + 1} OF ${total}:
+  - Only extract line items printed on pages ${describePages(pages)}.
+  - "pageNumber" is the page number in the whole document, not within this chunk.
+  - Only return "pages" entries for those pages.
+  - Still return customerInfo, poNumber and routingKeywords if they are visible.
+`;
+
+const HEADER_FIELDS = ["poNumber", "pageCount", "totalLineCount"];
+
+const compactPart = (partNumber) => (partNumber || "").toUpperCase().replace(/[\s-]+/g, "");
+
+const lineKey = (item) => [
+  item.lineNumber || `p${item.pageNumber}`,
+  compactPart(item.partNumber),
+  item.quantity ?? "",
+].join("|");
+
+const lineOrder = (item) => {
+  const n = parseInt(item.lineNumber, 10);
+  return Number.isNaN(n) ? Infinity : n;
+};
+
+// chunkResults: [{ pages: [pageNumber], data, warnings }] with `data` already normalized
+export const mergeChunks = (chunkResults) => {
+  const lineItems = [];
+  // A line dropped as a boundary twin -> the line kept in its place
+  const keptAs = new Map();
+  let previous = null;
+  const placedByChunk = chunkResults.map(({ pages, data }) => {
+    const placed = data.lineItems.map(item => (item.pageNumber ? item : { ...item, pageNumber: pages[0] }));
+    // A line straddling the page break can be read by both neighbouring chunks. Only lines on
+    // those two pages are compared, and each line of the previous chunk cancels at most one
+    // twin, so identical lines repeated on a PO (one per opening) all survive.
+    const boundary = previous ? [previous.pages[previous.pages.length - 1], pages[0]] : [];
+    const twins = previous ? previous.lines.filter(item => boundary.includes(item.pageNumber)) : [];
+    placed.forEach(item => {
+      const twin = boundary.includes(item.pageNumber) ? twins.findIndex(t => lineKey(t) === lineKey(item)) : -1;
+      if (twin === -1) {
+        lineItems.push(item);
+      } else {
+        keptAs.set(item, twins[twin]);
+        twins.splice(twin, 1);
+      }
+    });
+    previous = { pages, lines: placed };
+    return placed;
+  });
+
+  lineItems.sort((a, b) => (a.pageNumber - b.pageNumber) || (lineOrder(a) - lineOrder(b)));
+  lineItems.forEach((item, i) => {
+    if (!item.lineNumber) item.lineNumber = String(i + 1);
+  });
+
+  const pagesByNumber = new Map();
+  chunkResults.forEach(({ data }) => data.pages.forEach(page => {
+    if (!pagesByNumber.has(page.pageNumber)) pagesByNumber.set(page.pageNumber, page);
+  }));
+
+  const withHeader = (field) => chunkResults.find(({ data }) => data[field])?.data[field] ?? null;
+
+  const merged = {
+    ...chunkResults[0].data,
+    customerInfo: chunkResults.find(({ data }) => data.customerInfo?.name)?.data.customerInfo
+      || chunkResults[0].data.customerInfo,
+    poNumber: withHeader("poNumber"),
+    orderNumber: withHeader("orderNumber"),
+    quoteNumber: withHeader("quoteNumber"),
+    routingKeywords: [...new Set(chunkResults.flatMap(({ data }) => data.routingKeywords))],
+    lineItems,
+    totalLineCount: lineItems.length,
+    pages: [...pagesByNumber.values()].sort((a, b) => a.pageNumber - b.pageNumber),
+    chunks: chunkResults.map(({ pages, data }) => ({ pages, lineCount: data.lineItems.length })),
+  };
+
+  // Header fields are judged on the merged order, not on each chunk that happened not to show
+  // them. Paths into a chunk's lines and pages are renumbered to the merged order, so confidence
+  // finds them; the chunk's page range is kept beside the path.
+  const mergedIndex = (chunk, list, i) => {
+    if (list === "pages") {
+      const page = chunkResults[chunk].data.pages[i];
+      return merged.pages.findIndex(p => p.pageNumber === page?.pageNumber);
+    }
+    let item = placedByChunk[chunk][i];
+    while (keptAs.has(item)) item = keptAs.get(item);
+    return lineItems.indexOf(item);
+  };
+  const warnings = chunkResults.flatMap(({ pages, warnings: found }, chunk) => found
+    .filter(w => !HEADER_FIELDS.includes(w.path))
+    .map(w => ({
+      ...w,
+      path: w.path.replace(/^(lineItems|pages)\[(\d+)\]/, (whole, list, i) => {
+        const index = mergedIndex(chunk, list, Number(i));
+        return index === -1 ? whole : `${list}[${index}]`;
+      }),
+      chunkPages: describePages(pages),
+    }))
+  );
+  if (!merged.poNumber) warnings.push({ path: "poNumber", message: "Missing.", level: "warning" });
+
+  return { data: merged, warnings };
+};
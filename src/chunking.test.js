@@ -0,0 +1,78 @@
+import { chunkPrompt, mergeChunks, planChunks } from './chunking';
+import { normalizeExtraction, reviewWarnings } from './poSchema';
+import { assessConfidence } from './confidence';
+
+const chunk = (pages, raw) => ({ pages, ...normalizeExtraction(raw) });
+
+test('plans page chunks over the pages to extract', () => {
+  expect(planChunks([1, 2, 3, 4, 5, 6, 7], 3)).toEqual([[1, 2, 3], [4, 5, 6], [7]]);
+  expect(chunkPrompt('BASE', [4, 5, 6], 1, 3)).toContain('pages 4-6');
+});
+
+test('merges chunks into one de-duplicated, ordered line list', () => {
+  const { data, warnings } = mergeChunks([
+    chunk([1, 2], {
+      poNumber: 'PO-9',
+      customerInfo: { name: 'Acme' },
+      pageCount: 4,
+      routingKeywords: ['DPAS'],
+      lineItems: [
+        { lineNumber: '2', pageNumber: 2, partNumber: '8804 ETL', quantity: 1 },
+        { lineNumber: '1', pageNumber: 1, partNumber: '21-8204 LNL', prefixes: ['21'], quantity: 4 },
+      ],
+      pages: [{ pageNumber: 1 }, { pageNumber: 2 }],
+    }),
+    chunk([3, 4], {
+      routingKeywords: ['DPAS', 'MK'],
+      lineItems: [
+        { lineNumber: '2', pageNumber: 2, partNumber: '8804ETL', quantity: '1' },
+        { pageNumber: 3, partNumber: 'AD-PE8406 ETL', quantity: 2 },
+        { partNumber: '6300', quantity: 12 },
+      ],
+      pages: [{ pageNumber: 2 }, { pageNumber: 3 }],
+    }),
+  ]);
+
+  expect(data.poNumber).toBe('PO-9');
+  expect(data.customerInfo.name).toBe('Acme');
+  expect(data.routingKeywords).toEqual(['DPAS', 'MK']);
+  expect(data.lineItems.map(i => [i.lineNumber, i.pageNumber, i.partNumber])).toEqual([
+    ['1', 1, '21-8204 LNL'],
+    ['2', 2, '8804 ETL'],
+    ['3', 3, 'AD-PE8406 ETL'],
+    ['4', 3, '6300'],
+  ]);
+  expect(data.totalLineCount).toBe(4);
+  expect(data.pages.map(p => p.pageNumber)).toEqual([1, 2, 3]);
+  expect(reviewWarnings(warnings)).toEqual([]);
+});
+
+test('keeps identical unnumbered lines repeated within a chunk and only drops the twin read across a page break', () => {
+  const opening = { pageNumber: 2, partNumber: '8804 ETL', quantity: 1 };
+  const { data } = mergeChunks([
+    chunk([1, 2], { poNumber: 'PO-9', lineItems: [opening, opening, { pageNumber: 1, partNumber: '8804 ETL', quantity: 1 }] }),
+    chunk([3, 4], { lineItems: [opening, { pageNumber: 3, partNumber: '8804 ETL', quantity: 1 }, { pageNumber: 4, partNumber: '8804 ETL', quantity: 1 }] }),
+  ]);
+  expect(data.lineItems.map(i => i.pageNumber)).toEqual([1, 2, 2, 3, 4]);
+  expect(data.totalLineCount).toBe(5);
+});
+
+test('chunk warnings point at the merged line, so they still count against its confidence', () => {
+  const { data, warnings } = mergeChunks([
+    chunk([1, 2, 3, 4], {
+      poNumber: 'PO-9',
+      lineItems: [1, 2, 3].map(n => ({ lineNumber: String(n), pageNumber: 1, partNumber: '8204 LNL', quantity: 1 })),
+      pages: [{ pageNumber: 1 }],
+    }),
+    chunk([5, 6, 7, 8], {
+      lineItems: [{ lineNumber: '4', pageNumber: 5, partNumber: '8804 ETL', quantity: 'lots' }],
+      pages: [{ pageNumber: 5 }],
+    }),
+  ]);
+  expect(reviewWarnings(warnings)).toEqual([
+    expect.objectContaining({ path: 'lineItems[3].quantity', chunkPages: '5-8' }),
+  ]);
+  const confidence = assessConfidence({ ...data, validationWarnings: warnings });
+  expect(confidence.lines[3].reasons).toContain('Not a number ("lots").');
+  expect(confidence.low.map(l => l.path)).toContain('lineItems[3]');
+});
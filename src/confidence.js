@@ -0,0 +1,153 @@
+// --- EXTRACTION CONFIDENCE ---
+// The model rates its own fields and lines (0-1), but a model is a poor judge of its own
+// misses, so each score is capped by what can be checked locally: the real page count of the
+// file, the reported line count against the lines actually extracted, the shape of the PO
+// number and the PO numbers found in the PDF text. A score is the lower of the two.
+// assessConfidence() runs once per extraction; determineRouting holds orders with anything
+// below CONFIDENCE_THRESHOLD for a reviewer instead of assigning them.
+
+export const CONFIDENCE_THRESHOLD = 0.6;
+export const LOW_CONFIDENCE_FLAG = "LOW CONFIDENCE";
+export const HOLD_ROUTE = "Review Hold";
+
+export const CONFIDENCE_FIELDS = [
+  { path: "poNumber", label: "PO #" },
+  { path: "customerInfo", label: "Customer" },
+  { path: "documentType", label: "Document type" },
+  { path: "pageCount", label: "Pages" },
+  { path: "totalLineCount", label: "Line count" },
+  { path: "routingKeywords", label: "Routing keywords" },
+];
+
+// Letters, digits and separators, with at least one digit: "45-88120", "ABP-0099314", "PO#7731"
+const PO_NUMBER_PATTERN = /^(?=.*\d)[A-Z0-9][A-Z0-9\-/.#_]{2,24}$/i;
+
+const squash = (value) => String(value || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+
+// Models answer 0.85, 85 or "85%"; anything unreadable counts as not given
+export const toScore = (value) => {
+  const num = typeof value === "string" ? Number(value.replace("%", "")) : value;
+  if (typeof num !== "number" || !Number.isFinite(num) || num < 0) return null;
+  return Math.min(1, num > 1 ? num / 100 : num);
+};
+
+const checkPoNumber = (data) => {
+  if (!data.poNumber) return [{ score: 0, reason: "No PO number found" }];
+  const checks = [];
+  if (!PO_NUMBER_PATTERN.test(data.poNumber.replace(/^PO\s*/i, ""))) {
+    checks.push({ score: 0.4, reason: `"${data.poNumber}" doesn't look like a PO number` });
+  }
+  const inText = data.textLayer?.poNumbers || [];
+  if (inText.length && !inText.some(po => squash(po) === squash(data.poNumber))) {
+    checks.push({ score: 0.5, reason: `Not among the PO numbers in the PDF text (${inText.join(", ")})` });
+  }
+  return checks;
+};
+
+const checkPageCount = (data, fileType) => {
+  if (data.textLayer) return [];
+  if ((fileType || "").startsWith("image/")) {
+    return data.pageCount > 1 ? [{ score: 0.3, reason: `An image is one page; the model counted ${data.pageCount}` }] : [];
+  }
+  return [{ score: 0.7, reason: "Estimated by the model" }];
+};
+
+const checkLineCount = (data) => {
+  const extracted = data.lineItems.length;
+  const reported = data.totalLineCount;
+  const checks = [];
+  if (!extracted) checks.push({ score: 0.2, reason: "No line items extracted" });
+  else if (reported != null && reported !== extracted) {
+    // 10 reported, 8 extracted -> 0.64
+    checks.push({
+      score: (Math.min(reported, extracted) / Math.max(reported, extracted)) * 0.8,
+      reason: `Reports ${reported} lines, ${extracted} extracted`,
+    });
+  }
+  const estimated = data.textLayer?.estimatedPageCount;
+  if (estimated && estimated < data.pageCount) {
+    checks.push({ score: 0.5, reason: `The model saw ${estimated} of ${data.pageCount} pages` });
+  }
+  return checks;
+};
+
+// An email alone still finds the customer in the directory
+const checkCustomer = ({ customerInfo }) => {
+  if (customerInfo?.name) return [];
+  return customerInfo?.email
+    ? [{ score: 0.8, reason: "No customer name, email only" }]
+    : [{ score: 0.3, reason: "No customer name or email" }];
+};
+
+// A missing part number can hide a keying prefix; a missing quantity doesn't change the route
+const checkLine = (item) => {
+  const checks = [];
+  if (!item.partNumber) checks.push({ score: 0.2, reason: "No part number" });
+  if (item.quantity == null) checks.push({ score: 0.7, reason: "No quantity" });
+  return checks;
+};
+
+// Schema warnings on a field (or anything under it) count against that field
+const warningChecks = (warnings, path) => warnings
+  .filter(w => w.level === "warning" && (w.path === path || w.path.startsWith(`${path}.`) || w.path.startsWith(`${path}[`)))
+  .map(w => ({ score: 0.5, reason: w.message }));
+
+const combine = (model, checks) => {
+  const scores = checks.map(c => c.score);
+  if (model != null) scores.push(model);
+  return {
+    score: scores.length ? Math.round(Math.min(...scores) * 100) / 100 : 1,
+    model,
+    reasons: checks.map(c => c.reason),
+  };
+};
+
+// Returns { threshold, score, fields: { path: { score, model, reasons } }, lines: [...], low: [...] }
+// `low` lists what needs a look, e.g. [{ path: "poNumber", label: "PO #", ... }, { path: "lineItems[3]", ... }]
+export const assessConfidence = (data, { fileType = null, threshold = CONFIDENCE_THRESHOLD } = {}) => {
+  const model = data.confidence || {};
+  const warnings = data.validationWarnings || [];
+  const heuristics = {
+    poNumber: checkPoNumber(data),
+    customerInfo: checkCustomer(data),
+    documentType: [],
+    pageCount: checkPageCount(data, fileType),
+    totalLineCount: checkLineCount(data),
+    routingKeywords: [],
+  };
+
+  const fields = {};
+  CONFIDENCE_FIELDS.forEach(({ path }) => {
+    fields[path] = combine(toScore(model[path]), [...heuristics[path], ...warningChecks(warnings, path)]);
+  });
+
+  const lines = data.lineItems.map((item, i) => ({
+    index: i,
+    lineNumber: item.lineNumber || String(i + 1),
+    ...combine(toScore(item.confidence), [...checkLine(item), ...warningChecks(warnings, `lineItems[${i}]`)]),
+  }));
+
+  const low = [
+    ...CONFIDENCE_FIELDS
+      .filter(({ path }) => fields[path].score < threshold)
+      .map(({ path, label }) => ({ path, label, ...fields[path] })),
+    ...lines
+      .filter(line => line.score < threshold)
+      .map(line => ({ path: `lineItems[${line.index}]`, label: `Line ${line.lineNumber}`, ...line })),
+  ];
+
+  const all = [...Object.values(fields), ...lines].map(f => f.score);
+  return { threshold, score: Math.min(...all), fields, lines, low };
+};
+
+// Lookups for the UI; orders extracted before confidence existed have no check at all
+export const fieldConfidence = (order, path) => order?.confidenceCheck?.fields?.[path] || null;
+
+export const lineConfidence = (order, index) => order?.confidenceCheck?.lines?.[index] || null;
+
+export const isLowConfidence = (order, entry) =>
+  Boolean(entry && order?.confidenceCheck && entry.score < order.confidenceCheck.threshold);
+
+// "PO # 40%: No PO number found"
+export const confidenceLabel = (entry) =>
+  `${Math.round(entry.score * 100)}%${entry.reasons.length ? `: ${entry.reasons.join("; ")}` : " (model's own rating)"}`;
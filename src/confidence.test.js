@@ -0,0 +1,56 @@
+import { assessConfidence, toScore } from './confidence';
+
+const order = (extra = {}) => ({
+  poNumber: '45-88120',
+  customerInfo: { name: 'Acme Doors' },
+  pageCount: 2,
+  totalLineCount: 2,
+  lineItems: [
+    { lineNumber: '1', partNumber: '8804 ETL', quantity: 2 },
+    { lineNumber: '2', partNumber: '8204 LNL', quantity: 1 },
+  ],
+  textLayer: { pageCount: 2, estimatedPageCount: 2, poNumbers: ['45-88120'] },
+  ...extra,
+});
+
+test('a clean order checked against its text layer has nothing low', () => {
+  const check = assessConfidence(order({ confidence: { poNumber: 0.95 } }));
+  expect(check.low).toEqual([]);
+  expect(check.fields.poNumber).toEqual({ score: 0.95, model: 0.95, reasons: [] });
+  expect(check.score).toBe(0.95);
+});
+
+test('heuristics cap what the model claims', () => {
+  const check = assessConfidence(order({
+    poNumber: 'SEE ATTACHED',
+    totalLineCount: 5,
+    textLayer: { pageCount: 4, estimatedPageCount: 2, poNumbers: ['45-88120'] },
+    pageCount: 4,
+    confidence: { poNumber: 0.99, totalLineCount: 0.9 },
+  }));
+  expect(check.fields.poNumber.score).toBe(0.4);
+  expect(check.fields.poNumber.reasons).toEqual([
+    '"SEE ATTACHED" doesn\'t look like a PO number',
+    'Not among the PO numbers in the PDF text (45-88120)',
+  ]);
+  expect(check.fields.totalLineCount.score).toBe(0.32);
+  expect(check.fields.totalLineCount.reasons).toContain('The model saw 2 of 4 pages');
+  expect(check.low.map(entry => entry.label)).toEqual(['PO #', 'Line count']);
+
+  // A single image can't have three pages
+  const image = assessConfidence(order({ textLayer: null, pageCount: 3 }), { fileType: 'image/png' });
+  expect(image.fields.pageCount.score).toBe(0.3);
+});
+
+test('lines are scored from the model and from what is missing', () => {
+  const check = assessConfidence(order({
+    lineItems: [
+      { lineNumber: '1', partNumber: '8804 ETL', quantity: 2, confidence: 45 },
+      { lineNumber: '2', partNumber: null, quantity: 1, confidence: 0.9 },
+    ],
+  }));
+  expect(check.lines.map(line => line.score)).toEqual([0.45, 0.2]);
+  expect(check.low.map(entry => entry.path)).toEqual(['lineItems[0]', 'lineItems[1]']);
+  expect(toScore('85%')).toBe(0.85);
+  expect(toScore('high')).toBeNull();
+});
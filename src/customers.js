@@ -0,0 +1,125 @@
+// --- CUSTOMER DIRECTORY ---
+// Canonical customer records keyed by email domain and name aliases. The model's
+// customerInfo is free text ("ACME HARDWARE INC.", "Acme Hdwe") so names are matched
+// fuzzily; an email domain match is exact and always wins (an ingested email's sender first).
+//
+// Record preferences:
+//   repId + repMode  -> "assigned": always this rep while they're available (caps ignored)
+//                       "preferred": this rep unless they're unavailable or at a cap
+//   alwaysKeying     -> route to Keying even when no prefix/keyword rule fired
+//   handling         -> "DPAS" | "Quick Ship" adds the matching flag
+//   notes            -> shown in the decision log
+
+export const HANDLING_OPTIONS = [
+  { value: "", label: "Standard" },
+  { value: "DPAS", label: "DPAS" },
+  { value: "Quick Ship", label: "Quick Ship" },
+];
+
+export const REP_MODES = [
+  { value: "preferred", label: "Preferred" },
+  { value: "assigned", label: "Assigned" },
+];
+
+export const NAME_MATCH_THRESHOLD = 0.8;
+
+// Shared mailbox providers say nothing about who the customer is
+const FREE_MAIL_DOMAINS = ["gmail.com", "yahoo.com", "outlook.com", "hotmail.com", "aol.com", "icloud.com", "msn.com"];
+
+const LEGAL_SUFFIXES = ["inc", "llc", "ltd", "co", "corp", "corporation", "company", "the"];
+
+export const normalizeName = (name) => (name || "")
+  .toLowerCase()
+  .replace(/&/g, " and ")
+  .replace(/[^a-z0-9\s]/g, " ")
+  .split(/\s+/)
+  .filter(word => word && !LEGAL_SUFFIXES.includes(word))
+  .join(" ");
+
+export const emailDomain = (email) => {
+  const match = /@([a-z0-9.-]+\.[a-z]{2,})/i.exec(email || "");
+  return match ? match[1].toLowerCase() : null;
+};
+
+const bigrams = (text) => {
+  const compact = text.replace(/\s+/g, "");
+  const grams = [];
+  for (let i = 0; i < compact.length - 1; i++) grams.push(compact.slice(i, i + 2));
+  return grams;
+};
+
+// Dice coefficient over character bigrams, with a floor when one name is the leading
+// words of the other ("acme" vs "acme door hardware") so shortened names still match.
+export const nameSimilarity = (a, b) => {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const [shorter, longer] = left.length <= right.length ? [left, right] : [right, left];
+  const contained = longer.startsWith(`${shorter} `);
+
+  const pool = bigrams(longer);
+  let shared = 0;
+  bigrams(shorter).forEach(gram => {
+    const i = pool.indexOf(gram);
+    if (i !== -1) {
+      shared++;
+      pool.splice(i, 1);
+    }
+  });
+  const total = bigrams(left).length + bigrams(right).length;
+  const dice = total ? (2 * shared) / total : 0;
+  return contained ? Math.max(dice, 0.85) : dice;
+};
+
+const domainMatches = (domain, entry) => {
+  const wanted = entry.trim().toLowerCase().replace(/^@/, "");
+  return domain === wanted || domain.endsWith(`.${wanted}`);
+};
+
+// Returns { customer, matchedBy, score } or null
+export const findCustomer = (customers, customerInfo) => {
+  if (!customers?.length || !customerInfo) return null;
+
+  // The sender of an ingested email is checked before the address printed on the PO
+  const domains = [
+    { domain: emailDomain(customerInfo.senderEmail), label: "sender domain" },
+    { domain: emailDomain(customerInfo.email), label: "domain" },
+  ];
+  for (const { domain, label } of domains) {
+    if (!domain || FREE_MAIL_DOMAINS.includes(domain)) continue;
+    const byDomain = customers.find(c => (c.domains || []).some(d => domainMatches(domain, d)));
+    if (byDomain) return { customer: byDomain, matchedBy: `${label} ${domain}`, score: 1 };
+  }
+
+  let best = null;
+  customers.forEach(customer => {
+    [customer.name, ...(customer.aliases || [])].forEach(candidate => {
+      const score = nameSimilarity(customerInfo.name, candidate);
+      if (score >= NAME_MATCH_THRESHOLD && (!best || score > best.score)) {
+        best = { customer, matchedBy: `name "${candidate}"`, score: Math.round(score * 100) / 100 };
+      }
+    });
+  });
+  return best;
+};
+
+export const createCustomer = (customerInfo = {}) => {
+  const domain = [customerInfo.senderEmail, customerInfo.email]
+    .map(emailDomain)
+    .find(d => d && !FREE_MAIL_DOMAINS.includes(d));
+  return {
+    id: `cust-${Date.now()}`,
+    name: customerInfo.name || "New Customer",
+    aliases: [],
+    domains: domain ? [domain] : [],
+    repId: null,
+    repMode: "preferred",
+    alwaysKeying: false,
+    handling: "",
+    notes: "",
+  };
+};
+
+export const handlingFlag = (customer) => (customer.handling ? customer.handling.toUpperCase() : null);
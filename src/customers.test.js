@@ -0,0 +1,33 @@
+import { createCustomer, findCustomer, nameSimilarity } from './customers';
+
+const directory = [
+  { id: 'c1', name: 'Acme Door Hardware', aliases: ['ADH'], domains: ['acmedoor.com'] },
+  { id: 'c2', name: 'Baker Lock & Key', aliases: [], domains: [] },
+];
+
+test('an email domain match wins, including subdomains', () => {
+  const match = findCustomer(directory, { name: 'Somebody Else', email: 'buyer@orders.acmedoor.com' });
+  expect(match.customer.id).toBe('c1');
+  expect(match.matchedBy).toBe('domain orders.acmedoor.com');
+});
+
+test('names match fuzzily, ignoring case, punctuation and legal suffixes', () => {
+  expect(findCustomer(directory, { name: 'BAKER LOCK AND KEY, INC.' }).customer.id).toBe('c2');
+  expect(findCustomer(directory, { name: 'Acme Door Hardwre' }).customer.id).toBe('c1');
+  expect(findCustomer(directory, { name: 'adh' }).customer.id).toBe('c1');
+  expect(findCustomer(directory, { name: 'Zenith Supply' })).toBeNull();
+  expect(nameSimilarity('Acme', 'Acme Door Hardware')).toBeGreaterThanOrEqual(0.8);
+});
+
+test('free mail domains are neither matched nor saved on new records', () => {
+  expect(findCustomer([{ id: 'g', name: 'Gee', domains: ['gmail.com'] }], { name: 'Other', email: 'a@gmail.com' })).toBeNull();
+  expect(createCustomer({ name: 'Walk In', email: 'walkin@gmail.com' }).domains).toEqual([]);
+  expect(createCustomer({ name: 'Acme', email: 'po@Acme.com' }).domains).toEqual(['acme.com']);
+});
+
+test('an email sender domain is checked before the address on the document', () => {
+  const directory2 = [...directory, { id: 'c3', name: 'Distributor', aliases: [], domains: ['dist.com'] }];
+  const match = findCustomer(directory2, { name: 'Baker Lock', email: 'ap@dist.com', senderEmail: 'po@acmedoor.com' });
+  expect(match).toMatchObject({ customer: { id: 'c1' }, matchedBy: 'sender domain acmedoor.com' });
+  expect(createCustomer({ name: 'New', email: 'x@newco.com', senderEmail: 'me@gmail.com' }).domains).toEqual(['newco.com']);
+});
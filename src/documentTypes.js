@@ -0,0 +1,134 @@
+import { containsWord } from "./keywords";
+
+// --- DOCUMENT TYPES ---
+// Not everything that arrives in the PO inbox is a new order. The model classifies each
+// document ("documentType" in the extraction); when it didn't, or returned something
+// unknown, the text is checked for the phrases below. Each type routes to its own role:
+//   role     -> route to the first available rep whose role contains it, else "<role> Dept"
+//   isOrder  -> new work for Order Entry: duplicate detection and the keying rules apply
+//   flag     -> tag added to the verdict
+// A phrase is plain text, matched as whole words, or a regex for wording that needs context.
+
+// FOB is left out: "FOB Origin" and "FOB Destination" are everyday US freight terms
+const INCOTERMS = ["EXW", "FCA", "FAS", "CFR", "CIF", "CPT", "CIP", "DAP", "DPU", "DDP"];
+
+// "Incoterms 2020: FCA Shanghai", "Shipping terms - CIF Rotterdam", "Trade terms DDP"
+const INCOTERM_CONTEXT = new RegExp(
+  `\\b(?:INCOTERMS?(?:\\s*20\\d\\d)?|(?:SHIPPING|DELIVERY|TRADE|SALES)\\s+TERMS?)\\s*[:\\-]?\\s*(?:${INCOTERMS.join("|")})\\b`
+);
+
+export const DOCUMENT_TYPES = [
+  {
+    id: "chargeback",
+    label: "Chargeback / Debit Memo",
+    role: "Chargebacks",
+    isOrder: false,
+    flag: "CHARGEBACK",
+    phrases: ["CHARGEBACK", "CHARGE BACK", "DEBIT MEMO", "DEBIT NOTE", "CLAIM FOR SHORTAGE"],
+  },
+  {
+    id: "quote_request",
+    label: "Quote Request",
+    role: "Quotes",
+    isOrder: false,
+    flag: "RFQ",
+    phrases: ["REQUEST FOR QUOTE", "REQUEST FOR QUOTATION", "RFQ", "PLEASE QUOTE", "PRICE REQUEST"],
+  },
+  {
+    id: "international",
+    label: "International / Export PO",
+    role: "Intl",
+    isOrder: true,
+    flag: "EXPORT",
+    // Incoterms only count next to the word that introduces them: on their own "FCA" and "CIF"
+    // turn up in part descriptions, and "export" in "no export packaging"
+    phrases: [
+      INCOTERM_CONTEXT,
+      "EXPORT ORDER", "EXPORT PO", "EXPORT PURCHASE ORDER", "FOB ORIGIN EXPORT",
+      "COMMERCIAL INVOICE", "CUSTOMS BROKER", "CERTIFICATE OF ORIGIN",
+    ],
+  },
+  {
+    id: "change_order",
+    label: "Change Order",
+    role: null,
+    isOrder: true,
+    flag: "CHANGE ORDER",
+    phrases: ["CHANGE ORDER", "PO CHANGE", "REVISED PURCHASE ORDER", "AMENDED PO", "PO REVISION"],
+  },
+  {
+    id: "standard_po",
+    label: "Standard PO",
+    role: null,
+    isOrder: true,
+    flag: null,
+    phrases: [],
+  },
+];
+
+export const DOCUMENT_TYPE_IDS = DOCUMENT_TYPES.map(t => t.id);
+
+export const documentTypeById = (id) =>
+  DOCUMENT_TYPES.find(t => t.id === id) || DOCUMENT_TYPES[DOCUMENT_TYPES.length - 1];
+
+// Returns the matched text, or null. Plain phrases match as whole words.
+const findPhrase = (text, phrases) => {
+  for (const phrase of phrases) {
+    if (!(phrase instanceof RegExp)) {
+      if (containsWord(text, phrase)) return phrase;
+      continue;
+    }
+    const m = phrase.exec(text);
+    if (m) return m[0];
+  }
+  return null;
+};
+
+// A foreign country at the end of the customer address marks an export order on its own
+const EXPORT_COUNTRIES = [
+  "CANADA", "MEXICO", "UNITED KINGDOM", "UK", "IRELAND", "GERMANY", "FRANCE", "NETHERLANDS",
+  "UNITED ARAB EMIRATES", "UAE", "SAUDI ARABIA", "QATAR", "KUWAIT", "ISRAEL", "INDIA", "CHINA",
+  "HONG KONG", "SINGAPORE", "JAPAN", "KOREA", "AUSTRALIA", "NEW ZEALAND", "BRAZIL", "CHILE",
+  "COLOMBIA", "PANAMA", "COSTA RICA", "DOMINICAN REPUBLIC", "PHILIPPINES",
+];
+
+const foreignCountry = (address) => {
+  const text = (address || "").trim().toUpperCase().replace(/[.\s]+$/, "");
+  return EXPORT_COUNTRIES.find(country =>
+    text.endsWith(country) && !/[A-Z]/.test(text.charAt(text.length - country.length - 1))
+  ) || null;
+};
+
+// Returns { type, source: "model" | "text" | "address" | "default", evidence }
+export const classifyDocument = (data) => {
+  if (data.documentType && DOCUMENT_TYPE_IDS.includes(data.documentType)) {
+    const type = documentTypeById(data.documentType);
+    return { type, source: "model", evidence: data.documentTypeEvidence || null };
+  }
+
+  const text = [
+    ...(data.routingKeywords || []),
+    ...(data.pages || []).map(p => `${p.type || ""} ${p.summary || ""}`),
+  ].join(" ").toUpperCase();
+
+  for (const type of DOCUMENT_TYPES) {
+    const phrase = findPhrase(text, type.phrases);
+    if (phrase) return { type, source: "text", evidence: `"${phrase}"` };
+  }
+
+  const country = foreignCountry(data.customerInfo?.address);
+  if (country) {
+    return { type: documentTypeById("international"), source: "address", evidence: country };
+  }
+
+  return { type: documentTypeById("standard_po"), source: "default", evidence: null };
+};
+
+export const buildDocumentEvidence = ({ type, source, evidence }) => {
+  const basis = {
+    model: "Classified by the extraction model",
+    text: "Phrase found in the document",
+    address: "Customer address is outside the US",
+  }[source];
+  return `DOCUMENT TYPE: ${type.label}\n${basis}${evidence ? `: ${evidence}` : ""}`;
+};
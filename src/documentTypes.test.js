@@ -0,0 +1,27 @@
+import { classifyDocument } from './documentTypes';
+
+test('trusts a known model classification', () => {
+  const result = classifyDocument({ documentType: 'chargeback', documentTypeEvidence: 'DEBIT MEMO 11' });
+  expect(result).toMatchObject({ source: 'model', evidence: 'DEBIT MEMO 11' });
+  expect(result.type.role).toBe('Chargebacks');
+});
+
+test('falls back to phrases in the document, then the address', () => {
+  expect(classifyDocument({ pages: [{ type: 'Debit Memo', summary: '' }] }).type.id).toBe('chargeback');
+  expect(classifyDocument({ pages: [{ summary: 'Please quote the following' }] }).type.id).toBe('quote_request');
+  expect(classifyDocument({ pages: [{ summary: 'Change order #2 to PO 551' }] }).type.id).toBe('change_order');
+  expect(classifyDocument({ customerInfo: { address: 'Av. Reforma 10, CDMX, Mexico' } }).type.id).toBe('international');
+  expect(classifyDocument({ customerInfo: { address: '1200 Industrial Pkwy, Columbus, OH 43215' } }).type.id).toBe('standard_po');
+});
+
+test('only reads incoterms as an export order where the document introduces them as terms', () => {
+  const classify = (summary) => classifyDocument({ pages: [{ summary }] });
+  expect(classify('Ship complete, no export packaging required').type.id).toBe('standard_po');
+  expect(classify('8804 ETL FCA 26D qty 4; freight CIF per quote').type.id).toBe('standard_po');
+  expect(classify('Shipping terms: FOB Origin, prepay and add').type.id).toBe('standard_po');
+  const intl = classify('Incoterms 2020: FCA Shanghai');
+  expect(intl.type.id).toBe('international');
+  expect(intl.evidence).toBe('"INCOTERMS 2020: FCA"');
+  expect(classify('Shipping Terms - CIF Rotterdam').type.id).toBe('international');
+  expect(classify('Export PO for the Doha tower').type.id).toBe('international');
+});
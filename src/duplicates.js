@@ -0,0 +1,125 @@
+import { findCustomer, normalizeName } from "./customers";
+
+// --- DUPLICATE PO DETECTION ---
+// Customers resend the same PO (email, then fax) or send a revised one. Every routed order
+// is fingerprinted three ways and checked against the history before it is assigned:
+//   fileHash      -> SHA-256 of the file bytes: an exact resend of the same file
+//   customer + PO -> the same order number from the same customer
+//   lineSignature -> the same lines (part + prefixes + qty) regardless of order or layout
+//
+// Kinds returned by findDuplicate:
+//   "duplicate"      -> same file, or same customer/PO with the same lines. Adds no load.
+//   "revision"       -> same customer/PO but the lines changed
+//   "near-duplicate" -> same customer, different or missing PO, lines NEAR_DUPLICATE_SIMILARITY alike
+
+export const NEAR_DUPLICATE_SIMILARITY = 0.8;
+
+export const DUPLICATE_FLAGS = {
+  duplicate: "DUPLICATE",
+  revision: "REVISION",
+  "near-duplicate": "POSSIBLE DUPLICATE",
+};
+
+export const hashFile = async (file) => {
+  try {
+    const digest = await window.crypto.subtle.digest("SHA-256", await file.arrayBuffer());
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, "0")).join("");
+  } catch (err) {
+    // Insecure contexts (plain http) have no crypto.subtle; the other two fingerprints still work
+    console.warn(`Could not hash ${file.name}:`, err);
+    return null;
+  }
+};
+
+const lineKey = (item) => [
+  (item.prefixes || []).join("-"),
+  (item.partNumber || "").toUpperCase().replace(/[\s-]+/g, ""),
+  item.quantity ?? "",
+].join("|");
+
+const lineKeys = (lineItems) => (lineItems || []).map(lineKey).sort();
+
+// FNV-1a keeps the stored signature short no matter how many lines the order has
+const fnv1a = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, "0");
+};
+
+export const lineSignature = (lineItems) => {
+  const keys = lineKeys(lineItems);
+  return keys.length ? fnv1a(keys.join(";")) : null;
+};
+
+const normalizePo = (poNumber) => (poNumber || "").toUpperCase().replace(/[^0-9A-Z]/g, "") || null;
+
+export const fingerprintOrder = (data, { fileHash = null, customers = [] } = {}) => {
+  const match = findCustomer(customers, data.customerInfo);
+  return {
+    fileHash,
+    customerKey: match ? match.customer.id : normalizeName(data.customerInfo?.name) || null,
+    poNumber: normalizePo(data.poNumber),
+    lineSignature: lineSignature(data.lineItems),
+  };
+};
+
+// Jaccard similarity of the two orders' line multisets
+const lineSimilarity = (a, b) => {
+  const left = lineKeys(a);
+  const right = lineKeys(b);
+  if (!left.length || !right.length) return 0;
+  const pool = [...right];
+  let shared = 0;
+  left.forEach(key => {
+    const i = pool.indexOf(key);
+    if (i !== -1) {
+      shared++;
+      pool.splice(i, 1);
+    }
+  });
+  return shared / (left.length + right.length - shared);
+};
+
+// An unknown customer on either side doesn't rule a match out; a different known one does
+const sameCustomer = (a, b) => !a || !b || a === b;
+
+// Returns { entry, kind, matchedBy, similarity } for the most recent earlier routing, or null
+export const findDuplicate = (history, fingerprint, data, customers = []) => {
+  for (let i = history.length - 1; i >= 0; i--) {
+    const entry = history[i];
+    const earlier = entry.fingerprint || fingerprintOrder(entry.extraction || {}, { customers });
+
+    if (fingerprint.fileHash && earlier.fileHash === fingerprint.fileHash) {
+      return { entry, kind: "duplicate", matchedBy: "identical file", similarity: 1 };
+    }
+    if (!sameCustomer(earlier.customerKey, fingerprint.customerKey)) continue;
+
+    if (fingerprint.poNumber && earlier.poNumber === fingerprint.poNumber) {
+      return earlier.lineSignature === fingerprint.lineSignature
+        ? { entry, kind: "duplicate", matchedBy: "same PO and lines", similarity: 1 }
+        : {
+          entry,
+          kind: "revision",
+          matchedBy: "same PO, lines changed",
+          similarity: Math.round(lineSimilarity(entry.extraction?.lineItems, data.lineItems) * 100) / 100,
+        };
+    }
+
+    // Near duplicates need a known customer on both sides; line overlap alone is too common
+    if (earlier.customerKey && fingerprint.customerKey) {
+      const similarity = lineSimilarity(entry.extraction?.lineItems, data.lineItems);
+      if (similarity >= NEAR_DUPLICATE_SIMILARITY) {
+        return {
+          entry,
+          kind: "near-duplicate",
+          matchedBy: `${Math.round(similarity * 100)}% of lines match`,
+          similarity: Math.round(similarity * 100) / 100,
+        };
+      }
+    }
+  }
+  return null;
+};
@@ -0,0 +1,57 @@
+import { findDuplicate, fingerprintOrder, lineSignature } from './duplicates';
+
+const lines = [
+  { partNumber: '8804 ETL', prefixes: ['21'], quantity: 2 },
+  { partNumber: '80-8204', prefixes: [], quantity: 1 },
+  { partNumber: '11G05', prefixes: [], quantity: 4 },
+  { partNumber: '7804', prefixes: [], quantity: 1 },
+  { partNumber: '8816', prefixes: [], quantity: 3 },
+];
+
+const order = (extra = {}) => ({
+  poNumber: 'PO-100',
+  customerInfo: { name: 'Acme Hardware' },
+  lineItems: lines,
+  ...extra,
+});
+
+const entryFor = (data, fileHash = null) => ({
+  id: 'h1',
+  poNumber: data.poNumber,
+  route: 'Busy Rep',
+  repId: 1,
+  fingerprint: fingerprintOrder(data, { fileHash }),
+  extraction: data,
+});
+
+test('line signatures ignore line order and part number formatting', () => {
+  const shuffled = [...lines].reverse().map(l => ({ ...l, partNumber: l.partNumber.replace(/[\s-]/g, '') }));
+  expect(lineSignature(shuffled)).toBe(lineSignature(lines));
+});
+
+test('an identical file is a duplicate even when the PO number was misread', () => {
+  const history = [entryFor(order(), 'abc')];
+  const resend = order({ poNumber: 'P0-1OO' });
+  const match = findDuplicate(history, fingerprintOrder(resend, { fileHash: 'abc' }), resend);
+  expect(match).toMatchObject({ kind: 'duplicate', matchedBy: 'identical file' });
+});
+
+test('the same customer and PO is a duplicate, or a revision when the lines changed', () => {
+  const history = [entryFor(order())];
+  const fax = order({ poNumber: 'po 100' });
+  expect(findDuplicate(history, fingerprintOrder(fax), fax).kind).toBe('duplicate');
+
+  const revised = order({ lineItems: [...lines.slice(1), { partNumber: '8804', prefixes: [], quantity: 5 }] });
+  expect(findDuplicate(history, fingerprintOrder(revised), revised).kind).toBe('revision');
+
+  const otherCustomer = order({ customerInfo: { name: 'Zenith Supply' } });
+  expect(findDuplicate(history, fingerprintOrder(otherCustomer), otherCustomer)).toBeNull();
+});
+
+test('mostly identical lines under a new PO number are a near duplicate', () => {
+  const history = [entryFor(order())];
+  const retyped = order({ poNumber: 'PO-101', lineItems: [...lines, { partNumber: '8813', quantity: 1 }] });
+  const match = findDuplicate(history, fingerprintOrder(retyped), retyped);
+  expect(match.kind).toBe('near-duplicate');
+  expect(match.similarity).toBeGreaterThanOrEqual(0.8);
+});
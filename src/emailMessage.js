@@ -0,0 +1,240 @@
+// --- EMAIL INGESTION ---
+// POs arrive as emails, and the sender is better evidence of the customer than whatever
+// address the model finds on page 1. parseEml() reads a saved RFC 822 message (.eml):
+// headers, the text body and every attachment, walking nested multiparts and forwarded
+// messages. Bodies are handled as binary strings (one char per byte) so attachments
+// survive intact until they're turned back into Files.
+
+export const isEmailFile = (file) => /\.eml$/i.test(file.name || "") || file.type === "message/rfc822";
+
+// Outlook's .msg is a binary compound document, not MIME
+export const isOutlookMsg = (file) => /\.msg$/i.test(file.name || "") || file.type === "application/vnd.ms-outlook";
+
+const bytesToBinary = (bytes) => {
+  let out = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    out += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return out;
+};
+
+const binaryToBytes = (binary) => {
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i) & 0xff;
+  return bytes;
+};
+
+// Binary string in the given charset -> text
+const decodeText = (binary, charset = "utf-8") => {
+  const name = charset.toLowerCase();
+  if (["us-ascii", "iso-8859-1", "latin1"].includes(name)) return binary;
+  try {
+    return new TextDecoder(name).decode(binaryToBytes(binary));
+  } catch (err) {
+    // Unknown charset label (or no TextDecoder): read it as UTF-8
+  }
+  try {
+    return decodeURIComponent(escape(binary));
+  } catch (err) {
+    return binary;
+  }
+};
+
+const decodeBase64 = (text) => {
+  try {
+    return atob(text.replace(/[^A-Za-z0-9+/=]/g, ""));
+  } catch (err) {
+    return "";
+  }
+};
+
+const decodeQuotedPrintable = (text) => text
+  .replace(/=\r?\n/g, "")
+  .replace(/=([0-9A-F]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+
+// RFC 2047 encoded words: "=?UTF-8?B?UE8gNDUtODgxMjA=?=" -> "PO 45-88120"
+export const decodeHeader = (value) => (value || "")
+  .replace(/\?=\s+=\?/g, "?==?")
+  .replace(/=\?([^?]+)\?([BQ])\?([^?]*)\?=/gi, (_, charset, encoding, text) => {
+    const binary = encoding.toUpperCase() === "B"
+      ? decodeBase64(text)
+      : decodeQuotedPrintable(text.replace(/_/g, " "));
+    return decodeText(binary, charset);
+  });
+
+const splitMessage = (raw) => {
+  const match = /\r?\n\r?\n/.exec(raw);
+  return match
+    ? { head: raw.slice(0, match.index), body: raw.slice(match.index + match[0].length) }
+    : { head: raw, body: "" };
+};
+
+// Lower-cased header names; folded lines are joined, the first occurrence wins
+const parseHeaders = (head) => {
+  const headers = {};
+  head.replace(/\r?\n[ \t]+/g, " ").split(/\r?\n/).forEach(line => {
+    const i = line.indexOf(":");
+    if (i <= 0) return;
+    const name = line.slice(0, i).trim().toLowerCase();
+    if (!(name in headers)) headers[name] = line.slice(i + 1).trim();
+  });
+  return headers;
+};
+
+// "multipart/mixed; boundary=\"abc\"" -> { value: "multipart/mixed", params: { boundary: "abc" } }
+const parseHeaderParams = (header) => {
+  const [value, ...rest] = (header || "").split(";");
+  const params = {};
+  rest.forEach(part => {
+    const i = part.indexOf("=");
+    if (i === -1) return;
+    const key = part.slice(0, i).trim().toLowerCase();
+    let val = part.slice(i + 1).trim().replace(/^"(.*)"$/, "$1");
+    // RFC 2231: filename*=UTF-8''PO%2045-88120.pdf
+    if (key.endsWith("*")) {
+      val = decodeURIComponent(val.replace(/^[^']*'[^']*'/, ""));
+      params[key.slice(0, -1)] = val;
+      return;
+    }
+    if (!(key in params)) params[key] = decodeHeader(val);
+  });
+  return { value: value.trim().toLowerCase(), params };
+};
+
+const decodeBody = (body, encoding) => {
+  switch ((encoding || "").toLowerCase()) {
+    case "base64": return decodeBase64(body);
+    case "quoted-printable": return decodeQuotedPrintable(body);
+    default: return body;
+  }
+};
+
+const htmlToText = (html) => html
+  .replace(/<(style|script)[\s\S]*?<\/\1>/gi, "")
+  .replace(/<br\s*\/?>|<\/p>|<\/div>/gi, "\n")
+  .replace(/<[^>]+>/g, "")
+  .replace(/&nbsp;/g, " ")
+  .replace(/&amp;/g, "&")
+  .replace(/&lt;/g, "<")
+  .replace(/&gt;/g, ">")
+  .replace(/\n{3,}/g, "\n\n")
+  .trim();
+
+// Collects text bodies and attachments from one MIME entity into `out`
+const walkPart = (raw, out) => {
+  const { head, body } = splitMessage(raw);
+  const headers = parseHeaders(head);
+  const type = parseHeaderParams(headers["content-type"] || "text/plain");
+  const disposition = parseHeaderParams(headers["content-disposition"]);
+
+  if (type.value.startsWith("multipart/") && type.params.boundary) {
+    const boundary = `--${type.params.boundary}`;
+    const sections = body.split(boundary).slice(1);
+    for (const section of sections) {
+      if (section.startsWith("--")) break;
+      walkPart(section.replace(/^\r?\n/, "").replace(/\r?\n$/, ""), out);
+    }
+    return;
+  }
+
+  if (type.value === "message/rfc822") {
+    walkPart(decodeBody(body, headers["content-transfer-encoding"]), out);
+    return;
+  }
+
+  const data = decodeBody(body, headers["content-transfer-encoding"]);
+  const filename = disposition.params.filename || type.params.name || null;
+  if (filename || disposition.value === "attachment") {
+    out.attachments.push({
+      filename: filename || `attachment-${out.attachments.length + 1}`,
+      contentType: type.value,
+      // Signature logos and pasted screenshots are referenced from the HTML body
+      inline: disposition.value === "inline" || Boolean(headers["content-id"]),
+      data,
+    });
+  } else if (type.value === "text/plain") {
+    out.text.push(decodeText(data, type.params.charset));
+  } else if (type.value === "text/html") {
+    out.html.push(decodeText(data, type.params.charset));
+  }
+};
+
+// "Jane Buyer <jane@acme-doors.com>" -> { name, address }
+export const parseAddress = (value) => {
+  const decoded = decodeHeader(value).trim();
+  const angle = /^(.*)<([^>]+)>\s*$/.exec(decoded);
+  if (angle) return { name: angle[1].trim().replace(/^"(.*)"$/, "$1") || null, address: angle[2].trim().toLowerCase() };
+  const bare = /[^\s<>]+@[^\s<>]+/.exec(decoded);
+  return { name: null, address: bare ? bare[0].toLowerCase() : null };
+};
+
+// Returns { from, fromName, fromAddress, subject, date, messageId, body, attachments }
+export const parseEml = (raw) => {
+  const { head } = splitMessage(raw);
+  const headers = parseHeaders(head);
+  const out = { text: [], html: [], attachments: [] };
+  walkPart(raw, out);
+
+  const sender = parseAddress(headers.from || "");
+  const date = headers.date ? new Date(headers.date) : null;
+  return {
+    from: decodeHeader(headers.from || ""),
+    fromName: sender.name,
+    fromAddress: sender.address,
+    subject: decodeHeader(headers.subject || ""),
+    date: date && !isNaN(date) ? date.toISOString() : null,
+    messageId: headers["message-id"] || null,
+    body: (out.text.join("\n\n") || htmlToText(out.html.join("\n"))).trim(),
+    attachments: out.attachments,
+  };
+};
+
+const ATTACHMENT_TYPES = { pdf: "application/pdf", png: "image/png", jpg: "image/jpeg", jpeg: "image/jpeg", gif: "image/gif", webp: "image/webp", tif: "image/tiff", tiff: "image/tiff" };
+
+// Mailers often send PDFs as application/octet-stream, so the extension decides too
+export const attachmentType = ({ filename, contentType }) => {
+  if (contentType === "application/pdf" || contentType.startsWith("image/")) return contentType;
+  const ext = (/\.([a-z0-9]+)$/i.exec(filename) || [])[1]?.toLowerCase();
+  return ATTACHMENT_TYPES[ext] || null;
+};
+
+// Attachments that can go through extraction, as Files. Inline images are skipped.
+export const attachmentFiles = (attachments) => {
+  const files = [];
+  const skipped = [];
+  attachments.forEach(attachment => {
+    const type = attachmentType(attachment);
+    if (!type || (attachment.inline && type.startsWith("image/"))) skipped.push(attachment.filename);
+    else files.push(new File([binaryToBytes(attachment.data)], attachment.filename, { type }));
+  });
+  return { files, skipped };
+};
+
+// Reads a dropped .eml: { email (headers and body), files, skipped }
+export const readEmailFile = async (file) => {
+  const { attachments, ...email } = parseEml(bytesToBinary(new Uint8Array(await file.arrayBuffer())));
+  return { email: { ...email, fileName: file.name }, ...attachmentFiles(attachments) };
+};
+
+// Puts the sender on the extraction. customers.js prefers senderEmail's domain over the
+// address the model read off the document.
+export const withEmailContext = (data, email) => {
+  if (!email) return data;
+  return {
+    ...data,
+    customerInfo: {
+      ...data.customerInfo,
+      email: data.customerInfo?.email || email.fromAddress,
+      senderEmail: email.fromAddress,
+    },
+    email: {
+      from: email.from,
+      fromAddress: email.fromAddress,
+      subject: email.subject,
+      date: email.date,
+      messageId: email.messageId,
+      fileName: email.fileName,
+      body: (email.body || "").slice(0, 2000),
+    },
+  };
+};
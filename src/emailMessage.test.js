@@ -0,0 +1,74 @@
+import { attachmentFiles, decodeHeader, parseAddress, parseEml, withEmailContext } from './emailMessage';
+
+const pdfBase64 = btoa('%PDF-1.4 fake');
+
+const eml = [
+  'From: "Jane Buyer" <Jane@Acme-Doors.com>',
+  'To: orders@example.com',
+  'Subject: =?UTF-8?B?UE8gNDUtODgxMjAgLSBSVVNI?=',
+  'Date: Tue, 5 Mar 2024 09:30:00 +0000',
+  'Message-ID: <abc@acme-doors.com>',
+  'MIME-Version: 1.0',
+  'Content-Type: multipart/mixed; boundary="outer"',
+  '',
+  '--outer',
+  'Content-Type: multipart/alternative; boundary="inner"',
+  '',
+  '--inner',
+  'Content-Type: text/plain; charset=utf-8',
+  'Content-Transfer-Encoding: quoted-printable',
+  '',
+  'Please enter the attached PO, keyed to=',
+  ' existing system.',
+  '--inner',
+  'Content-Type: text/html',
+  '',
+  '<p>Please enter the attached PO</p><img src="cid:logo">',
+  '--inner--',
+  '',
+  '--outer',
+  'Content-Type: image/png; name="logo.png"',
+  'Content-Disposition: inline; filename="logo.png"',
+  'Content-ID: <logo>',
+  'Content-Transfer-Encoding: base64',
+  '',
+  btoa('png'),
+  '--outer',
+  'Content-Type: application/octet-stream; name="PO 45-88120.pdf"',
+  'Content-Disposition: attachment; filename="PO 45-88120.pdf"',
+  'Content-Transfer-Encoding: base64',
+  '',
+  pdfBase64,
+  '--outer--',
+  '',
+].join('\r\n');
+
+test('parses headers, the text body and attachments from a multipart email', () => {
+  const message = parseEml(eml);
+  expect(message).toMatchObject({
+    fromName: 'Jane Buyer',
+    fromAddress: 'jane@acme-doors.com',
+    subject: 'PO 45-88120 - RUSH',
+    date: '2024-03-05T09:30:00.000Z',
+    body: 'Please enter the attached PO, keyed to existing system.',
+  });
+  expect(message.attachments.map(a => [a.filename, a.inline])).toEqual([['logo.png', true], ['PO 45-88120.pdf', false]]);
+  expect(message.attachments[1].data).toBe('%PDF-1.4 fake');
+
+  const { files, skipped } = attachmentFiles(message.attachments);
+  expect(files.map(f => [f.name, f.type])).toEqual([['PO 45-88120.pdf', 'application/pdf']]);
+  expect(skipped).toEqual(['logo.png']);
+});
+
+test('decodes encoded-word headers and bare addresses', () => {
+  expect(decodeHeader('=?ISO-8859-1?Q?Caf=E9_order?=')).toBe('Café order');
+  expect(parseAddress('buyer@baker.com')).toEqual({ name: null, address: 'buyer@baker.com' });
+});
+
+test('the sender goes onto the extraction without replacing the printed email', () => {
+  const email = { from: 'Jane <jane@acme-doors.com>', fromAddress: 'jane@acme-doors.com', subject: 'PO', body: 'hi' };
+  const data = withEmailContext({ customerInfo: { name: 'Acme', email: null } }, email);
+  expect(data.customerInfo).toEqual({ name: 'Acme', email: 'jane@acme-doors.com', senderEmail: 'jane@acme-doors.com' });
+  expect(data.email.subject).toBe('PO');
+  expect(withEmailContext({ customerInfo: { email: 'ap@acme.com' } }, email).customerInfo.email).toBe('ap@acme.com');
+});
@@ -0,0 +1,171 @@
+import { checkFile, extractionClient } from "./extractionClient";
+import { normalizeExtraction } from "./poSchema";
+import { applyPartGrammar } from "./partNumbers";
+import { assessConfidence } from "./confidence";
+import { withEmailContext } from "./emailMessage";
+import {
+  PDF_PREPARSE_MODE,
+  applyTextLayer,
+  buildLocalExtraction,
+  buildPageText,
+  readPdfText,
+  scanPoText,
+} from "./pdfText";
+import { chunkPrompt, mergeChunks, planChunks } from "./chunking";
+
+// --- EXTRACTION PIPELINE ---
+// One call per document (or per chunk) feeds both the router and the PO detail view, so the
+// prompt asks for the union of what they show: routing signals plus order and pricing detail.
+export const EXTRACTION_PROMPT = `
+  Analyze this Purchase Order.
+
+  TASK 1: IDENTIFY CUSTOMER (From Email Domain on Page 1)
+  - Customer name, address and email.
+
+  TASK 2: EXTRACT DETAILS
+  - PO Number, Order Number and Quote Number (one of each).
+  - Total page count (estimated).
+  - "totalLineCount": Total # of items.
+  - Routing Keywords: Look for "DPAS", "DO-A"/"DX-A" ratings, "Quick Ship", "Expedite", "Rush", "Keying", "Master Key", "Keso", "MK", "GMK", "SKD", "KA".
+
+  TASK 3: LINE ITEM EXTRACTION
+  - Extract EVERY line item. Do not sample or skip lines.
+  - Identify "lineNumber" and "pageNumber".
+  - List every prefix in front of the base part number (e.g. 10, 21, 22, 51, 59, 82, 83, 73, AL).
+  - "rawPartNumber": the part number exactly as printed, prefixes included (e.g. "12-56-8804 ETL US26D").
+  - The base part number may be '8804 ETL' or 'AD-PE8406 ETL' with prefixes appearing before it.
+  - Description, quantity and unit price.
+
+  TASK 4: PAGE SUMMARIES
+  - Return "pages" array with "itemsOnPage" summary.
+
+  TASK 5: DOCUMENT TYPE
+  - "documentType": one of "standard_po", "chargeback" (chargeback or debit memo), "international" (international or export PO),
+    "change_order", "quote_request".
+  - "documentTypeEvidence": the words on the document that decided it (e.g. "DEBIT MEMO", "Ship to: Monterrey, Mexico").
+
+  TASK 6: CONFIDENCE
+  - "confidence": how sure you are of each header field, from 0 (guess) to 1 (clearly printed).
+  - Give each line item its own "confidence" too. Rate smudged, cut off or handwritten values low.
+
+  If any data is not present, use null. If no prefixes are found, the prefixes array should be empty.
+
+  Return JSON Schema:
+  {
+    "customerInfo": { "name": "...", "email": "...", "address": "...", "source": "..." },
+    "documentType": "standard_po",
+    "documentTypeEvidence": "...",
+    "poNumber": "...",
+    "orderNumber": "...",
+    "quoteNumber": "...",
+    "pageCount": number,
+    "totalLineCount": number,
+    "routingKeywords": ["..."],
+    "lineItems": [
+       {
+         "lineNumber": "string",
+         "pageNumber": number,
+         "partNumber": "string",
+         "rawPartNumber": "string",
+         "prefixes": ["string"],
+         "description": "string",
+         "quantity": number,
+         "unitPrice": number,
+         "confidence": number
+       }
+    ],
+    "pages": [
+      {
+        "pageNumber": 1,
+        "type": "PO Data",
+        "summary": "...",
+        "itemsOnPage": [ { "qty": "1", "desc": "..." } ]
+      }
+    ],
+    "confidence": {
+      "poNumber": number, "customerInfo": number, "documentType": number,
+      "pageCount": number, "totalLineCount": number, "routingKeywords": number
+    }
+  }
+`;
+
+const readTextLayer = async (file) => {
+  if (file.type !== "application/pdf" || PDF_PREPARSE_MODE === "off") return null;
+  try {
+    return await readPdfText(file);
+  } catch (err) {
+    // Encrypted or malformed PDFs still go to the model as a file
+    console.warn(`Local PDF parse failed for ${file.name}:`, err);
+    return null;
+  }
+};
+
+// Prefixes printed on the part number replace the model's; the grammar's findings join the
+// schema warnings
+const checkPartNumbers = ({ data, warnings }) => {
+  const checked = applyPartGrammar(data);
+  return { data: checked.data, warnings: [...warnings, ...checked.warnings] };
+};
+
+// Page count from the file, schema warnings and the email it came in, then the confidence check
+// that reads them all (a sender address is a customer the document may not print)
+const finishOrder = (checked, file, textLayer, scan, pagesSent, email) => {
+  const order = withEmailContext(
+    { ...applyTextLayer(checked.data, textLayer, scan, pagesSent), validationWarnings: checked.warnings },
+    email
+  );
+  return { ...order, confidenceCheck: assessConfidence(order, { fileType: file.type }) };
+};
+
+// options.signal cancels between and during model calls; options.email is the parsed message
+// the file was attached to, if any
+export const extractOrder = async (file, options = {}) => {
+  checkFile(file);
+  const textLayer = await readTextLayer(file);
+  const scan = textLayer ? scanPoText(textLayer.pages) : null;
+
+  if (textLayer?.hasTextLayer && !textLayer.scannedPages.length && PDF_PREPARSE_MODE === "local") {
+    const local = checkPartNumbers(normalizeExtraction(buildLocalExtraction(textLayer, scan)));
+    return finishOrder(local, file, textLayer, scan, [], options.email);
+  }
+
+  // Decided page by page: pages with text are sent as text, scanned pages are read from the
+  // file, blank pages are skipped. Both kinds are chunked, so a page the regexes don't
+  // recognize is still extracted. Images and unreadable PDFs go as the file in one call.
+  const calls = textLayer
+    ? [
+      ...planChunks(textLayer.textPages).map(pages => ({ pages, asText: true })),
+      ...planChunks(textLayer.scannedPages).map(pages => ({ pages, asText: false })),
+    ].sort((a, b) => a.pages[0] - b.pages[0])
+    : [];
+  if (!calls.length) calls.push({ pages: null, asText: false });
+
+  const results = [];
+  const cutWarnings = [];
+  for (const [i, { pages, asText }] of calls.entries()) {
+    const prompt = calls.length > 1 ? chunkPrompt(EXTRACTION_PROMPT, pages, i, calls.length) : EXTRACTION_PROMPT;
+    let raw;
+    if (asText) {
+      const { text, cut } = buildPageText(textLayer, pages);
+      if (cut) {
+        cutWarnings.push({
+          path: "totalLineCount",
+          message: `Text of pages ${pages.join(", ")} was cut at ${cut.kept} of ${cut.total} characters, ` +
+            `inside page ${cut.pageNumber}. Lines after that point were not read; check them against the PDF.`,
+          level: "warning",
+        });
+      }
+      raw = await extractionClient.extractText(file.name, prompt, text, options);
+    } else {
+      raw = await extractionClient.extract(file, prompt, options);
+    }
+    results.push({ pages: pages || [1], ...normalizeExtraction(raw) });
+  }
+
+  const checked = checkPartNumbers(results.length > 1 ? mergeChunks(results) : results[0]);
+  const pagesSent = textLayer?.textPages.length ? textLayer.textPages : null;
+  return finishOrder({ ...checked, warnings: [...checked.warnings, ...cutWarnings] }, file, textLayer, scan, pagesSent, options.email);
+};
+
+// "local" pre-parse can read text-layer PDFs with no model configured at all
+export const canExtract = () => extractionClient.isConfigured() || PDF_PREPARSE_MODE === "local";
@@ -0,0 +1,62 @@
+import { extractOrder } from './extraction';
+import { extractionClient } from './extractionClient';
+import * as pdfText from './pdfText';
+
+test('an emailed PO with no printed customer is scored with the sender address', async () => {
+  const spy = jest.spyOn(extractionClient, 'extract').mockResolvedValue({
+    poNumber: 'PO-55',
+    customerInfo: { name: null, email: null },
+    pageCount: 1,
+    lineItems: [{ lineNumber: '1', pageNumber: 1, partNumber: '8204 LNL', quantity: 2 }],
+    pages: [{ pageNumber: 1 }],
+  });
+  try {
+    const file = new File(['scan'], 'po.png', { type: 'image/png' });
+    const email = { from: 'Jane <jane@acme-doors.com>', fromAddress: 'jane@acme-doors.com', subject: 'PO 55' };
+
+    const emailed = await extractOrder(file, { email });
+    expect(emailed.customerInfo.senderEmail).toBe('jane@acme-doors.com');
+    expect(emailed.confidenceCheck.fields.customerInfo.reasons).toEqual(['No customer name, email only']);
+    expect(emailed.confidenceCheck.low.map(l => l.path)).not.toContain('customerInfo');
+
+    const dropped = await extractOrder(file);
+    expect(dropped.confidenceCheck.low.map(l => l.path)).toContain('customerInfo');
+  } finally {
+    spy.mockRestore();
+  }
+});
+
+test('text pages go as text, scanned pages as the file, and a blank separator is skipped', async () => {
+  const words = (n) => `PURCHASE ORDER 45-88120 ${'8204 LNL 26D qty 1 '.repeat(n)}`;
+  const pages = [
+    { pageNumber: 1, text: words(3), blank: false },
+    { pageNumber: 2, text: '', blank: true },
+    { pageNumber: 3, text: '', blank: false },
+    { pageNumber: 4, text: words(3300), blank: false },
+  ];
+  const reader = jest.spyOn(pdfText, 'readPdfText').mockResolvedValue({
+    pageCount: 4,
+    pages,
+    textPages: pdfText.textPageNumbers(pages),
+    scannedPages: pdfText.scannedPageNumbers(pages),
+    blankPages: pdfText.blankPageNumbers(pages),
+    hasTextLayer: true,
+  });
+  const reply = { poNumber: '45-88120', customerInfo: { name: 'Acme' }, lineItems: [], pages: [] };
+  const asText = jest.spyOn(extractionClient, 'extractText').mockResolvedValue(reply);
+  const asFile = jest.spyOn(extractionClient, 'extract').mockResolvedValue(reply);
+  try {
+    const order = await extractOrder(new File(['%PDF'], 'po.pdf', { type: 'application/pdf' }));
+    expect(asText).toHaveBeenCalledTimes(1);
+    expect(asText.mock.calls[0][2]).toContain('--- PAGE 4 ---');
+    expect(asText.mock.calls[0][2]).not.toContain('--- PAGE 2 ---');
+    expect(asFile).toHaveBeenCalledTimes(1);
+    expect(asFile.mock.calls[0][1]).toContain('pages 3.');
+    expect(order.textLayer).toMatchObject({ pagesSent: [1, 4], scannedPages: [3], blankPages: [2] });
+    expect(order.validationWarnings).toContainEqual(expect.objectContaining({
+      path: 'totalLineCount', level: 'warning', message: expect.stringContaining('inside page 4'),
+    }));
+  } finally {
+    [reader, asText, asFile].forEach(spy => spy.mockRestore());
+  }
+});
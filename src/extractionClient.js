@@ -0,0 +1,308 @@
+import { pickMockFixture } from "./mockFixtures";
+
+// --- SHARED EXTRACTION CLIENT ---
+// One client for every screen that needs structured data out of a PO file.
+// A provider only has to turn { prompt, file } into the model's raw text reply;
+// reading the file, cleaning code fences and JSON parsing happen here once.
+// `file` is null for text-only requests (see extractText).
+//
+// Providers (REACT_APP_EXTRACTION_PROVIDER):
+//   "gemini" - Google generateContent (default)
+//   "openai" - any OpenAI-compatible /chat/completions endpoint, hosted or local
+//   "mock"   - deterministic fixtures, no network or API key needed
+
+const GEMINI_BASE_URL = "https://generativelanguage.googleapis.com/v1beta/models";
+const DEFAULT_GEMINI_MODEL = "gemini-2.0-flash";
+
+const envNumber = (value, fallback) => (value && !isNaN(Number(value)) ? Number(value) : fallback);
+
+export const ENV_CONFIG = {
+  provider: process.env.REACT_APP_EXTRACTION_PROVIDER || "gemini",
+  apiKey: process.env.REACT_APP_GOOGLE_API_KEY,
+  model: process.env.REACT_APP_GEMINI_MODEL || DEFAULT_GEMINI_MODEL,
+  openaiUrl: process.env.REACT_APP_OPENAI_BASE_URL,
+  openaiKey: process.env.REACT_APP_OPENAI_API_KEY,
+  openaiModel: process.env.REACT_APP_OPENAI_MODEL,
+  mockLatencyMs: process.env.NODE_ENV === "test" ? 0 : 400,
+  maxAttempts: envNumber(process.env.REACT_APP_EXTRACTION_MAX_ATTEMPTS, 3),
+  timeoutMs: envNumber(process.env.REACT_APP_EXTRACTION_TIMEOUT_MS, 90000),
+  retryBaseMs: 1000,
+};
+
+// Inline uploads above this are rejected by the hosted APIs, so don't spend a call finding out
+export const MAX_FILE_BYTES = 20 * 1024 * 1024;
+
+// --- ERRORS ---
+// Every failure leaves the client as an ExtractionError with a category the UI can act on.
+// `retryable` errors are retried by fetchWithRetry before they surface.
+export const ERROR_CATEGORIES = {
+  config: { label: "Not configured", hint: "Set the provider variables in .env.local and restart the app." },
+  auth: { label: "Authentication failed", hint: "Check the API key (or bearer token) for the extraction provider." },
+  quota: { label: "Rate limit or quota reached", hint: "Wait a minute and run the queue again, or check the plan's quota." },
+  timeout: { label: "Request timed out", hint: "Large scans take longer. Try again, or raise REACT_APP_EXTRACTION_TIMEOUT_MS." },
+  network: { label: "Network error", hint: "Check the connection (and that a local server is running), then retry." },
+  server: { label: "Provider error", hint: "The provider failed on its side. Retry in a few minutes." },
+  rejected: { label: "Request rejected", hint: "Check the model name and endpoint settings for the provider." },
+  malformed: { label: "Unreadable reply", hint: "The model didn't return valid JSON. Retry, or try a clearer scan." },
+  unsupported: { label: "Unsupported file", hint: "Send a PDF or image under 20 MB." },
+  cancelled: { label: "Cancelled", hint: "" },
+};
+
+export class ExtractionError extends Error {
+  constructor(category, message, { retryable = false, status = null } = {}) {
+    super(message);
+    this.name = "ExtractionError";
+    this.category = category;
+    this.retryable = retryable;
+    this.status = status;
+  }
+}
+
+// "Rate limit or quota reached: HTTP 429 ... Wait a minute and ..." for banners and queue rows
+export const describeError = (err) => {
+  const category = ERROR_CATEGORIES[err?.category];
+  if (!category) return err?.message || String(err);
+  return [`${category.label}: ${err.message}`, category.hint].filter(Boolean).join(" ");
+};
+
+const cancelledError = () => new ExtractionError("cancelled", "Stopped by the user.");
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(cancelledError());
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(cancelledError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener("abort", onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener("abort", onAbort, { once: true });
+});
+
+// Exponential backoff with jitter, so a batch of failures doesn't retry in lockstep.
+// A Retry-After header from the provider wins when it asks for longer.
+export const retryDelay = (attempt, baseMs, random = Math.random, retryAfterSeconds = null) => {
+  const backoff = baseMs * Math.pow(2, attempt) * (0.5 + random() / 2);
+  return retryAfterSeconds ? Math.max(backoff, retryAfterSeconds * 1000) : backoff;
+};
+
+const errorForResponse = async (response) => {
+  let detail = "";
+  try {
+    detail = (await response.text()).slice(0, 300);
+  } catch (err) {
+    // Body already gone; the status is enough
+  }
+  const message = `HTTP ${response.status}${detail ? ` - ${detail}` : ""}`;
+  const { status } = response;
+  // Gemini answers a bad key with 400 "API key not valid"
+  if (status === 401 || status === 403 || (status === 400 && /api[ _-]?key/i.test(detail))) {
+    return new ExtractionError("auth", message, { status });
+  }
+  if (status === 429) return new ExtractionError("quota", message, { status, retryable: true });
+  if (status === 408) return new ExtractionError("timeout", message, { status, retryable: true });
+  if (status === 413 || status === 415) return new ExtractionError("unsupported", message, { status });
+  if (status >= 500) return new ExtractionError("server", message, { status, retryable: true });
+  return new ExtractionError("rejected", message, { status });
+};
+
+// One fetch per attempt, each with its own timeout. `signal` is the caller's cancel switch.
+export const fetchWithRetry = async (url, options, policy = {}) => {
+  const { maxAttempts = 3, timeoutMs = 90000, retryBaseMs = 1000, signal, random = Math.random } = policy;
+  let lastError = null;
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    if (signal?.aborted) throw cancelledError();
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    signal?.addEventListener("abort", onAbort, { once: true });
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+
+    let retryAfter = null;
+    try {
+      const response = await fetch(url, { ...options, signal: controller.signal });
+      if (response.ok) return response;
+      lastError = await errorForResponse(response);
+      retryAfter = Number(response.headers?.get?.("retry-after")) || null;
+    } catch (err) {
+      if (signal?.aborted) throw cancelledError();
+      lastError = timedOut
+        ? new ExtractionError("timeout", `No reply after ${Math.round(timeoutMs / 1000)}s.`, { retryable: true })
+        : new ExtractionError("network", err.message, { retryable: true });
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+    }
+
+    if (!lastError.retryable || attempt === maxAttempts - 1) break;
+    console.warn(`Extraction attempt ${attempt + 1} failed (${lastError.category}), retrying`);
+    await sleep(retryDelay(attempt, retryBaseMs, random, retryAfter), signal);
+  }
+  throw lastError;
+};
+
+const postJson = async (url, body, headers, policy) => {
+  const response = await fetchWithRetry(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+  }, policy);
+  try {
+    return await response.json();
+  } catch (err) {
+    throw new ExtractionError("malformed", "The provider's response wasn't JSON.");
+  }
+};
+
+export const readFileAsBase64 = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result.split(",")[1]);
+  reader.onerror = () => reject(new Error(`Failed to read ${file.name}`));
+  reader.readAsDataURL(file);
+});
+
+// PDFs and images only; anything else fails before it costs a call
+export const checkFile = (file) => {
+  if (!file.type || !(file.type === "application/pdf" || file.type.startsWith("image/"))) {
+    throw new ExtractionError("unsupported", `${file.name} is ${file.type || "an unknown type"}, not a PDF or image.`);
+  }
+  if (file.size > MAX_FILE_BYTES) {
+    throw new ExtractionError("unsupported", `${file.name} is ${(file.size / 1048576).toFixed(1)} MB, over the 20 MB limit.`);
+  }
+};
+
+export const cleanJsonText = (text) => text.replace(/```json/g, "").replace(/```/g, "").trim();
+
+// --- PROVIDERS ---
+const geminiProvider = (config) => ({
+  name: "gemini",
+  label: `Gemini (${config.model})`,
+  configError: config.apiKey
+    ? null
+    : "API key is missing. Please set your REACT_APP_GOOGLE_API_KEY environment variable.",
+  generate: async ({ prompt, file, policy }) => {
+    const parts = [{ text: prompt }];
+    if (file) parts.push({ inlineData: { mimeType: file.mimeType, data: file.data } });
+    const payload = {
+      contents: [{ parts }],
+      generationConfig: { responseMimeType: "application/json" }
+    };
+    const result = await postJson(`${GEMINI_BASE_URL}/${config.model}:generateContent?key=${config.apiKey}`, payload, {}, policy);
+    return result.candidates?.[0]?.content?.parts?.[0]?.text;
+  },
+});
+
+const openaiProvider = (config) => ({
+  name: "openai",
+  label: `OpenAI-compatible (${config.openaiModel || "default model"})`,
+  configError: config.openaiUrl
+    ? null
+    : "Endpoint is missing. Please set your REACT_APP_OPENAI_BASE_URL environment variable.",
+  generate: async ({ prompt, file, policy }) => {
+    const content = [{ type: "text", text: prompt }];
+    if (file) {
+      const dataUrl = `data:${file.mimeType};base64,${file.data}`;
+      content.push(file.mimeType.startsWith("image/")
+        ? { type: "image_url", image_url: { url: dataUrl } }
+        : { type: "file", file: { filename: file.name, file_data: dataUrl } });
+    }
+    const payload = {
+      model: config.openaiModel,
+      messages: [{ role: "user", content }],
+      response_format: { type: "json_object" },
+    };
+    // Local servers usually run without auth, so the key is optional
+    const headers = config.openaiKey ? { Authorization: `Bearer ${config.openaiKey}` } : {};
+    const result = await postJson(`${config.openaiUrl.replace(/\/$/, "")}/chat/completions`, payload, headers, policy);
+    return result.choices?.[0]?.message?.content;
+  },
+});
+
+const mockProvider = (config) => ({
+  name: "mock",
+  label: "Offline mock",
+  configError: null,
+  generate: async ({ file, name, policy }) => {
+    if (config.mockLatencyMs) await sleep(config.mockLatencyMs, policy.signal);
+    if (policy.signal?.aborted) throw cancelledError();
+    return JSON.stringify(pickMockFixture(file ? file.name : name));
+  },
+});
+
+const PROVIDERS = {
+  gemini: geminiProvider,
+  openai: openaiProvider,
+  mock: mockProvider,
+};
+
+export const createExtractionClient = (config = ENV_CONFIG) => {
+  const factory = PROVIDERS[config.provider];
+  // An unknown provider surfaces like a missing key instead of crashing the app on import
+  const provider = factory ? factory(config) : {
+    name: config.provider,
+    label: config.provider,
+    configError: `Unknown extraction provider "${config.provider}". Use gemini, openai or mock.`,
+  };
+
+  const policyFor = ({ signal } = {}) => ({
+    maxAttempts: config.maxAttempts ?? ENV_CONFIG.maxAttempts,
+    timeoutMs: config.timeoutMs ?? ENV_CONFIG.timeoutMs,
+    retryBaseMs: config.retryBaseMs ?? ENV_CONFIG.retryBaseMs,
+    random: config.random,
+    signal,
+  });
+
+  const checkConfigured = () => {
+    if (provider.configError) throw new ExtractionError("config", provider.configError);
+  };
+
+  const parseReply = (text) => {
+    if (!text) throw new ExtractionError("malformed", "The model returned an empty reply.", { retryable: true });
+    try {
+      return JSON.parse(cleanJsonText(text));
+    } catch (parseErr) {
+      console.error("JSON Parse Error:", parseErr);
+      throw new ExtractionError("malformed", "The model's reply wasn't valid JSON.", { retryable: true });
+    }
+  };
+
+  // Transport failures are retried inside fetchWithRetry; a garbled reply gets one more try here
+  const run = async (request, options) => {
+    checkConfigured();
+    const policy = policyFor(options);
+    try {
+      return parseReply(await provider.generate({ ...request, policy }));
+    } catch (err) {
+      if (err.category !== "malformed" || policy.maxAttempts < 2) throw err;
+      if (policy.signal?.aborted) throw cancelledError();
+      console.warn("Extraction reply unreadable, asking once more");
+      return parseReply(await provider.generate({ ...request, policy }));
+    }
+  };
+
+  return {
+    provider,
+    configError: provider.configError,
+    isConfigured: () => !provider.configError,
+    // options.signal (an AbortSignal) cancels the request and any pending retry
+    extract: async (file, prompt, options) => {
+      checkConfigured();
+      checkFile(file);
+      const data = await readFileAsBase64(file);
+      return run({ prompt, name: file.name, file: { name: file.name, mimeType: file.type, data } }, options);
+    },
+    // For documents already read locally: the text rides along in the prompt, no attachment
+    extractText: (name, prompt, documentText, options) =>
+      run({ prompt: `${prompt}\n\nDOCUMENT TEXT:\n${documentText}`, name, file: null }, options),
+  };
+};
+
+export const extractionClient = createExtractionClient();
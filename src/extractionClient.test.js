@@ -0,0 +1,121 @@
+import { createExtractionClient, describeError } from './extractionClient';
+
+const pdf = (name) => new File(['%PDF-1.4 test'], name, { type: 'application/pdf' });
+
+test('mock provider returns deterministic fixtures without network or key', async () => {
+  const client = createExtractionClient({ provider: 'mock', mockLatencyMs: 0 });
+  expect(client.isConfigured()).toBe(true);
+
+  const keyed = await client.extract(pdf('keyed-order.pdf'), 'prompt');
+  expect(keyed.routingKeywords).toContain('Master Key');
+
+  const first = await client.extract(pdf('scan-0042.pdf'), 'prompt');
+  const second = await client.extract(pdf('scan-0042.pdf'), 'prompt');
+  expect(second).toEqual(first);
+});
+
+test('gemini provider reports a missing key instead of calling out', async () => {
+  const client = createExtractionClient({ provider: 'gemini', model: 'gemini-2.0-flash' });
+  expect(client.isConfigured()).toBe(false);
+  await expect(client.extract(pdf('a.pdf'), 'prompt')).rejects.toThrow(/REACT_APP_GOOGLE_API_KEY/);
+});
+
+test('openai-compatible provider posts to chat/completions and parses the reply', async () => {
+  const originalFetch = global.fetch;
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: true,
+    status: 200,
+    json: async () => ({ choices: [{ message: { content: '```json\n{"poNumber":"PO-1"}\n```' } }] }),
+  });
+  try {
+    const client = createExtractionClient({ provider: 'openai', openaiUrl: 'http://localhost:8080/v1/', openaiModel: 'local' });
+    const data = await client.extract(pdf('a.pdf'), 'prompt');
+    expect(data).toEqual({ poNumber: 'PO-1' });
+    expect(global.fetch.mock.calls[0][0]).toBe('http://localhost:8080/v1/chat/completions');
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
+
+test('unknown providers surface as a configuration error', () => {
+  expect(createExtractionClient({ provider: 'nope' }).configError).toMatch(/Unknown extraction provider/);
+});
+
+const reply = (status, body = {}, text = '') => ({
+  ok: status < 300,
+  status,
+  headers: { get: () => null },
+  json: async () => body,
+  text: async () => text,
+});
+const ok = (content) => reply(200, { choices: [{ message: { content } }] });
+const openai = (overrides) => createExtractionClient({
+  provider: 'openai', openaiUrl: 'http://localhost:8080/v1', retryBaseMs: 0, maxAttempts: 3, timeoutMs: 1000, ...overrides,
+});
+
+const withFetch = async (impl, run) => {
+  const originalFetch = global.fetch;
+  global.fetch = jest.fn(impl);
+  try {
+    await run(global.fetch);
+  } finally {
+    global.fetch = originalFetch;
+  }
+};
+
+test('rate limits and server errors are retried, bad keys fail at once', async () => {
+  const replies = [reply(429), reply(503), ok('{"poNumber":"PO-2"}')];
+  await withFetch(async () => replies.shift(), async (fetch) => {
+    await expect(openai().extract(pdf('a.pdf'), 'prompt')).resolves.toEqual({ poNumber: 'PO-2' });
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  await withFetch(async () => reply(401, {}, 'invalid key'), async (fetch) => {
+    const err = await openai().extract(pdf('a.pdf'), 'prompt').catch(e => e);
+    expect(err.category).toBe('auth');
+    expect(describeError(err)).toMatch(/Authentication failed: HTTP 401 - invalid key Check the API key/);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  await withFetch(async () => reply(429), async (fetch) => {
+    await expect(openai({ maxAttempts: 2 }).extract(pdf('a.pdf'), 'prompt')).rejects.toMatchObject({ category: 'quota' });
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+});
+
+test('unreadable replies, unsupported files and timeouts are classified', async () => {
+  await withFetch(async () => ok('not json'), async (fetch) => {
+    await expect(openai().extract(pdf('a.pdf'), 'prompt')).rejects.toMatchObject({ category: 'malformed' });
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  const doc = new File(['x'], 'po.docx', { type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' });
+  await expect(openai().extract(doc, 'prompt')).rejects.toMatchObject({ category: 'unsupported' });
+
+  // Never answers; only the per-try timeout ends it
+  const hang = (url, { signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new Error('aborted')));
+  });
+  await withFetch(hang, async (fetch) => {
+    await expect(openai({ timeoutMs: 10, maxAttempts: 2 }).extract(pdf('a.pdf'), 'prompt')).rejects.toMatchObject({ category: 'timeout' });
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+});
+
+test('cancelling stops the request and any further retries', async () => {
+  const controller = new AbortController();
+  const hang = (url, { signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new Error('aborted')));
+    setTimeout(() => controller.abort(), 0);
+  });
+  await withFetch(hang, async (fetch) => {
+    const request = openai({ timeoutMs: 5000 }).extract(pdf('a.pdf'), 'prompt', { signal: controller.signal });
+    await expect(request).rejects.toMatchObject({ category: 'cancelled' });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  const mock = createExtractionClient({ provider: 'mock', mockLatencyMs: 0 });
+  const aborted = new AbortController();
+  aborted.abort();
+  await expect(mock.extract(pdf('a.pdf'), 'prompt', { signal: aborted.signal })).rejects.toMatchObject({ category: 'cancelled' });
+});
@@ -0,0 +1,51 @@
+// --- FOLDER WATCHER ---
+// Stand-in for a mailbox: point it at the folder Outlook rules (or a scanner) save POs and
+// .eml files into, and every file that lands there afterwards is handed to onFiles.
+// Browsers can't subscribe to file system events, so the folder is polled. Needs the File
+// System Access API (Chromium based browsers); elsewhere canWatchFolders() is false.
+
+export const WATCH_INTERVAL_MS = 15000;
+
+export const canWatchFolders = () => typeof window !== "undefined" && "showDirectoryPicker" in window;
+
+const fileKey = (file) => `${file.name}|${file.size}|${file.lastModified}`;
+
+const listFiles = async (dir) => {
+  const files = [];
+  for await (const handle of dir.values()) {
+    if (handle.kind === "file") files.push(await handle.getFile());
+  }
+  return files;
+};
+
+// Files already in the folder when watching starts are left alone. A new file is picked up
+// once it looks the same on two polls in a row, so half-written saves aren't read.
+// Returns { name, stop }.
+export const watchFolder = async (onFiles, onError, intervalMs = WATCH_INTERVAL_MS) => {
+  const dir = await window.showDirectoryPicker();
+  const seen = new Set((await listFiles(dir)).map(fileKey));
+  const settling = new Map();
+
+  const poll = async () => {
+    try {
+      const ready = [];
+      (await listFiles(dir)).forEach(file => {
+        const key = fileKey(file);
+        if (seen.has(key)) return;
+        if (settling.get(file.name) === key) {
+          settling.delete(file.name);
+          seen.add(key);
+          ready.push(file);
+        } else {
+          settling.set(file.name, key);
+        }
+      });
+      if (ready.length) onFiles(ready);
+    } catch (err) {
+      onError(err);
+    }
+  };
+
+  const timer = setInterval(poll, intervalMs);
+  return { name: dir.name, stop: () => clearInterval(timer) };
+};
@@ -0,0 +1,8 @@
+// --- KEYWORD MATCHING ---
+// Keywords and phrases are matched against upper-cased document text as whole words, so
+// "RUSH" doesn't fire on "BRUSHED CHROME" and "UK" doesn't fire on "DUKE".
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+export const containsWord = (text, keyword) =>
+  new RegExp(`(^|[^A-Z0-9])${escapeRegExp(keyword)}([^A-Z0-9]|$)`).test(text);
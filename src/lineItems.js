@@ -0,0 +1,111 @@
+// --- LINE ITEM MATH & ERP EXPORT ---
+
+// Fields a fixed-column ERP layout can pull from. `numeric` fields are right-aligned by default.
+export const ERP_FIELDS = [
+  { value: "poNumber", label: "PO Number" },
+  { value: "lineNumber", label: "Line #" },
+  { value: "prefixes", label: "Prefixes" },
+  { value: "partNumber", label: "Part Number" },
+  { value: "fullPartNumber", label: "Prefixes + Part" },
+  { value: "description", label: "Description" },
+  { value: "quantity", label: "Quantity", numeric: true },
+  { value: "unitPrice", label: "Unit Price", numeric: true },
+  { value: "extendedPrice", label: "Extended Price", numeric: true },
+];
+
+export const DEFAULT_ERP_LAYOUT = [
+  { field: "poNumber", width: 20 },
+  { field: "lineNumber", width: 4, align: "right", padChar: "0" },
+  { field: "fullPartNumber", width: 30 },
+  { field: "quantity", width: 8 },
+  { field: "unitPrice", width: 12 },
+];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const asNumber = (value) => (typeof value === "number" && Number.isFinite(value) ? value : null);
+
+export const extendedPrice = (item) => {
+  const qty = asNumber(item.quantity);
+  const price = asNumber(item.unitPrice);
+  return qty === null || price === null ? null : round2(qty * price);
+};
+
+export const orderTotals = (items) => items.reduce((totals, item) => ({
+  lines: totals.lines + 1,
+  quantity: totals.quantity + (asNumber(item.quantity) || 0),
+  amount: round2(totals.amount + (extendedPrice(item) || 0)),
+  unpriced: totals.unpriced + (extendedPrice(item) === null ? 1 : 0),
+}), { lines: 0, quantity: 0, amount: 0, unpriced: 0 });
+
+export const formatMoney = (value) => (value === null || value === undefined ? "N/A" : `$${value.toFixed(2)}`);
+
+// Line numbers default to the row position so edited/added rows still export in order
+const fieldValue = (field, item, index, order) => {
+  switch (field) {
+    case "poNumber": return order.poNumber || "";
+    case "lineNumber": return item.lineNumber || String(index + 1);
+    case "prefixes": return (item.prefixes || []).join(" ");
+    case "fullPartNumber": return [...(item.prefixes || []), item.partNumber || ""].join("-").replace(/-$/, "");
+    case "extendedPrice": {
+      const ext = extendedPrice(item);
+      return ext === null ? "" : ext.toFixed(2);
+    }
+    case "unitPrice": return asNumber(item.unitPrice) === null ? "" : item.unitPrice.toFixed(2);
+    case "quantity": return asNumber(item.quantity) === null ? "" : String(item.quantity);
+    default: return item[field] == null ? "" : String(item[field]);
+  }
+};
+
+export const csvCell = (value) => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+export const toCsv = (order, items) => {
+  const columns = ["poNumber", "lineNumber", "prefixes", "partNumber", "description", "quantity", "unitPrice", "extendedPrice"];
+  const header = columns.map(c => ERP_FIELDS.find(f => f.value === c).label);
+  const rows = items.map((item, i) => columns.map(c => fieldValue(c, item, i, order)));
+  return [header, ...rows].map(row => row.map(csvCell).join(",")).join("\r\n");
+};
+
+const columnAlign = (col) => col.align || (ERP_FIELDS.find(f => f.value === col.field)?.numeric ? "right" : "left");
+
+// Numeric and right-aligned columns are never cut: a clipped price or quantity would import as a
+// different number. One { line, label, value, width } per value too wide for its column.
+export const fixedWidthOverflows = (order, items, layout = DEFAULT_ERP_LAYOUT) => items.flatMap((item, i) =>
+  layout
+    .filter(col => columnAlign(col) === "right")
+    .map(col => ({ col, value: fieldValue(col.field, item, i, order) }))
+    .filter(({ col, value }) => value.length > col.width)
+    .map(({ col, value }) => ({
+      line: item.lineNumber || String(i + 1),
+      label: ERP_FIELDS.find(f => f.value === col.field)?.label || col.field,
+      value,
+      width: col.width,
+    }))
+);
+
+export const overflowMessage = ({ line, label, value, width }) =>
+  `Line ${line}: ${label} ${value} needs ${value.length} characters but the column is ${width}.`;
+
+// Pads every column to its exact width so the ERP can read lines by position. Left-aligned
+// text is truncated to fit; a number that won't fit refuses the export (see fixedWidthOverflows).
+export const toFixedWidth = (order, items, layout = DEFAULT_ERP_LAYOUT) => {
+  const overflows = fixedWidthOverflows(order, items, layout);
+  if (overflows.length) throw new Error(`ERP export refused. ${overflows.map(overflowMessage).join(" ")}`);
+  return items.map((item, i) =>
+    layout.map(col => {
+      const padChar = col.padChar || " ";
+      const text = fieldValue(col.field, item, i, order).slice(0, col.width);
+      return columnAlign(col) === "right" ? text.padStart(col.width, padChar) : text.padEnd(col.width, padChar);
+    }).join("")
+  ).join("\r\n");
+};
+
+export const downloadText = (text, filename, type = "text/plain") => {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
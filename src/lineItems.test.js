@@ -0,0 +1,45 @@
+import { extendedPrice, fixedWidthOverflows, orderTotals, toCsv, toFixedWidth } from './lineItems';
+
+const order = { poNumber: 'PO-77' };
+const items = [
+  { lineNumber: '1', prefixes: ['21'], partNumber: '8204 LNL', description: 'Lock, "keyed"', quantity: 3, unitPrice: 10.5 },
+  { prefixes: [], partNumber: '281 P10', description: 'Closer', quantity: 2, unitPrice: null },
+];
+
+test('computes extended prices and order totals', () => {
+  expect(extendedPrice(items[0])).toBe(31.5);
+  expect(extendedPrice(items[1])).toBeNull();
+  expect(orderTotals(items)).toEqual({ lines: 2, quantity: 5, amount: 31.5, unpriced: 1 });
+});
+
+test('exports CSV with quoted cells and default line numbers', () => {
+  const [header, first, second] = toCsv(order, items).split('\r\n');
+  expect(header).toBe('PO Number,Line #,Prefixes,Part Number,Description,Quantity,Unit Price,Extended Price');
+  expect(first).toBe('PO-77,1,21,8204 LNL,"Lock, ""keyed""",3,10.50,31.50');
+  expect(second).toBe('PO-77,2,,281 P10,Closer,2,,');
+});
+
+test('exports fixed-width lines by layout', () => {
+  const layout = [
+    { field: 'lineNumber', width: 3, padChar: '0', align: 'right' },
+    { field: 'fullPartNumber', width: 8 },
+    { field: 'quantity', width: 4 },
+  ];
+  expect(toFixedWidth(order, items, layout).split('\r\n')).toEqual(['00121-8204    3', '002281 P10    2']);
+});
+
+test('refuses a fixed-width export that would cut a number', () => {
+  const priced = [{ lineNumber: '1', partNumber: '8204 LNL', quantity: 2, unitPrice: 1234567890.5 }];
+  const layout = [
+    { field: 'partNumber', width: 4 },
+    { field: 'quantity', width: 4 },
+    { field: 'unitPrice', width: 8 },
+  ];
+  expect(fixedWidthOverflows(order, priced, layout)).toEqual([
+    { line: '1', label: 'Unit Price', value: '1234567890.50', width: 8 },
+  ]);
+  expect(() => toFixedWidth(order, priced, layout)).toThrow('Unit Price 1234567890.50 needs 13 characters but the column is 8');
+  // Text still truncates, and a wide enough column exports as before
+  expect(toFixedWidth(order, priced, [layout[0], layout[1], { field: 'unitPrice', width: 13 }]))
+    .toBe('8204   21234567890.50');
+});
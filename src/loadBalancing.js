@@ -0,0 +1,95 @@
+// --- WEIGHTED LOAD BALANCING ---
+// Standard orders go to the Order Entry rep with the lowest load score:
+//   score = pages x totalPages + cards x cards + lines x totalLines + sum(flag weight x flagged cards held)
+// Ties go round robin to whoever was assigned least recently (never assigned first).
+// Reps at or over a cap (their own maxCards/maxPages, else the defaults here) are skipped.
+// The default weights keep pages dominant but make an extra card count for something.
+
+export const DEFAULT_BALANCING = {
+  weights: {
+    pages: 1,
+    cards: 2,
+    lines: 0,
+    flags: { "10+ LINES": 5 },
+  },
+  maxCards: null,
+  maxPages: null,
+};
+
+const weightOf = (value) => (Number.isFinite(Number(value)) ? Number(value) : 0);
+
+// Fills in anything an older or hand-edited rule set left out
+export const normalizeBalancing = (balancing = {}) => {
+  const weights = balancing.weights || {};
+  return {
+    weights: {
+      pages: weights.pages ?? DEFAULT_BALANCING.weights.pages,
+      cards: weights.cards ?? DEFAULT_BALANCING.weights.cards,
+      lines: weights.lines ?? DEFAULT_BALANCING.weights.lines,
+      flags: { ...(weights.flags || DEFAULT_BALANCING.weights.flags) },
+    },
+    maxCards: balancing.maxCards ?? null,
+    maxPages: balancing.maxPages ?? null,
+  };
+};
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+// Returns { total, parts: [{ label, amount, weight, points }] }; parts with zero weight are left out
+export const scoreRep = (rep, balancing = DEFAULT_BALANCING) => {
+  const { weights } = normalizeBalancing(balancing);
+  const parts = [
+    { label: "pages", amount: rep.totalPages || 0, weight: weightOf(weights.pages) },
+    { label: "cards", amount: rep.cards || 0, weight: weightOf(weights.cards) },
+    { label: "lines", amount: rep.totalLines || 0, weight: weightOf(weights.lines) },
+    ...Object.entries(weights.flags).map(([flag, weight]) => ({
+      label: flag,
+      amount: rep.flagCounts?.[flag] || 0,
+      weight: weightOf(weight),
+    })),
+  ]
+    .filter(part => part.weight !== 0)
+    .map(part => ({ ...part, points: round1(part.amount * part.weight) }));
+
+  return { total: round1(parts.reduce((sum, part) => sum + part.points, 0)), parts };
+};
+
+export const describeScore = (score) =>
+  `${score.parts.map(p => `${p.amount} ${p.label} x${p.weight}`).join(" + ") || "no weights"} = ${score.total}`;
+
+// A rep's own cap wins over the balancing default; null/undefined means uncapped
+export const capReached = (rep, balancing = DEFAULT_BALANCING) => {
+  const maxCards = rep.maxCards ?? balancing.maxCards;
+  const maxPages = rep.maxPages ?? balancing.maxPages;
+  if (maxCards != null && (rep.cards || 0) >= maxCards) return `card cap ${maxCards}`;
+  if (maxPages != null && (rep.totalPages || 0) >= maxPages) return `page cap ${maxPages}`;
+  return null;
+};
+
+const lastAssigned = (rep) => (rep.lastAssignedAt ? Date.parse(rep.lastAssignedAt) : -Infinity);
+
+// candidates: available reps only. Returns { rep, score, logs }; rep is null when everyone is capped.
+export const pickRep = (candidates, balancing = DEFAULT_BALANCING) => {
+  const settings = normalizeBalancing(balancing);
+  const logs = [];
+
+  const scored = [];
+  candidates.forEach(rep => {
+    const cap = capReached(rep, settings);
+    if (cap) {
+      logs.push(`> SKIP: ${rep.name} (at ${cap})`);
+      return;
+    }
+    const score = scoreRep(rep, settings);
+    logs.push(`> SCORE: ${rep.name} = ${describeScore(score)}`);
+    scored.push({ rep, score });
+  });
+
+  scored.sort((a, b) => (a.score.total - b.score.total) || (lastAssigned(a.rep) - lastAssigned(b.rep)));
+  const best = scored[0];
+  if (best && scored[1] && scored[1].score.total === best.score.total) {
+    logs.push(`> TIE at ${best.score.total}: round robin to ${best.rep.name} (least recently assigned)`);
+  }
+
+  return { rep: best ? best.rep : null, score: best ? best.score : null, logs };
+};
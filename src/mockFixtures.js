@@ -0,0 +1,165 @@
+// --- OFFLINE MOCK FIXTURES ---
+// Canned extraction results for the "mock" provider. Each one carries the union of the
+// fields the router and the analyzer prompts ask for. A fixture is picked by matching the
+// file name; anything else is assigned by a stable hash of the name, so the same file
+// always produces the same extraction.
+
+export const MOCK_FIXTURES = [
+  {
+    id: "standard",
+    match: /standard|short/i,
+    data: {
+      customerInfo: {
+        name: "Midwest Door & Hardware",
+        email: "orders@midwestdoor.com",
+        address: "1200 Industrial Pkwy, Columbus, OH 43215",
+        source: "MOCK FIXTURE",
+      },
+      documentType: "standard_po",
+      poNumber: "MDH-458812",
+      orderNumber: "N/A",
+      quoteNumber: "Q-77120",
+      pageCount: 1,
+      totalLineCount: 2,
+      routingKeywords: [],
+      lineItems: [
+        { lineNumber: "1", pageNumber: 1, partNumber: "8804 ETL", prefixes: [], description: "Mortise lock, ETL trim", quantity: 4, unitPrice: 412.5 },
+        { lineNumber: "2", pageNumber: 1, partNumber: "281 P10 EN", prefixes: [], description: "Door closer, parallel arm", quantity: 4, unitPrice: 198 },
+      ],
+      pages: [
+        {
+          pageNumber: 1,
+          type: "PO Data",
+          summary: "Standard two-line stock order.",
+          itemsOnPage: [{ qty: "4", desc: "8804 ETL mortise lock" }, { qty: "4", desc: "281 P10 EN closer" }],
+        },
+      ],
+    },
+  },
+  {
+    id: "keying",
+    match: /key|mk|master/i,
+    data: {
+      customerInfo: {
+        name: "Campus Security Supply",
+        email: "purchasing@campussecurity.edu",
+        address: "45 University Ave, Ann Arbor, MI 48109",
+        source: "MOCK FIXTURE",
+      },
+      documentType: "standard_po",
+      poNumber: "CSS-20931",
+      orderNumber: "N/A",
+      quoteNumber: "N/A",
+      pageCount: 2,
+      totalLineCount: 4,
+      routingKeywords: ["Master Key"],
+      lineItems: [
+        { lineNumber: "1", pageNumber: 1, partNumber: "8204 LNL", prefixes: ["21"], description: "Mortise lock, keyed to existing system", quantity: 10, unitPrice: 389 },
+        { lineNumber: "2", pageNumber: 1, partNumber: "31-8204 LNL", prefixes: ["AL"], description: "Mortise lock, 31 series", quantity: 2, unitPrice: 402 },
+        { lineNumber: "3", pageNumber: 2, partNumber: "6300 Cylinder", prefixes: [], description: "Rim cylinder", quantity: 12, unitPrice: 54 },
+        { lineNumber: "4", pageNumber: 2, partNumber: "KS-BLANK", prefixes: [], description: "Key blanks", quantity: 50, unitPrice: 2.1 },
+      ],
+      pages: [
+        { pageNumber: 1, type: "PO Data", summary: "Locks to be master keyed to campus system.", itemsOnPage: [{ qty: "10", desc: "21-8204 LNL" }, { qty: "2", desc: "31-8204 LNL" }] },
+        { pageNumber: 2, type: "PO Data", summary: "Cylinders and blanks.", itemsOnPage: [{ qty: "12", desc: "6300 rim cylinder" }, { qty: "50", desc: "Key blanks" }] },
+      ],
+    },
+  },
+  {
+    id: "high-volume",
+    match: /large|bulk|volume/i,
+    data: {
+      customerInfo: {
+        name: "Allied Building Products",
+        email: "po@alliedbp.com",
+        address: "900 Commerce Dr, Dallas, TX 75201",
+        source: "MOCK FIXTURE",
+      },
+      documentType: "standard_po",
+      poNumber: "ABP-0099314",
+      orderNumber: "N/A",
+      quoteNumber: "Q-80411",
+      pageCount: 3,
+      totalLineCount: 12,
+      routingKeywords: ["Quick Ship"],
+      lineItems: Array.from({ length: 12 }, (_, i) => ({
+        lineNumber: String(i + 1),
+        pageNumber: Math.floor(i / 5) + 1,
+        partNumber: i % 2 ? "AD-PE8406 ETL" : "8804 ETL",
+        prefixes: i === 7 ? ["12"] : [],
+        description: i % 2 ? "Access control mortise lock" : "Mortise lock, ETL trim",
+        quantity: 2 + i,
+        unitPrice: i % 2 ? 1290 : 412.5,
+        // Line 8's prefix is smudged on the scan
+        confidence: i === 7 ? 0.45 : 0.95,
+      })),
+      pages: [
+        { pageNumber: 1, type: "PO Data", summary: "Lines 1-5, quick ship requested.", itemsOnPage: [{ qty: "2", desc: "8804 ETL" }] },
+        { pageNumber: 2, type: "PO Data", summary: "Lines 6-10.", itemsOnPage: [{ qty: "7", desc: "AD-PE8406 ETL" }] },
+        { pageNumber: 3, type: "Terms", summary: "Lines 11-12 and shipping terms.", itemsOnPage: [] },
+      ],
+    },
+  },
+  {
+    id: "chargeback",
+    match: /chargeback|debit/i,
+    data: {
+      customerInfo: {
+        name: "Midwest Door & Hardware",
+        email: "ap@midwestdoor.com",
+        address: "1200 Industrial Pkwy, Columbus, OH 43215",
+        source: "MOCK FIXTURE",
+      },
+      documentType: "chargeback",
+      documentTypeEvidence: "DEBIT MEMO DM-1187",
+      poNumber: "MDH-458812",
+      orderNumber: "N/A",
+      quoteNumber: "N/A",
+      pageCount: 1,
+      totalLineCount: 1,
+      routingKeywords: [],
+      lineItems: [
+        { lineNumber: "1", pageNumber: 1, partNumber: "8804 ETL", prefixes: [], description: "Short shipped, 1 pc", quantity: 1, unitPrice: 412.5 },
+      ],
+      pages: [
+        { pageNumber: 1, type: "Debit Memo", summary: "Debit memo for one mortise lock short shipped on MDH-458812.", itemsOnPage: [{ qty: "1", desc: "8804 ETL short" }] },
+      ],
+    },
+  },
+  {
+    id: "international",
+    match: /intl|export/i,
+    data: {
+      customerInfo: {
+        name: "Herrajes del Norte",
+        email: "compras@herrajesdelnorte.mx",
+        address: "Av. Constitucion 450, Monterrey, NL 64000, Mexico",
+        source: "MOCK FIXTURE",
+      },
+      documentType: "international",
+      documentTypeEvidence: "Incoterms FCA Laredo, TX",
+      poNumber: "HN-2024-0311",
+      orderNumber: "N/A",
+      quoteNumber: "Q-80977",
+      pageCount: 1,
+      totalLineCount: 2,
+      routingKeywords: [],
+      lineItems: [
+        { lineNumber: "1", pageNumber: 1, partNumber: "8804 ETL", prefixes: [], description: "Mortise lock, ETL trim", quantity: 20, unitPrice: 405 },
+        { lineNumber: "2", pageNumber: 1, partNumber: "8816 ETL", prefixes: [], description: "Exit device, mortise", quantity: 6, unitPrice: 960 },
+      ],
+      pages: [
+        { pageNumber: 1, type: "PO Data", summary: "Export order, FCA Laredo, customs broker on file.", itemsOnPage: [{ qty: "20", desc: "8804 ETL" }, { qty: "6", desc: "8816 ETL" }] },
+      ],
+    },
+  },
+];
+
+const hashName = (name) => [...(name || "")].reduce((hash, ch) => (hash * 31 + ch.charCodeAt(0)) >>> 0, 7);
+
+export const pickMockFixture = (fileName) => {
+  const fixture = MOCK_FIXTURES.find(f => f.match.test(fileName || ""))
+    || MOCK_FIXTURES[hashName(fileName) % MOCK_FIXTURES.length];
+  // Hand out a copy so callers can't mutate the shared fixture
+  return JSON.parse(JSON.stringify(fixture.data));
+};
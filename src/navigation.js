@@ -0,0 +1,62 @@
+import { useEffect, useState } from "react";
+
+// --- CLIENT-SIDE NAVIGATION ---
+// Hash routes, so the static build works from any host without server rewrites:
+//   #/                      router dashboard
+//   #/orders                PO analyzer (pick a routed order or analyze a file without routing)
+//   #/orders/<historyId>    one routed order, read from its saved extraction
+//   #/settings[/<section>]  roster, routing rules, dry run, customers, general
+
+export const VIEWS = [
+  { id: "dashboard", label: "ROUTER" },
+  { id: "orders", label: "PO DETAIL" },
+  { id: "settings", label: "SETTINGS" },
+];
+
+export const SETTINGS_SECTIONS = [
+  { id: "roster", label: "ROSTER" },
+  { id: "rules", label: "ROUTING RULES" },
+  { id: "simulate", label: "DRY RUN" },
+  { id: "customers", label: "CUSTOMERS" },
+  { id: "general", label: "GENERAL" },
+];
+
+const DEFAULT_ROUTE = { view: "dashboard", id: null };
+
+// "#/orders/123-0" -> { view: "orders", id: "123-0" }. Anything unknown, or a hash that won't
+// decode (a hand-typed "%E0"), lands on the dashboard.
+export const parseRoute = (hash) => {
+  let parts;
+  try {
+    parts = (hash || "").replace(/^#\/?/, "").split("/").map(decodeURIComponent);
+  } catch (err) {
+    return DEFAULT_ROUTE;
+  }
+  const [view, id] = parts;
+  if (view === "orders") return { view, id: id || null };
+  if (view === "settings") {
+    return { view, id: SETTINGS_SECTIONS.some(s => s.id === id) ? id : SETTINGS_SECTIONS[0].id };
+  }
+  return DEFAULT_ROUTE;
+};
+
+export const routeHash = ({ view, id = null }) =>
+  view === "dashboard" ? "#/" : `#/${view}${id ? `/${encodeURIComponent(id)}` : ""}`;
+
+// Current route plus a navigate(route) that pushes a browser history entry, so Back works
+export const useRoute = () => {
+  const [route, setRoute] = useState(() => parseRoute(window.location.hash));
+
+  useEffect(() => {
+    const onHashChange = () => setRoute(parseRoute(window.location.hash));
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, []);
+
+  const navigate = (next) => {
+    window.location.hash = routeHash(next);
+    window.scrollTo(0, 0);
+  };
+
+  return [route, navigate];
+};
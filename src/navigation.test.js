@@ -0,0 +1,18 @@
+import { parseRoute, routeHash } from './navigation';
+
+test('parses hash routes and falls back to the dashboard', () => {
+  expect(parseRoute('')).toEqual({ view: 'dashboard', id: null });
+  expect(parseRoute('#/nowhere')).toEqual({ view: 'dashboard', id: null });
+  expect(parseRoute('#/orders')).toEqual({ view: 'orders', id: null });
+  expect(parseRoute('#/orders/1700000000000-3')).toEqual({ view: 'orders', id: '1700000000000-3' });
+  expect(parseRoute('#/settings')).toEqual({ view: 'settings', id: 'roster' });
+  expect(parseRoute('#/settings/customers')).toEqual({ view: 'settings', id: 'customers' });
+  expect(parseRoute('#/orders/%E0%A4')).toEqual({ view: 'dashboard', id: null });
+});
+
+test('route hashes round-trip', () => {
+  expect(routeHash({ view: 'dashboard' })).toBe('#/');
+  expect(routeHash({ view: 'settings', id: 'rules' })).toBe('#/settings/rules');
+  const hash = routeHash({ view: 'orders', id: 'a b/c' });
+  expect(parseRoute(hash)).toEqual({ view: 'orders', id: 'a b/c' });
+});
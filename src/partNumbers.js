@@ -0,0 +1,225 @@
+// --- SARGENT PART NUMBER GRAMMAR ---
+// A printed part reads  [prefixes]-[series+function] [trim] [finish] [options], e.g.
+//   "12-56-8804 ETL US26D LHR"  -> prefixes 12, 56 / 8800 rim exit, function 04 / ETL / 26D / LHR
+//   "AD-PE8406 ETL"             -> no prefixes / PE8400 mortise exit, function 06 / ETL
+// parsePartNumber() splits the string deterministically and checks each piece against
+// PART_CATALOG. applyPartGrammar() runs it over an extraction: prefixes the printed part shows
+// are added to the model's `prefixes`, which are kept (they may come from a separate column).
+// Parts from other catalogs (closers, cylinders, key blanks) are left alone.
+
+export const PART_CATALOG = {
+  // appliesTo limits a prefix to series kinds; omitted means any
+  prefixes: {
+    "10": { label: "Option 10" },
+    "12": { label: "Fire rated", appliesTo: ["exit"] },
+    "16": { label: "Cylinder dogging", appliesTo: ["exit"] },
+    "21": { label: "Option 21" },
+    "22": { label: "Option 22" },
+    "31": { label: "Option 31" },
+    "43": { label: "Option 43" },
+    "51": { label: "Option 51" },
+    "53": { label: "Latchbolt monitoring" },
+    "55": { label: "Request to exit switch", appliesTo: ["exit"] },
+    "56": { label: "Electric latch retraction", appliesTo: ["exit"] },
+    "59": { label: "Option 59" },
+    "72": { label: "Option 72" },
+    "73": { label: "Option 73" },
+    "82": { label: "Option 82" },
+    "83": { label: "Option 83" },
+    "AL": { label: "Option AL" },
+  },
+  // Prefix pairs that can't be ordered together
+  conflicts: [
+    { prefixes: ["12", "16"], message: "Fire rated devices (12) can't take cylinder dogging (16)" },
+  ],
+  series: [
+    { id: "8400", kind: "exit", label: "8400 Mortise Exit", pattern: /^(?:AD-)?(PE)?84(\d{2})$/ },
+    { id: "8600", kind: "exit", label: "8600 Concealed Vertical Rod Exit", pattern: /^(?:AD-)?(PE)?86(\d{2})$/ },
+    { id: "8700", kind: "exit", label: "8700 Surface Vertical Rod Exit", pattern: /^(?:AD-)?(PE)?87(\d{2})$/ },
+    { id: "8800", kind: "exit", label: "8800 Rim Exit", pattern: /^(?:AD-)?(PE)?88(\d{2})$/ },
+    { id: "8200", kind: "mortise", label: "8200 Mortise Lock", pattern: /^()82(\d{2})$/ },
+    { id: "7800", kind: "mortise", label: "7800 Mortise Lock", pattern: /^()78(\d{2})$/ },
+    { id: "10X", kind: "bored", label: "10X Line Bored Lock", pattern: /^()10XG(\d{2})$/ },
+    { id: "11", kind: "bored", label: "11 Line Bored Lock", pattern: /^()11G(\d{2})$/ },
+  ],
+  functions: {
+    exit: ["04", "06", "10", "13", "15", "16", "40", "43", "44", "46", "73", "74", "75", "76"],
+    mortise: ["04", "05", "06", "13", "15", "16", "17", "24", "25", "26", "28", "31", "37", "38", "43", "44", "45", "46", "47", "50", "51", "65"],
+    bored: ["04", "05", "13", "15", "16", "17", "24", "26", "37", "38", "50", "54", "65", "70"],
+  },
+  trims: {
+    exit: ["ETA", "ETB", "ETJ", "ETL", "ETM", "ETP", "ETW"],
+    mortise: ["LNA", "LNB", "LNE", "LNF", "LNJ", "LNL", "LNP", "LNW"],
+    bored: ["LB", "LE", "LJ", "LL", "LP", "LW"],
+  },
+  finishes: ["3", "4", "9", "10", "10B", "10BE", "14", "15", "26", "26D", "32", "32D", "BSP", "WHT"],
+};
+
+const ALL_TRIMS = Object.values(PART_CATALOG.trims).flat();
+const PREFIX_SHAPE = /^(\d{2}|[A-Z]{2})$/;
+
+const matchSeries = (text) => {
+  for (const series of PART_CATALOG.series) {
+    const m = series.pattern.exec(text);
+    if (m) return { series, pe: Boolean(m[1]), fn: m[2] };
+  }
+  return null;
+};
+
+const readFinish = (token) => {
+  const bare = token.replace(/^US/, "");
+  if (PART_CATALOG.finishes.includes(bare)) return bare;
+  return token.startsWith("US") ? token : null;
+};
+
+// Catalog problems with a set of prefixes, given the series kind when one was recognized
+export const checkPrefixes = (prefixes, kind = null) => {
+  const issues = [];
+  prefixes.forEach(p => {
+    const entry = PART_CATALOG.prefixes[p];
+    if (!entry) issues.push(`Unknown prefix '${p}'`);
+    else if (kind && entry.appliesTo && !entry.appliesTo.includes(kind)) {
+      issues.push(`Prefix ${p} (${entry.label}) doesn't apply to a ${kind} device`);
+    }
+  });
+  PART_CATALOG.conflicts
+    .filter(c => c.prefixes.every(p => prefixes.includes(p)))
+    .forEach(c => issues.push(c.message));
+  return issues;
+};
+
+// Returns { recognized, prefixes, base, series, kind, function, trim, finish, options, issues }.
+// Unrecognized parts keep recognized: false and no prefixes, so callers fall back to the model.
+export const parsePartNumber = (raw) => {
+  const tokens = String(raw || "").toUpperCase().trim().split(/\s+/).filter(Boolean);
+  const prefixes = [];
+  let found = null;
+  let rest = [];
+
+  for (let j = 0; j < tokens.length && !found; j++) {
+    const pieces = tokens[j].split("-").filter(Boolean);
+    for (let i = 0; i < pieces.length; i++) {
+      const hit = matchSeries(pieces.slice(i).join("-"));
+      if (hit) {
+        prefixes.push(...pieces.slice(0, i));
+        found = { ...hit, text: pieces.slice(i).join("-") };
+        rest = tokens.slice(j + 1);
+        break;
+      }
+    }
+    if (found) break;
+    if (!pieces.every(p => PREFIX_SHAPE.test(p))) break;
+    prefixes.push(...pieces);
+  }
+
+  if (!found) {
+    return {
+      recognized: false, prefixes: [], base: tokens.join(" "), series: null, kind: null,
+      function: null, trim: null, finish: null, options: [], issues: [],
+    };
+  }
+
+  const { series } = found;
+  const issues = checkPrefixes(prefixes, series.kind);
+  if (!PART_CATALOG.functions[series.kind].includes(found.fn)) {
+    issues.push(`Function ${found.fn} isn't in the ${series.label} catalog`);
+  }
+
+  let trim = null;
+  let finish = null;
+  const options = [];
+  rest.forEach(token => {
+    if (!trim && ALL_TRIMS.includes(token)) {
+      trim = token;
+      if (!PART_CATALOG.trims[series.kind].includes(token)) issues.push(`${token} trim doesn't fit the ${series.label}`);
+      return;
+    }
+    const finishCode = !finish && readFinish(token);
+    if (finishCode) {
+      finish = finishCode;
+      if (!PART_CATALOG.finishes.includes(finishCode)) issues.push(`Unknown finish '${token}'`);
+      return;
+    }
+    options.push(token);
+  });
+
+  return {
+    recognized: true,
+    prefixes,
+    base: [found.text, ...rest].join(" "),
+    series: `${found.pe ? "PE" : ""}${series.id}`,
+    kind: series.kind,
+    function: found.fn,
+    trim,
+    finish,
+    options,
+    issues,
+  };
+};
+
+const sameList = (a, b) => a.length === b.length && a.every((v, i) => v === b[i]);
+
+// Returns { data, warnings } in normalizeExtraction's warning shape. Each line gains a
+// `partCheck` ({ source, series, function, trim, finish, options, issues }) and keeps what the
+// model said in `modelPrefixes` when the grammar replaced it.
+export const applyPartGrammar = (data) => {
+  const warnings = [];
+  const lineItems = (data.lineItems || []).map((item, i) => {
+    const path = `lineItems[${i}]`;
+    const label = `Line ${item.lineNumber || i + 1}`;
+    const modelPrefixes = item.prefixes || [];
+    const parsed = parsePartNumber(item.rawPartNumber || item.partNumber);
+
+    // Prefixes still attached to the printed part replace the model's guesses; one the model
+    // reported beyond them is only flagged for review. A printed part with no prefixes keeps
+    // the model's list, since a PO can print them in a column the part number never shows.
+    const fromGrammar = parsed.recognized && parsed.prefixes.length > 0;
+    const prefixes = fromGrammar ? parsed.prefixes : modelPrefixes;
+    const modelOnly = fromGrammar ? modelPrefixes.filter(p => !parsed.prefixes.includes(p)) : [];
+    const rewrite = parsed.recognized && (fromGrammar || Boolean(item.rawPartNumber));
+    const issues = parsed.recognized
+      ? [...new Set([...checkPrefixes(prefixes, parsed.kind), ...parsed.issues])]
+      : checkPrefixes(prefixes);
+
+    if (fromGrammar && !sameList(prefixes, modelPrefixes)) {
+      warnings.push({
+        path: `${path}.prefixes`,
+        message: `${label}: model read [${modelPrefixes.join(", ")}], part number reads [${parsed.prefixes.join(", ")}]; using the part number.`,
+        level: "info",
+      });
+    }
+    if (modelOnly.length) {
+      warnings.push({
+        path: `${path}.prefixes`,
+        message: `${label}: prefix ${modelOnly.join(", ")} isn't on the printed part ${item.rawPartNumber || item.partNumber}; not used for routing. Check the PO.`,
+        level: "warning",
+      });
+    }
+    issues.forEach(issue => warnings.push({ path: `${path}.partNumber`, message: `${label} (${item.partNumber}): ${issue}.`, level: "warning" }));
+
+    const { recognized, series, trim, finish, options } = parsed;
+    return {
+      ...item,
+      partNumber: rewrite ? parsed.base : item.partNumber,
+      // Kept so exceptions keyed on the printed part (e.g. 31/AL) still see it
+      ...(rewrite && !item.rawPartNumber ? { rawPartNumber: item.partNumber } : {}),
+      prefixes,
+      ...(fromGrammar && !sameList(prefixes, modelPrefixes) ? { modelPrefixes } : {}),
+      partCheck: {
+        source: fromGrammar ? "grammar" : "model",
+        series: recognized ? series : null,
+        function: parsed.function,
+        trim,
+        finish,
+        options,
+        issues,
+      },
+    };
+  });
+
+  return { data: { ...data, lineItems }, warnings };
+};
+
+export const PART_CHECK_FLAG = "PART CHECK";
+
+export const partIssueLines = (data) => (data.lineItems || []).filter(item => item.partCheck?.issues?.length);
@@ -0,0 +1,89 @@
+import { applyPartGrammar, parsePartNumber } from './partNumbers';
+import { determineRouting } from './routing';
+
+test('splits a printed part into prefixes, series, function, trim, finish and options', () => {
+  expect(parsePartNumber('12-56-8804 ETL US26D LHR')).toMatchObject({
+    recognized: true, prefixes: ['12', '56'], base: '8804 ETL US26D LHR', series: '8800', function: '04',
+    trim: 'ETL', finish: '26D', options: ['LHR'], issues: [],
+  });
+  expect(parsePartNumber('AD-PE8406 ETL')).toMatchObject({ prefixes: [], series: 'PE8400', function: '06', trim: 'ETL' });
+  expect(parsePartNumber('21 8204 LNL')).toMatchObject({ prefixes: ['21'], series: '8200' });
+  expect(parsePartNumber('281 P10 EN')).toMatchObject({ recognized: false, prefixes: [] });
+});
+
+test('flags unknown prefixes and combinations the catalog does not allow', () => {
+  expect(parsePartNumber('QQ-8204 LNL').issues).toEqual(["Unknown prefix 'QQ'"]);
+  expect(parsePartNumber('56-8204 ETL').issues).toEqual([
+    "Prefix 56 (Electric latch retraction) doesn't apply to a mortise device",
+    "ETL trim doesn't fit the 8200 Mortise Lock",
+  ]);
+  expect(parsePartNumber('12-16-8899 ETL US99').issues).toEqual([
+    "Fire rated devices (12) can't take cylinder dogging (16)",
+    "Function 99 isn't in the 8800 Rim Exit catalog",
+    "Unknown finish 'US99'",
+  ]);
+});
+
+test('prefixes on the printed part replace the model ones; a bare part keeps the model list', () => {
+  const { data, warnings } = applyPartGrammar({
+    lineItems: [
+      { lineNumber: '1', partNumber: '31-8204 LNL', prefixes: ['AL'] },
+      { lineNumber: '2', partNumber: '8204 LNL', prefixes: ['21'] },
+      { lineNumber: '3', partNumber: 'LNL', rawPartNumber: '8804 ETL', prefixes: ['12'] },
+      { lineNumber: '4', partNumber: 'KS-BLANK', prefixes: ['ZZ'] },
+      { lineNumber: '5', partNumber: '12-8804 ETL', prefixes: [] },
+    ],
+  });
+  expect(data.lineItems[0]).toMatchObject({
+    prefixes: ['31'], partNumber: '8204 LNL', rawPartNumber: '31-8204 LNL', modelPrefixes: ['AL'],
+  });
+  expect(data.lineItems[0].partCheck).toMatchObject({ source: 'grammar', series: '8200', issues: [] });
+  expect(data.lineItems[1]).toMatchObject({ prefixes: ['21'], partCheck: { source: 'model', issues: [] } });
+  expect(data.lineItems[2]).toMatchObject({ prefixes: ['12'], partNumber: '8804 ETL', partCheck: { source: 'model' } });
+  expect(data.lineItems[2].modelPrefixes).toBeUndefined();
+  expect(data.lineItems[3].partCheck.issues).toEqual(["Unknown prefix 'ZZ'"]);
+  expect(data.lineItems[4]).toMatchObject({ prefixes: ['12'], modelPrefixes: [] });
+  expect(warnings.filter(w => w.level === 'warning').map(w => w.path)).toEqual(['lineItems[0].prefixes', 'lineItems[3].partNumber']);
+});
+
+test('a keying prefix printed in its own column survives the grammar and still routes to keying', () => {
+  const team = [
+    { id: 1, name: 'Light Rep', role: 'Order Entry', cards: 0, totalPages: 0 },
+    { id: 2, name: 'Key Rep', role: 'Keying', cards: 3, totalPages: 20 },
+  ];
+  const { data } = applyPartGrammar({
+    pageCount: 1,
+    lineItems: [{ lineNumber: '1', pageNumber: 1, partNumber: '8204 LNL US26D', rawPartNumber: '8204 LNL US26D', prefixes: ['21'] }],
+  });
+  expect(data.lineItems[0].prefixes).toEqual(['21']);
+  const decision = determineRouting(data, team);
+  expect(decision.route).toBe('Key Rep');
+  expect(decision.reason).toBe("Restricted Prefix '21'");
+});
+
+test('a prefix the model made up is flagged, not routed on', () => {
+  const team = [
+    { id: 1, name: 'Light Rep', role: 'Order Entry', cards: 0, totalPages: 0 },
+    { id: 2, name: 'Key Rep', role: 'Keying', cards: 3, totalPages: 20 },
+  ];
+  const { data, warnings } = applyPartGrammar({
+    pageCount: 1,
+    lineItems: [{ lineNumber: '1', pageNumber: 1, partNumber: '12-8804 ETL', prefixes: ['12', 'AL'] }],
+  });
+  expect(data.lineItems[0]).toMatchObject({ prefixes: ['12'], modelPrefixes: ['12', 'AL'], partNumber: '8804 ETL' });
+  expect(warnings).toContainEqual(expect.objectContaining({
+    path: 'lineItems[0].prefixes', level: 'warning', message: expect.stringContaining('prefix AL'),
+  }));
+  const decision = determineRouting(data, team);
+  expect(decision.route).toBe('Light Rep');
+  expect(decision.reason).not.toMatch(/Restricted Prefix/);
+});
+
+test('the 31/AL exception still applies once the grammar has split the part number', () => {
+  const team = [
+    { id: 1, name: 'Light Rep', role: 'Order Entry', cards: 0, totalPages: 0 },
+    { id: 2, name: 'Key Rep', role: 'Keying', cards: 3, totalPages: 20 },
+  ];
+  const { data } = applyPartGrammar({ pageCount: 1, lineItems: [{ lineNumber: '1', partNumber: '31-8204 LNL', prefixes: ['AL'] }] });
+  expect(determineRouting(data, team).route).toBe('Light Rep');
+});
@@ -0,0 +1,98 @@
+// --- PDF PAGE RENDERING & EVIDENCE HIGHLIGHTS ---
+// Draws pages of the uploaded PDF for the document viewer and finds where a line item
+// or evidence hit sits on the page, using the same text layer pdfText.js reads.
+// Scanned PDFs and images have no text positions, so they can be shown but not highlighted.
+
+export const openPdf = async (file) => {
+  const { default: pdfjs } = await import("./pdfWorker");
+  const data = new Uint8Array(await file.arrayBuffer());
+  return pdfjs.getDocument({ data, isEvalSupported: false }).promise;
+};
+
+// Renders a page to fit `width` CSS pixels and returns the viewport used
+export const renderPage = async (doc, pageNumber, canvas, width) => {
+  const page = await doc.getPage(pageNumber);
+  const base = page.getViewport({ scale: 1 });
+  const viewport = page.getViewport({ scale: width / base.width });
+  const ratio = window.devicePixelRatio || 1;
+  canvas.width = Math.floor(viewport.width * ratio);
+  canvas.height = Math.floor(viewport.height * ratio);
+  canvas.style.width = `${Math.floor(viewport.width)}px`;
+  canvas.style.height = `${Math.floor(viewport.height)}px`;
+  const context = canvas.getContext("2d");
+  context.setTransform(ratio, 0, 0, ratio, 0, 0);
+  await page.render({ canvasContext: context, viewport }).promise;
+  return { page, viewport };
+};
+
+const compact = (text) => (text || "").toUpperCase().replace(/[\s-]+/g, "");
+
+// Search terms for a line item, most specific first: "21-8204 LNL", "8204 LNL", "8204"
+export const lineItemTerms = ({ partNumber, prefixes = [], prefix } = {}) => {
+  const part = (partNumber || "").trim();
+  const base = part.split(/\s+/)[0];
+  const allPrefixes = prefix ? [prefix] : prefixes;
+  return [
+    allPrefixes.length ? `${allPrefixes.join("-")}-${part}` : null,
+    allPrefixes.length ? `${allPrefixes.join("-")}-${base}` : null,
+    part,
+    base,
+  ].filter((term, i, list) => term && term.length >= 3 && list.indexOf(term) === i);
+};
+
+// Indexes of the text items that hold the most specific term found on the page.
+// Runs of neighbouring items are joined too, since PDFs often split "21-8204" and "LNL".
+export const matchTextItems = (items, terms) => {
+  const strings = items.map(item => compact(item.str));
+  for (const term of terms.map(compact)) {
+    const hits = [];
+    strings.forEach((text, i) => {
+      if (!text) return;
+      if (text.includes(term)) {
+        hits.push(i);
+        return;
+      }
+      if (term.startsWith(text) && text.length >= 2) {
+        let joined = text;
+        let j = i;
+        while (joined.length < term.length && j + 1 < strings.length) {
+          j++;
+          joined += strings[j];
+        }
+        if (joined.includes(term)) {
+          for (let k = i; k <= j; k++) if (!hits.includes(k)) hits.push(k);
+        }
+      }
+    });
+    if (hits.length) return hits;
+  }
+  return [];
+};
+
+// Page-space boxes (CSS pixels, top-left origin) for the matching text items
+export const findHighlights = async (page, viewport, terms) => {
+  const { default: pdfjs } = await import("./pdfWorker");
+  const { items } = await page.getTextContent();
+  return matchTextItems(items, terms).map(i => {
+    const item = items[i];
+    const [a, b, , , e, f] = pdfjs.Util.transform(viewport.transform, item.transform);
+    const height = Math.hypot(a, b) || 10;
+    const width = item.width * viewport.scale;
+    return { left: e, top: f - height, width, height: height * 1.2 };
+  });
+};
+
+// "LINE DETECTED:\nLine #: 3\nPage: 2\nPart: 8204 LNL\nPrefix: [21]" -> viewer target
+export const parseEvidence = (evidence) => {
+  if (!evidence) return null;
+  const field = (name) => (new RegExp(`^${name}:\\s*(.+)$`, "m").exec(evidence) || [])[1]?.trim();
+  const pageNumber = parseInt(field("Page"), 10);
+  if (!pageNumber) return null;
+  const partNumber = field("Part") || "";
+  const prefix = (field("Prefix") || "").replace(/[[\]]/g, "") || null;
+  return {
+    pageNumber,
+    terms: lineItemTerms({ partNumber, prefix }),
+    label: `Line ${field("Line #") || "?"}: ${prefix ? `${prefix}-` : ""}${partNumber}`,
+  };
+};
@@ -0,0 +1,16 @@
+import { lineItemTerms, matchTextItems, parseEvidence } from './pdfRender';
+
+test('turns the keying evidence box into a viewer target', () => {
+  const target = parseEvidence('LINE DETECTED:\nLine #: 3\nPage: 2\nPart: 8204 LNL\nPrefix: [21]');
+  expect(target.pageNumber).toBe(2);
+  expect(target.terms[0]).toBe('21-8204 LNL');
+  expect(target.label).toBe('Line 3: 21-8204 LNL');
+  expect(parseEvidence('KEYWORD DETECTED: "MK" found in notes/summary.')).toBeNull();
+});
+
+test('finds the most specific match, joining text split across items', () => {
+  const items = [{ str: 'Qty' }, { str: '8204' }, { str: '21-8204' }, { str: 'LNL' }, { str: 'US26D' }];
+  expect(matchTextItems(items, lineItemTerms({ partNumber: '8204 LNL', prefixes: ['21'] }))).toEqual([2, 3]);
+  expect(matchTextItems(items, lineItemTerms({ partNumber: '8204 ETL' }))).toEqual([1, 2]);
+  expect(matchTextItems(items, ['9999'])).toEqual([]);
+});
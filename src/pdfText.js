@@ -0,0 +1,174 @@
+// --- LOCAL PDF TEXT LAYER ---
+// Machine-generated PDFs carry a text layer we can read in the browser. That gives the
+// true page count (which drives workload balancing) and lets us find PO numbers, Sargent
+// part/prefix patterns and routing keywords without the model.
+//
+// REACT_APP_PDF_PREPARSE:
+//   "text"  - send the model the text of every page, a chunk at a time (default)
+//   "local" - skip the model entirely and build the extraction from the text layer
+//   "off"   - always send the whole file, as before
+// Usability is decided page by page. Pages with text go as text; a page short of text that
+// carries an image (a scan behind a typed cover sheet) is read by the model from the file;
+// a page with neither, like a blank separator sheet, is skipped.
+
+export const PDF_PREPARSE_MODE = process.env.REACT_APP_PDF_PREPARSE || "text";
+
+// Below this many characters per page the "text" is just page furniture on a scan
+const MIN_CHARS_PER_PAGE = 40;
+const MAX_TEXT_CHARS = 60000;
+
+const PO_NUMBER_RE = /\b(?:P\.?\s?O\.?|PURCHASE\s+ORDER)\s*(?:#|NO\.?|NUMBER)?\s*[:#]?\s*([A-Z0-9][A-Z0-9-]{3,})\b/gi;
+const EMAIL_RE = /[\w.+-]+@[\w-]+\.[\w.-]+/;
+
+// Optional 2-char prefixes ("21-", "10-21-") ahead of a base series and its function/trim code.
+// "AD-" belongs to the AD-PE series, so it is never read as a prefix.
+const PART_RE = /\b((?:(?!AD-)[0-9A-Z]{2}-)*)((?:AD-)?(?:PE)?[6-9]\d{3}|1[01]G\d{2})\s+([A-Z]{2,4}\d?)\b/g;
+
+export const TEXT_KEYWORDS = ["DPAS", "QUICK SHIP", "KEYING", "MASTER KEY", "KESO", "MK", "GMK", "SKD", "KA"];
+
+const IMAGE_OPS = [
+  "paintImageXObject", "paintImageXObjectRepeat", "paintInlineImageXObject", "paintInlineImageXObjectGroup",
+  "paintImageMaskXObject", "paintImageMaskXObjectGroup", "paintImageMaskXObjectRepeat", "paintJpegXObject",
+];
+
+const pageHasImage = async (pdfjs, page) => {
+  const codes = IMAGE_OPS.map(op => pdfjs.OPS[op]).filter(code => code !== undefined);
+  const { fnArray } = await page.getOperatorList();
+  return fnArray.some(fn => codes.includes(fn));
+};
+
+const isShortOfText = (page) => page.text.replace(/\s/g, "").length < MIN_CHARS_PER_PAGE;
+
+// Pages too short of text to stand in for their image, e.g. the scans behind a typed cover sheet
+export const scannedPageNumbers = (pages) => pages
+  .filter(p => isShortOfText(p) && !p.blank)
+  .map(p => p.pageNumber);
+
+// Pages with neither text nor an image: nothing to extract
+export const blankPageNumbers = (pages) => pages.filter(p => p.blank).map(p => p.pageNumber);
+
+export const textPageNumbers = (pages) => pages.filter(p => !isShortOfText(p)).map(p => p.pageNumber);
+
+export const readPdfText = async (file) => {
+  const { default: pdfjs } = await import("./pdfWorker");
+  const data = new Uint8Array(await file.arrayBuffer());
+  const doc = await pdfjs.getDocument({ data, isEvalSupported: false }).promise;
+
+  const pages = [];
+  for (let n = 1; n <= doc.numPages; n++) {
+    const page = await doc.getPage(n);
+    const content = await page.getTextContent();
+    const text = content.items.map(item => item.str + (item.hasEOL ? "\n" : " ")).join("");
+    const blank = isShortOfText({ text }) && !(await pageHasImage(pdfjs, page));
+    pages.push({ pageNumber: n, text, blank });
+  }
+  const pageCount = doc.numPages;
+  await doc.destroy();
+
+  const textPages = textPageNumbers(pages);
+  return {
+    pageCount,
+    pages,
+    textPages,
+    scannedPages: scannedPageNumbers(pages),
+    blankPages: blankPageNumbers(pages),
+    hasTextLayer: textPages.length > 0,
+  };
+};
+
+export const scanPoText = (pages) => {
+  const poNumbers = [];
+  const partMatches = [];
+  const keywordHits = [];
+  let email = null;
+
+  pages.forEach(({ pageNumber, text }) => {
+    const upper = text.toUpperCase();
+
+    for (const m of upper.matchAll(PO_NUMBER_RE)) {
+      if (/\d/.test(m[1]) && !poNumbers.includes(m[1])) poNumbers.push(m[1]);
+    }
+
+    for (const m of upper.matchAll(PART_RE)) {
+      partMatches.push({
+        pageNumber,
+        raw: m[0],
+        prefixes: m[1].split("-").filter(Boolean),
+        partNumber: `${m[2]} ${m[3]}`,
+      });
+    }
+
+    TEXT_KEYWORDS.forEach(kw => {
+      if (new RegExp(`\\b${kw}\\b`).test(upper)) keywordHits.push({ pageNumber, keyword: kw });
+    });
+
+    if (!email) email = (text.match(EMAIL_RE) || [null])[0];
+  });
+
+  return { poNumbers, partMatches, keywordHits, email };
+};
+
+// Returns { text, cut }. `cut` is null, or { pageNumber, kept, total } when the chunk ran past
+// MAX_TEXT_CHARS: the page the limit fell in, and how many of its characters were sent.
+export const buildPageText = (textLayer, pageNumbers) => {
+  const sections = textLayer.pages
+    .filter(p => pageNumbers.includes(p.pageNumber))
+    .map(p => ({ pageNumber: p.pageNumber, text: `--- PAGE ${p.pageNumber} ---\n${p.text.trim()}` }));
+  const full = sections.map(section => section.text).join("\n\n");
+
+  let cut = null;
+  if (full.length > MAX_TEXT_CHARS) {
+    let end = 0;
+    const page = sections.find(section => {
+      end += section.text.length + 2;
+      return end > MAX_TEXT_CHARS;
+    });
+    cut = { pageNumber: page.pageNumber, kept: MAX_TEXT_CHARS, total: full.length };
+  }
+
+  const text = `The PDF has ${textLayer.pageCount} pages in total (exact count, not an estimate). ` +
+    `Only the pages below were sent; the markers give their true page numbers.\n\n${full.slice(0, MAX_TEXT_CHARS)}`;
+  return { text, cut };
+};
+
+// Extraction built purely from the text layer, in the same shape the model returns
+export const buildLocalExtraction = (textLayer, scan) => ({
+  customerInfo: { name: null, email: scan.email, source: "PDF TEXT LAYER" },
+  poNumber: scan.poNumbers[0] || null,
+  pageCount: textLayer.pageCount,
+  totalLineCount: scan.partMatches.length,
+  routingKeywords: [...new Set(scan.keywordHits.map(h => h.keyword))],
+  lineItems: scan.partMatches.map((m, i) => ({
+    lineNumber: String(i + 1),
+    pageNumber: m.pageNumber,
+    partNumber: m.partNumber,
+    rawPartNumber: m.raw.trim(),
+    prefixes: m.prefixes,
+  })),
+  pages: textLayer.pages.map(p => ({
+    pageNumber: p.pageNumber,
+    type: "PO Data",
+    summary: p.text.trim().slice(0, 160),
+    itemsOnPage: scan.partMatches.filter(m => m.pageNumber === p.pageNumber).map(m => ({ qty: "?", desc: m.raw })),
+  })),
+});
+
+// The text layer is authoritative for page count, and backs up a PO number the model missed
+export const applyTextLayer = (data, textLayer, scan, pagesSent) => {
+  if (!textLayer) return data;
+  return {
+    ...data,
+    pageCount: textLayer.pageCount,
+    poNumber: data.poNumber || scan.poNumbers[0] || null,
+    textLayer: {
+      pageCount: textLayer.pageCount,
+      estimatedPageCount: data.pageCount,
+      hasTextLayer: textLayer.hasTextLayer,
+      scannedPages: textLayer.scannedPages || [],
+      blankPages: textLayer.blankPages || [],
+      poNumbers: scan.poNumbers,
+      partMatches: scan.partMatches,
+      pagesSent,
+    },
+  };
+};
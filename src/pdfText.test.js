@@ -0,0 +1,64 @@
+import {
+  applyTextLayer, blankPageNumbers, buildLocalExtraction, buildPageText, scanPoText, scannedPageNumbers, textPageNumbers,
+} from './pdfText';
+
+const textLayer = {
+  pageCount: 3,
+  hasTextLayer: true,
+  pages: [
+    { pageNumber: 1, text: 'PURCHASE ORDER NO: 45-88120\nBill to: buyer@acme-doors.com' },
+    { pageNumber: 2, text: 'Terms and conditions apply to this order.' },
+    { pageNumber: 3, text: '1  4  21-8204 LNL 26D\n2  2  AD-PE8406 ETL\n3  1  8804 ETL  MASTER KEY to existing' },
+  ],
+};
+
+test('finds PO numbers, Sargent parts with prefixes and keywords', () => {
+  const scan = scanPoText(textLayer.pages);
+  expect(scan.poNumbers).toEqual(['45-88120']);
+  expect(scan.email).toBe('buyer@acme-doors.com');
+  expect(scan.partMatches.map(m => [m.partNumber, m.prefixes])).toEqual([
+    ['8204 LNL', ['21']],
+    ['AD-PE8406 ETL', []],
+    ['8804 ETL', []],
+  ]);
+  expect(scan.keywordHits).toEqual([{ pageNumber: 3, keyword: 'MASTER KEY' }]);
+});
+
+test('judges the text layer page by page, so a typed cover does not vouch for scanned pages', () => {
+  const coverOnScan = [
+    { pageNumber: 1, text: 'PURCHASE ORDER NO: 45-88120 for the doors listed on the attached pages', blank: false },
+    { pageNumber: 2, text: '  Page 2 ', blank: false },
+    { pageNumber: 3, text: '', blank: true },
+    { pageNumber: 4, text: '', blank: false },
+  ];
+  expect(textPageNumbers(coverOnScan)).toEqual([1]);
+  expect(scannedPageNumbers(coverOnScan)).toEqual([2, 4]);
+  // A blank separator sheet has no image to read, so it neither goes to the model nor
+  // turns the text pages into a file upload
+  expect(blankPageNumbers(coverOnScan)).toEqual([3]);
+});
+
+test('page text reports where the character limit cut it', () => {
+  const long = {
+    pageCount: 3,
+    pages: [1, 2, 3].map(pageNumber => ({ pageNumber, text: 'X'.repeat(25000) })),
+  };
+  expect(buildPageText(long, [1, 2]).cut).toBeNull();
+  const { text, cut } = buildPageText(long, [1, 2, 3]);
+  expect(cut).toEqual({ pageNumber: 3, kept: 60000, total: 75000 + 3 * '--- PAGE 1 ---\n'.length + 2 * 2 });
+  expect(text).toContain('--- PAGE 3 ---');
+});
+
+test('text layer page count overrides the model estimate', () => {
+  const scan = scanPoText(textLayer.pages);
+  const data = applyTextLayer({ poNumber: null, pageCount: 1 }, textLayer, scan, [1, 3]);
+  expect(data.pageCount).toBe(3);
+  expect(data.poNumber).toBe('45-88120');
+  expect(data.textLayer.estimatedPageCount).toBe(1);
+});
+
+test('builds a routable extraction without the model', () => {
+  const local = buildLocalExtraction(textLayer, scanPoText(textLayer.pages));
+  expect(local.lineItems[0]).toMatchObject({ lineNumber: '1', pageNumber: 3, prefixes: ['21'] });
+  expect(local.routingKeywords).toEqual(['MASTER KEY']);
+});
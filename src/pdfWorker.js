@@ -0,0 +1,6 @@
+// Loaded lazily by pdfText.js so pdf.js (and its worker) only ship when a PDF is read.
+import * as pdfjs from "pdfjs-dist/legacy/build/pdf";
+
+pdfjs.GlobalWorkerOptions.workerSrc = new URL("pdfjs-dist/legacy/build/pdf.worker.min.js", import.meta.url).toString();
+
+export default pdfjs;
@@ -0,0 +1,186 @@
+import { DOCUMENT_TYPE_IDS } from "./documentTypes";
+
+// --- PO EXTRACTION SCHEMA ---
+// The model's JSON is untrusted input. normalizeExtraction() walks it against PO_SCHEMA,
+// coerces what can safely be coerced (numeric strings, single values where a list was
+// expected), fills in missing arrays and records a warning for every field it had to
+// touch or could not trust. Unknown fields pass through untouched.
+//
+// Field specs:
+//   "string" | "prefix"               -> shorthand for { type }
+//   { type: "number" | "integer", min } -> numbers; "$1,200.50" style strings are coerced
+//   { type: "array", items }          -> missing becomes [], a lone value is wrapped
+//   { type: "object", fields }        -> nested record
+//   { type: "enum", values }          -> "Change Order" style labels folded to change_order; unknown dropped
+//   required: true                    -> warn when absent
+
+const LINE_ITEM = {
+  type: "object",
+  fields: {
+    lineNumber: "string",
+    pageNumber: { type: "integer", min: 1 },
+    partNumber: "string",
+    rawPartNumber: "string",
+    prefixes: { type: "array", items: "prefix" },
+    description: "string",
+    quantity: { type: "number", min: 0 },
+    unitPrice: { type: "number", min: 0 },
+    confidence: { type: "number", min: 0 },
+  },
+};
+
+// The model's own 0-1 ratings; confidence.js checks them against the document
+const CONFIDENCE_SCORE = { type: "number", min: 0 };
+const CONFIDENCE = {
+  type: "object",
+  fields: Object.fromEntries(
+    ["poNumber", "customerInfo", "documentType", "pageCount", "totalLineCount", "routingKeywords"]
+      .map(field => [field, CONFIDENCE_SCORE])
+  ),
+};
+
+const PAGE = {
+  type: "object",
+  fields: {
+    pageNumber: { type: "integer", min: 1 },
+    type: "string",
+    summary: "string",
+    itemsOnPage: {
+      type: "array",
+      items: { type: "object", fields: { qty: "string", desc: "string", partNumber: "string" } },
+    },
+  },
+};
+
+export const PO_SCHEMA = {
+  type: "object",
+  fields: {
+    customerInfo: {
+      type: "object",
+      fields: { name: "string", email: "string", address: "string", source: "string" },
+    },
+    documentType: { type: "enum", values: DOCUMENT_TYPE_IDS },
+    documentTypeEvidence: "string",
+    poNumber: { type: "string", required: true },
+    orderNumber: "string",
+    quoteNumber: "string",
+    pageCount: { type: "integer", min: 1, required: true },
+    totalLineCount: { type: "integer", min: 0 },
+    routingKeywords: { type: "array", items: "string" },
+    lineItems: { type: "array", items: LINE_ITEM },
+    pages: { type: "array", items: PAGE },
+    confidence: CONFIDENCE,
+  },
+};
+
+const isMissing = (value) => value === undefined || value === null || value === "";
+
+const toNumber = (value) => {
+  if (typeof value === "number") return value;
+  if (typeof value === "string") {
+    const cleaned = value.replace(/[$,\s]/g, "");
+    if (cleaned !== "" && !isNaN(Number(cleaned))) return Number(cleaned);
+  }
+  return NaN;
+};
+
+const normalizeValue = (spec, value, path, warn) => {
+  const rule = typeof spec === "string" ? { type: spec } : spec;
+
+  if (rule.type === "array") {
+    if (isMissing(value)) return [];
+    let list = value;
+    if (!Array.isArray(value)) {
+      warn(path, "Expected a list; wrapped the single value.");
+      list = [value];
+    }
+    return list
+      .map((item, i) => normalizeValue(rule.items, item, `${path}[${i}]`, warn))
+      .filter(item => item !== null);
+  }
+
+  if (isMissing(value)) {
+    if (rule.required) warn(path, "Missing.");
+    return rule.type === "object" ? {} : null;
+  }
+
+  switch (rule.type) {
+    case "object": {
+      if (typeof value !== "object" || Array.isArray(value)) {
+        warn(path, "Expected an object; value discarded.");
+        return null;
+      }
+      const result = { ...value };
+      Object.entries(rule.fields).forEach(([key, fieldSpec]) => {
+        result[key] = normalizeValue(fieldSpec, value[key], path ? `${path}.${key}` : key, warn);
+      });
+      return result;
+    }
+
+    case "number":
+    case "integer": {
+      let num = toNumber(value);
+      if (!Number.isFinite(num)) {
+        warn(path, `Not a number (${JSON.stringify(value)}).`);
+        return null;
+      }
+      if (typeof value === "string") warn(path, `Coerced "${value}" to ${num}.`, "info");
+      if (rule.type === "integer" && !Number.isInteger(num)) {
+        warn(path, `Expected a whole number; rounded ${num}.`);
+        num = Math.round(num);
+      }
+      if (rule.min !== undefined && num < rule.min) {
+        warn(path, `Below minimum ${rule.min} (${num}).`);
+      }
+      return num;
+    }
+
+    case "enum": {
+      const folded = String(value).trim().toLowerCase().replace(/[\s/-]+/g, "_");
+      if (!rule.values.includes(folded)) {
+        warn(path, `Unknown value "${value}"; expected one of ${rule.values.join(", ")}.`);
+        return null;
+      }
+      if (folded !== value) warn(path, `Read "${value}" as ${folded}.`, "info");
+      return folded;
+    }
+
+    case "prefix": {
+      if (typeof value !== "string" && typeof value !== "number") {
+        warn(path, "Unreadable prefix; dropped.");
+        return null;
+      }
+      const prefix = String(value).trim().toUpperCase().replace(/[^0-9A-Z]/g, "");
+      return prefix || null;
+    }
+
+    case "string":
+    default: {
+      if (typeof value === "number" || typeof value === "boolean") return String(value);
+      if (typeof value !== "string") {
+        warn(path, "Expected text; value discarded.");
+        return null;
+      }
+      return value.trim();
+    }
+  }
+};
+
+// Returns { data, warnings } where warnings is [{ path, message, level }]
+export const normalizeExtraction = (raw) => {
+  const warnings = [];
+  const warn = (path, message, level = "warning") => warnings.push({ path, message, level });
+
+  const isObject = raw && typeof raw === "object" && !Array.isArray(raw);
+  if (!isObject) warn("(root)", "Extraction is not a JSON object.");
+  const data = normalizeValue(PO_SCHEMA, isObject ? raw : {}, "", warn);
+
+  if (data.totalLineCount !== null && data.totalLineCount < data.lineItems.length) {
+    warn("totalLineCount", `Reports ${data.totalLineCount} lines but ${data.lineItems.length} were extracted.`);
+  }
+
+  return { data, warnings };
+};
+
+// Convenience for consumers: only the entries a reviewer needs to look at
+export const reviewWarnings = (warnings) => (warnings || []).filter(w => w.level === "warning");
@@ -0,0 +1,46 @@
+import { normalizeExtraction, reviewWarnings } from './poSchema';
+
+test('coerces numeric strings and normalizes prefixes', () => {
+  const { data, warnings } = normalizeExtraction({
+    poNumber: 12345,
+    pageCount: '3',
+    lineItems: [{ partNumber: ' 8804 ETL ', prefixes: [' al ', '21-'], quantity: '4', unitPrice: '$1,204.50' }],
+  });
+  expect(data.poNumber).toBe('12345');
+  expect(data.pageCount).toBe(3);
+  expect(data.lineItems[0]).toMatchObject({ partNumber: '8804 ETL', prefixes: ['AL', '21'], quantity: 4, unitPrice: 1204.5 });
+  expect(reviewWarnings(warnings)).toEqual([]);
+});
+
+test('defaults missing arrays and flags fields it cannot trust', () => {
+  const { data, warnings } = normalizeExtraction({
+    poNumber: 'PO-1',
+    pageCount: 'a few',
+    totalLineCount: 1,
+    lineItems: [{ unitPrice: 'call for price', prefixes: '10' }, { quantity: 2 }],
+  });
+  expect(data.pages).toEqual([]);
+  expect(data.routingKeywords).toEqual([]);
+  expect(data.pageCount).toBeNull();
+  expect(data.lineItems[0].unitPrice).toBeNull();
+  expect(data.lineItems[0].prefixes).toEqual(['10']);
+  expect(reviewWarnings(warnings).map(w => w.path)).toEqual([
+    'pageCount',
+    'lineItems[0].prefixes',
+    'lineItems[0].unitPrice',
+    'totalLineCount',
+  ]);
+});
+
+test('survives a non-object reply', () => {
+  const { data, warnings } = normalizeExtraction(['not', 'a', 'po']);
+  expect(data.lineItems).toEqual([]);
+  expect(warnings[0].path).toBe('(root)');
+});
+
+test('folds document type labels and drops unknown ones', () => {
+  expect(normalizeExtraction({ documentType: 'Change Order' }).data.documentType).toBe('change_order');
+  const { data, warnings } = normalizeExtraction({ documentType: 'invoice' });
+  expect(data.documentType).toBeNull();
+  expect(warnings.some(w => w.path === 'documentType')).toBe(true);
+});
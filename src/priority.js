@@ -0,0 +1,60 @@
+import { containsWord } from "./keywords";
+
+// --- PRIORITY TIERS & SLA ---
+// Every order gets one tier. The highest tier whose keyword shows up in the routing
+// keywords, page summaries or item descriptions wins; a customer handling flag
+// (DPAS / QUICK SHIP from the directory) counts as a hit too. Priority orders go to reps
+// qualified for the tier (rep.priorityTiers) ahead of the general load balance, and their
+// SLA clock starts when they are routed.
+
+export const PRIORITY_TIERS = [
+  { id: "dpas", label: "DPAS", flag: "DPAS", slaHours: 4, keywords: ["DPAS", "DO-A", "DX-A", "DO RATED", "DX RATED"] },
+  { id: "quick-ship", label: "Quick Ship", flag: "QUICK SHIP", slaHours: 8, keywords: ["QUICK SHIP", "QUICKSHIP"] },
+  { id: "expedite", label: "Expedite", flag: "EXPEDITE", slaHours: 24, keywords: ["EXPEDITE", "RUSH", "URGENT", "ASAP"] },
+  { id: "standard", label: "Standard", flag: null, slaHours: null, keywords: [] },
+];
+
+// An SLA is "at risk" once less than this share of its window is left
+export const SLA_WARNING_SHARE = 0.25;
+
+export const tierById = (id) => PRIORITY_TIERS.find(t => t.id === id) || PRIORITY_TIERS[PRIORITY_TIERS.length - 1];
+
+// Returns { tier, keyword } where keyword is what triggered it (null for standard)
+export const determinePriority = (data, flags = []) => {
+  const text = [
+    ...(data.routingKeywords || []),
+    ...(data.pages || []).map(p => p.summary),
+    ...(data.pages || []).flatMap(p => p.itemsOnPage?.map(i => i.desc) || []),
+  ].join(" ").toUpperCase();
+
+  for (const tier of PRIORITY_TIERS) {
+    if (tier.flag && flags.includes(tier.flag)) return { tier, keyword: `${tier.flag} handling` };
+    const keyword = tier.keywords.find(kw => containsWord(text, kw));
+    if (keyword) return { tier, keyword };
+  }
+  return { tier: tierById("standard"), keyword: null };
+};
+
+export const slaDueAt = (routedAt, tierId) => {
+  const { slaHours } = tierById(tierId);
+  return slaHours ? new Date(Date.parse(routedAt) + slaHours * 3600000).toISOString() : null;
+};
+
+// Returns { remainingMs, state: "ok" | "warning" | "overdue" } or null when the order has no SLA
+export const slaStatus = (entry, now = Date.now()) => {
+  if (!entry.slaDueAt) return null;
+  const due = Date.parse(entry.slaDueAt);
+  const windowMs = due - Date.parse(entry.routedAt);
+  const remainingMs = due - now;
+  const state = remainingMs <= 0 ? "overdue" : remainingMs < windowMs * SLA_WARNING_SHARE ? "warning" : "ok";
+  return { remainingMs, state };
+};
+
+export const formatCountdown = (remainingMs) => {
+  const minutes = Math.floor(Math.abs(remainingMs) / 60000);
+  const text = minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+  return remainingMs <= 0 ? `${text} over` : `${text} left`;
+};
+
+// Reps with no tiers listed are only used when nobody on the roster is qualified for the tier
+export const isQualified = (rep, tierId) => (rep.priorityTiers || []).includes(tierId);
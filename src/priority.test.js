@@ -0,0 +1,26 @@
+import { determinePriority, formatCountdown, slaDueAt, slaStatus } from './priority';
+
+test('picks the highest tier mentioned anywhere in the order', () => {
+  const data = { routingKeywords: ['Quick Ship'], pages: [{ summary: 'DPAS DO-A5 rated contract' }] };
+  expect(determinePriority(data).tier.id).toBe('dpas');
+  expect(determinePriority({ routingKeywords: ['QUICK SHIP'] }).tier.id).toBe('quick-ship');
+  expect(determinePriority({}, ['QUICK SHIP']).tier.id).toBe('quick-ship');
+});
+
+test('matches whole words so finishes do not read as expedite', () => {
+  const data = { pages: [{ itemsOnPage: [{ desc: 'Lever, brushed chrome US26D' }] }] };
+  expect(determinePriority(data).tier.id).toBe('standard');
+  expect(determinePriority({ pages: [{ summary: 'RUSH - needed Friday' }] }).tier.id).toBe('expedite');
+});
+
+test('tracks the SLA window and warns in its last quarter', () => {
+  const routedAt = '2024-01-01T08:00:00.000Z';
+  const entry = { routedAt, slaDueAt: slaDueAt(routedAt, 'dpas') };
+  expect(entry.slaDueAt).toBe('2024-01-01T12:00:00.000Z');
+  expect(slaStatus(entry, Date.parse('2024-01-01T09:00:00Z')).state).toBe('ok');
+  expect(slaStatus(entry, Date.parse('2024-01-01T11:30:00Z')).state).toBe('warning');
+  expect(slaStatus(entry, Date.parse('2024-01-01T12:05:00Z')).state).toBe('overdue');
+  expect(slaDueAt(routedAt, 'standard')).toBeNull();
+  expect(formatCountdown(-5 * 60000)).toBe('5m over');
+  expect(formatCountdown(125 * 60000)).toBe('2h 5m left');
+});
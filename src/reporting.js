@@ -0,0 +1,140 @@
+import { csvCell } from "./lineItems";
+
+// --- REPORTING ---
+// Aggregations over the routed-order history (one entry per card, see storage.js).
+// Days are local calendar days (YYYY-MM-DD), matching the date inputs on the reports view.
+
+// Routing stores the deciding step on each order as `reasonCategory`. Orders routed before it
+// did are sorted by their reason text instead: first match wins, so a manual reassignment
+// counts as manual whatever it replaced, and "Change Order / Lowest Load Score (5)" counts as
+// load balancing.
+export const REASON_CATEGORIES = [
+  { id: "manual", label: "Manual Reassignment", test: /manual reassignment/i },
+  { id: "hold", label: "Low Confidence Hold", test: /^low confidence/i },
+  { id: "prefix", label: "Restricted Prefix", test: /restricted prefix/i },
+  { id: "keyword", label: "Global Keyword", test: /keyword/i },
+  { id: "customer", label: "Customer Directory", test: /^customer /i },
+  { id: "duplicate", label: "Duplicate / Revision", test: /^(duplicate|revision) of/i },
+  { id: "priority", label: "Priority", test: /priority/i },
+  { id: "load", label: "Lowest Load", test: /lowest (load|page)/i },
+  { id: "capacity", label: "No Capacity", test: /at capacity|no available/i },
+  { id: "document", label: "Document Type", test: /chargeback|quote request|export po/i },
+  { id: "rule", label: "Routing Rule", test: null },
+];
+
+const OTHER_CATEGORY = { id: "other", label: "Other" };
+
+// `entry` is a history entry or a routing decision
+export const reasonCategory = (entry) => {
+  if (entry.reasonCategory) return REASON_CATEGORIES.find(c => c.id === entry.reasonCategory) || OTHER_CATEGORY;
+  return REASON_CATEGORIES.find(c => c.test?.test(entry.reason || "")) || OTHER_CATEGORY;
+};
+
+const pad = (n) => String(n).padStart(2, "0");
+
+export const dayKey = (iso) => {
+  const d = new Date(iso);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+// Every day from `from` to `to` inclusive, so quiet days still show on the charts
+export const daysBetween = (from, to) => {
+  const days = [];
+  const cursor = new Date(`${from}T00:00:00`);
+  const end = new Date(`${to}T00:00:00`);
+  while (cursor <= end && days.length < 366) {
+    days.push(dayKey(cursor.toISOString()));
+    cursor.setDate(cursor.getDate() + 1);
+  }
+  return days;
+};
+
+const inRange = (iso, from, to) => {
+  if (!iso) return false;
+  const day = dayKey(iso);
+  return (!from || day >= from) && (!to || day <= to);
+};
+
+export const filterByDate = (history, from, to) => history.filter(entry => inRange(entry.routedAt, from, to));
+
+const repName = (entry, team) => team.find(m => m.id === entry.repId)?.name || entry.route || "Unassigned";
+
+// Rows of { date, rep, orders, pages, enteredOrders, enteredPages }. Routed work is dated by
+// routedAt, entered work by enteredAt, so "pages entered per day" is what reps actually keyed.
+export const repDailyLoad = (history, team, from, to) => {
+  const rows = new Map();
+  const row = (date, rep) => {
+    const key = `${date}|${rep}`;
+    if (!rows.has(key)) rows.set(key, { date, rep, orders: 0, pages: 0, enteredOrders: 0, enteredPages: 0 });
+    return rows.get(key);
+  };
+
+  history.forEach(entry => {
+    const rep = repName(entry, team);
+    if (inRange(entry.routedAt, from, to)) {
+      const r = row(dayKey(entry.routedAt), rep);
+      r.orders++;
+      r.pages += entry.pageCount || 0;
+    }
+    if (inRange(entry.enteredAt, from, to)) {
+      const r = row(dayKey(entry.enteredAt), rep);
+      r.enteredOrders++;
+      r.enteredPages += entry.pageCount || 0;
+    }
+  });
+
+  return [...rows.values()].sort((a, b) => a.date.localeCompare(b.date) || a.rep.localeCompare(b.rep));
+};
+
+const countBy = (items, keyOf) => {
+  const counts = new Map();
+  items.forEach(item => {
+    const key = keyOf(item);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return [...counts.entries()].map(([label, count]) => ({ label, count })).sort((a, b) => b.count - a.count);
+};
+
+export const reasonMix = (entries) => countBy(entries, entry => reasonCategory(entry).label);
+
+export const flagFrequency = (entries) => countBy(entries.flatMap(entry => entry.flags || []), flag => flag);
+
+// Mean routed -> closed time over closed cards, in milliseconds (null when nothing closed)
+export const averageTimeToClose = (entries) => {
+  const closed = entries.filter(entry => entry.closedAt);
+  if (!closed.length) return null;
+  const total = closed.reduce((sum, entry) => sum + (Date.parse(entry.closedAt) - Date.parse(entry.routedAt)), 0);
+  return total / closed.length;
+};
+
+export const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) return "N/A";
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  return hours < 24 ? `${hours}h ${minutes % 60}m` : `${Math.floor(hours / 24)}d ${hours % 24}h`;
+};
+
+export const reviewsInRange = (reviewLog, from, to) => reviewLog.filter(entry => inRange(entry.at, from, to));
+
+// One CSV with the per-rep table followed by the breakdowns, for pasting into a spreadsheet
+export const reportCsv = ({ from, to, daily, mix, flags, overrides, avgCloseMs }) => {
+  const rows = [
+    ["Report", `${from || "start"} to ${to || "today"}`],
+    [],
+    ["Date", "Rep", "Orders Routed", "Pages Routed", "Orders Entered", "Pages Entered"],
+    ...daily.map(r => [r.date, r.rep, r.orders, r.pages, r.enteredOrders, r.enteredPages]),
+    [],
+    ["Route Reason", "Orders"],
+    ...mix.map(m => [m.label, m.count]),
+    [],
+    ["Flag", "Orders"],
+    ...flags.map(f => [f.label, f.count]),
+    [],
+    ["Reviewed Orders", overrides.reviewed],
+    ["Overridden", overrides.overridden],
+    ["Override Rate", `${Math.round(overrides.rate * 100)}%`],
+    ["Avg Time To Close (hours)", avgCloseMs === null ? "" : (avgCloseMs / 3600000).toFixed(1)],
+  ];
+  return rows.map(row => row.map(value => csvCell(String(value))).join(",")).join("\r\n");
+};
@@ -0,0 +1,64 @@
+import {
+  averageTimeToClose, daysBetween, filterByDate, flagFrequency, reasonCategory, reasonMix, repDailyLoad, reportCsv,
+} from './reporting';
+import { determineRouting } from './routing';
+import { DEFAULT_RULE_SET } from './routingRules';
+
+const team = [{ id: 1, name: 'Hector' }, { id: 2, name: 'Claudia' }];
+const history = [
+  { id: 'a', repId: 1, route: 'Hector', pageCount: 4, reason: 'Lowest Load Score (3)', flags: ['10+ LINES'], routedAt: '2024-03-01T09:00:00', enteredAt: '2024-03-02T10:00:00', closedAt: '2024-03-02T11:00:00' },
+  { id: 'b', repId: 2, route: 'Claudia', pageCount: 2, reason: "Restricted Prefix '21'", flags: ['10+ LINES', 'DPAS'], routedAt: '2024-03-01T10:00:00', enteredAt: null, closedAt: null },
+  { id: 'c', repId: 1, route: 'Hector', pageCount: 1, reason: 'Manual Reassignment: wrong rep', flags: [], routedAt: '2024-03-05T10:00:00', enteredAt: null, closedAt: null },
+];
+
+test('orders routed before categories were stored fall into report categories by their reason', () => {
+  expect(reasonCategory({ reason: 'Global Keyword Match' }).label).toBe('Global Keyword');
+  expect(reasonCategory({ reason: 'Change Order / Lowest Load Score (5)' }).label).toBe('Lowest Load');
+  expect(reasonCategory({ reason: 'Chargeback / Debit Memo' }).label).toBe('Document Type');
+  expect(reasonCategory({ reason: 'Standard Order' }).label).toBe('Other');
+  expect(reasonMix(history)).toEqual([
+    { label: 'Lowest Load', count: 1 },
+    { label: 'Restricted Prefix', count: 1 },
+    { label: 'Manual Reassignment', count: 1 },
+  ]);
+});
+
+test('the category stored at routing time wins over a reworded reason', () => {
+  const decision = determineRouting(
+    { pageCount: 1, lineItems: [{ lineNumber: '1', partNumber: '8804 ETL', prefixes: ['21'] }] },
+    [{ id: 1, name: 'Key Rep', role: 'Keying', cards: 0, totalPages: 0 }],
+    {
+      ...DEFAULT_RULE_SET,
+      rules: DEFAULT_RULE_SET.rules.map(r => (r.id === 'keying-prefix' ? { ...r, action: { ...r.action, reason: 'Send to keys' } } : r)),
+    }
+  );
+  expect(decision.reasonCategory).toBe('prefix');
+  expect(reasonCategory(decision).label).toBe('Restricted Prefix');
+  expect(reasonCategory({ reason: 'Lowest Load Score (2)', reasonCategory: 'manual' }).label).toBe('Manual Reassignment');
+});
+
+test('per rep per day counts routed work by routing date and entered work by entry date', () => {
+  const rows = repDailyLoad(history, team, '2024-03-01', '2024-03-02');
+  expect(rows).toEqual([
+    { date: '2024-03-01', rep: 'Claudia', orders: 1, pages: 2, enteredOrders: 0, enteredPages: 0 },
+    { date: '2024-03-01', rep: 'Hector', orders: 1, pages: 4, enteredOrders: 0, enteredPages: 0 },
+    { date: '2024-03-02', rep: 'Hector', orders: 0, pages: 0, enteredOrders: 1, enteredPages: 4 },
+  ]);
+  expect(daysBetween('2024-03-01', '2024-03-03')).toEqual(['2024-03-01', '2024-03-02', '2024-03-03']);
+});
+
+test('flags, time to close and the CSV cover the filtered range', () => {
+  const entries = filterByDate(history, '2024-03-01', '2024-03-01');
+  expect(entries.map(e => e.id)).toEqual(['a', 'b']);
+  expect(flagFrequency(entries)).toEqual([{ label: '10+ LINES', count: 2 }, { label: 'DPAS', count: 1 }]);
+  expect(averageTimeToClose(entries)).toBe(26 * 3600000);
+  expect(averageTimeToClose(history.slice(1))).toBeNull();
+
+  const csv = reportCsv({
+    from: '2024-03-01', to: '2024-03-01', daily: repDailyLoad(history, team, '2024-03-01', '2024-03-01'),
+    mix: reasonMix(entries), flags: flagFrequency(entries), overrides: { reviewed: 2, overridden: 1, rate: 0.5 }, avgCloseMs: 26 * 3600000,
+  }).split('\r\n');
+  expect(csv).toContain('2024-03-01,Hector,1,4,0,0');
+  expect(csv).toContain('Override Rate,50%');
+  expect(csv).toContain('Avg Time To Close (hours),26.0');
+});
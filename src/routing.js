@@ -0,0 +1,299 @@
+import { DEFAULT_RULE_SET, evaluateRules } from "./routingRules";
+import { isAvailable, statusLabel } from "./team";
+import { reviewWarnings } from "./poSchema";
+import { capReached, normalizeBalancing, pickRep } from "./loadBalancing";
+import { findCustomer, handlingFlag } from "./customers";
+import { DUPLICATE_FLAGS } from "./duplicates";
+import { determinePriority, isQualified } from "./priority";
+import { buildDocumentEvidence, classifyDocument } from "./documentTypes";
+import { PART_CHECK_FLAG, partIssueLines } from "./partNumbers";
+import { HOLD_ROUTE, LOW_CONFIDENCE_FLAG, confidenceLabel } from "./confidence";
+
+// --- LOGIC: ROUTING RULES ENGINE ---
+// Pure: takes the extraction result plus a team snapshot and never mutates either,
+// so the batch queue can thread its own running copy of the team through it.
+// context.customers is the customer directory, consulted after the rules and before load balancing.
+// context.duplicate is findDuplicate()'s match for this order, if any: it goes back to the same rep.
+// Orders whose confidence check (see confidence.js) found weak fields are held, not assigned,
+// until a reviewer releases them (context.holdReleased): then they route like any other order.
+// `reasonCategory` names the step that decided (see REASON_CATEGORIES in reporting.js), so
+// reports don't depend on the reason text, which supervisors can reword.
+export const determineRouting = (data, team, ruleSet = DEFAULT_RULE_SET, context = {}) => {
+  const logs = [];
+  logs.push("> Initializing Routing Protocol...");
+  logs.push("> Scanning content for flags...");
+
+  const dataWarnings = reviewWarnings(data.validationWarnings);
+  if (dataWarnings.length) {
+    logs.push(`! DATA CHECK: ${dataWarnings.length} extracted field(s) could not be trusted`);
+  }
+
+  if (data.email) logs.push(`> EMAIL: ${data.email.fromAddress || data.email.from} "${data.email.subject || ""}"`);
+
+  const result = evaluateRules(data, ruleSet);
+  logs.push(...result.logs);
+
+  const match = findCustomer(context.customers, data.customerInfo);
+  const customer = match?.customer;
+  if (match) {
+    logs.push(`> DIRECTORY: ${customer.name} (matched by ${match.matchedBy})`);
+    if (customer.notes) logs.push(`> NOTE: ${customer.notes}`);
+  } else if (context.customers?.length && data.customerInfo?.name) {
+    logs.push(`> DIRECTORY: "${data.customerInfo.name}" not on file`);
+  }
+
+  let route = "Order Entry";
+  let repId = null;
+  let flags = result.flags;
+  let reason = result.reason || "Standard Order";
+  let evidence = result.evidence;
+  let target = result.target;
+  let reasonCategory = target ? target.category : null;
+
+  // Chargebacks, quote requests and export POs have their own desks, whatever the lines say
+  const doc = classifyDocument(data);
+  logs.push(`> DOCUMENT: ${doc.type.label} (${doc.source})`);
+  if (doc.type.flag) flags = [...flags, doc.type.flag];
+  if (doc.type.role) {
+    if (target) logs.push(`> ${doc.type.label} overrides rule "${target.ruleId}"`);
+    target = { role: doc.type.role };
+    reason = doc.type.label;
+    reasonCategory = "document";
+    evidence = buildDocumentEvidence(doc);
+  } else if (doc.type.id !== "standard_po" && !evidence) {
+    evidence = buildDocumentEvidence(doc);
+  }
+
+  // Lines whose part numbers don't fit the catalog grammar get a human look before entry
+  const partLines = partIssueLines(data);
+  if (partLines.length) {
+    flags = [...flags, PART_CHECK_FLAG];
+    partLines.forEach(item =>
+      logs.push(`! PART CHECK: Line ${item.lineNumber || "?"} (${item.partNumber}): ${item.partCheck.issues.join("; ")}`)
+    );
+  }
+
+  const customerFlag = customer && handlingFlag(customer);
+  if (customerFlag && !flags.includes(customerFlag)) flags = [...flags, customerFlag];
+
+  const { tier, keyword: priorityKeyword } = determinePriority(data, flags);
+  if (tier.flag) {
+    if (!flags.includes(tier.flag)) flags = [...flags, tier.flag];
+    logs.push(`! PRIORITY: ${tier.label} ("${priorityKeyword}", ${tier.slaHours}h SLA)`);
+    if (!evidence) evidence = `PRIORITY DETECTED: "${priorityKeyword}" -> ${tier.label}`;
+  }
+
+  if (!target && customer?.alwaysKeying) {
+    target = { role: "Keying" };
+    reason = `Customer Always Keyed (${customer.name})`;
+    reasonCategory = "customer";
+    logs.push(`> MATCH: ${customer.name} is set to always key`);
+  }
+
+  let balance = !target;
+  let addsLoad = true;
+
+  // Only orders can duplicate an earlier order; a debit memo quoting the PO number is its own document
+  const duplicate = doc.type.isOrder ? context.duplicate : null;
+  if (duplicate) {
+    const { entry, kind } = duplicate;
+    const flag = DUPLICATE_FLAGS[kind];
+    if (!flags.includes(flag)) flags = [...flags, flag];
+    const routedOn = new Date(entry.routedAt).toLocaleString();
+    logs.push(`! ${flag}: ${entry.fileName} (PO ${entry.poNumber || "?"}) routed ${routedOn} to ${entry.route} [${duplicate.matchedBy}]`);
+
+    const earlierRep = entry.repId != null ? team.find(m => m.id === entry.repId) : null;
+    if (earlierRep && isAvailable(earlierRep)) {
+      route = earlierRep.name;
+      repId = earlierRep.id;
+      target = null;
+      balance = false;
+      // The same order sent twice is still one order's work
+      addsLoad = kind !== "duplicate";
+      reason = `${kind === "revision" ? "Revision" : "Duplicate"} of PO ${entry.poNumber || "?"} (same rep)`;
+      reasonCategory = "duplicate";
+      logs.push(`> ROUTING: Back to ${earlierRep.name}, who has the earlier copy${addsLoad ? "" : " (no load added)"}`);
+    } else {
+      const why = earlierRep ? statusLabel(earlierRep.status) : "No rep on the earlier routing";
+      logs.push(`! WARNING: Earlier assignee unavailable (${why}). Routing as a new order.`);
+    }
+  }
+
+  if (target) {
+    const { role, person } = target;
+    if (person) {
+      const targetRep = team.find(m => m.name === person);
+      if (targetRep && isAvailable(targetRep)) {
+        route = targetRep.name;
+        repId = targetRep.id;
+        logs.push(`> ROUTING: Directed to Special Handling (${route})`);
+      } else {
+        const status = targetRep ? statusLabel(targetRep.status) : "Not on roster";
+        logs.push(`! WARNING: ${person} unavailable (${status}). Falling back to load balance.`);
+        reason = `${reason} / ${person} unavailable`;
+        balance = true;
+      }
+    } else {
+      const roleReps = team.filter(m => m.role.includes(role));
+      const targetRep = roleReps.find(isAvailable);
+      if (targetRep) {
+        route = targetRep.name;
+        repId = targetRep.id;
+      } else {
+        route = `${role} Dept`;
+        logs.push(roleReps.length
+          ? `! WARNING: No available ${role} rep. Holding for department queue.`
+          : `! WARNING: No ${role} rep on the roster. Waiting under REVIEW HOLD until one is added.`);
+      }
+      logs.push(`> ROUTING: Directed to Special Handling (${route})`);
+    }
+  }
+
+  if (balance && customer?.repId != null) {
+    const rep = team.find(m => m.id === customer.repId);
+    const mode = customer.repMode === "assigned" ? "assigned" : "preferred";
+    // An assigned rep takes the order over their cap; a preferred one only while under it
+    const cap = rep && mode === "preferred" ? capReached(rep, normalizeBalancing(ruleSet.balancing)) : null;
+    if (rep && isAvailable(rep) && !cap) {
+      route = rep.name;
+      repId = rep.id;
+      balance = false;
+      if (!result.reason) reason = `Customer ${mode === "assigned" ? "Assigned" : "Preferred"} Rep (${customer.name})`;
+      reasonCategory = "customer";
+      logs.push(`> ROUTING: ${customer.name} -> ${mode} rep ${rep.name}`);
+    } else {
+      const why = !rep ? "Not on roster" : cap ? `At ${cap}` : statusLabel(rep.status);
+      logs.push(`! WARNING: ${mode} rep for ${customer.name} unavailable (${why}). Falling back to load balance.`);
+    }
+  }
+
+  // Priority orders go to a rep qualified for the tier before the general balance
+  if (balance && tier.slaHours) {
+    const oeReps = team.filter(m => m.role === "Order Entry");
+    const qualified = oeReps.filter(m => isQualified(m, tier.id));
+    if (qualified.length) {
+      logs.push(`> Balancing across ${tier.label}-qualified reps...`);
+      const pick = pickRep(qualified.filter(isAvailable), ruleSet.balancing);
+      logs.push(...pick.logs);
+      if (pick.rep) {
+        route = pick.rep.name;
+        repId = pick.rep.id;
+        balance = false;
+        if (!result.reason) reason = `${tier.label} Priority (${tier.slaHours}h SLA)`;
+        reasonCategory = "priority";
+        logs.push(`> ASSIGNMENT: ${pick.rep.name} (Score: ${pick.score.total})`);
+      } else {
+        logs.push(`! WARNING: No ${tier.label}-qualified rep available. Falling back to load balance.`);
+      }
+    } else {
+      logs.push(`> No reps marked for ${tier.label}; any Order Entry rep qualifies.`);
+    }
+  }
+
+  if (balance) {
+    logs.push("> No restrictions found.");
+    logs.push("> Calculating workload balance...");
+    
+    const oeReps = team.filter(m => m.role === "Order Entry");
+    const skipped = oeReps.filter(m => !isAvailable(m));
+    skipped.forEach(m => logs.push(`> SKIP: ${m.name} (${statusLabel(m.status)})`));
+
+    const pick = pickRep(oeReps.filter(isAvailable), ruleSet.balancing);
+    logs.push(...pick.logs);
+    const targetRep = pick.rep;
+
+    if (targetRep) {
+      route = targetRep.name;
+      repId = targetRep.id;
+      if (!result.reason) reason = `Lowest Load Score (${pick.score.total})`;
+      reasonCategory = "load";
+      logs.push(`> ASSIGNMENT: ${targetRep.name} (Score: ${pick.score.total})`);
+    } else {
+      route = "Unassigned";
+      reason = oeReps.some(isAvailable) ? "All Order Entry reps at capacity" : "No available Order Entry rep";
+      reasonCategory = "capacity";
+      logs.push("! WARNING: No Order Entry rep is available. Order left unassigned.");
+    }
+  }
+
+  // Order types without a desk of their own (change orders) still say what they are
+  if (!doc.type.role && doc.type.id !== "standard_po") reason = `${doc.type.label} / ${reason}`;
+
+  // Nobody gets a card built on a guess: a reviewer checks the weak fields and reassigns
+  const lowConfidence = data.confidenceCheck?.low || [];
+  if (lowConfidence.length && context.holdReleased) {
+    logs.push(`> HOLD RELEASED: ${lowConfidence.map(entry => entry.label).join(", ")} checked by a reviewer`);
+  } else if (lowConfidence.length) {
+    flags = [...flags, LOW_CONFIDENCE_FLAG];
+    lowConfidence.forEach(entry => logs.push(`! CONFIDENCE: ${entry.label} ${confidenceLabel(entry)}`));
+    logs.push(`> HOLD: Would have routed to ${route}. Held for review.`);
+    reason = `Low Confidence (${lowConfidence.map(entry => entry.label).join(", ")}) / ${route}: ${reason}`;
+    route = HOLD_ROUTE;
+    repId = null;
+    reasonCategory = "hold";
+  }
+
+  return {
+    route, repId, flags, reason, evidence, logs,
+    reasonCategory: reasonCategory || "other",
+    pageCount: data.pageCount || 1,
+    lineCount: (data.lineItems || []).length,
+    customerId: customer ? customer.id : null,
+    customerName: customer ? customer.name : null,
+    duplicate: duplicate ? {
+      kind: duplicate.kind,
+      matchedBy: duplicate.matchedBy,
+      historyId: duplicate.entry.id,
+      poNumber: duplicate.entry.poNumber,
+      route: duplicate.entry.route,
+      routedAt: duplicate.entry.routedAt,
+    } : null,
+    addsLoad,
+    priority: tier.id,
+    documentType: doc.type.id,
+  };
+};
+
+// Per-flag card counts feed the weighted load score (see loadBalancing.js)
+const countFlags = (flagCounts, flags, delta) => {
+  const next = { ...flagCounts };
+  (flags || []).forEach(flag => {
+    next[flag] = Math.max(0, (next[flag] || 0) + delta);
+  });
+  return next;
+};
+
+// Returns a new team array with the routed order added to the assignee's load.
+// Unassigned / department-queue decisions carry no repId and leave the team untouched,
+// as do exact duplicates sent back to the rep who already holds the order.
+export const applyAssignment = (team, decision) => team.map(member => {
+  if (decision.repId != null && member.id === decision.repId && decision.addsLoad !== false) {
+    return {
+      ...member,
+      cards: member.cards + 1,
+      totalPages: member.totalPages + (decision.pageCount || 1),
+      totalLines: (member.totalLines || 0) + (decision.lineCount || 0),
+      flagCounts: countFlags(member.flagCounts, decision.flags, 1),
+      lastAssignedAt: decision.assignedAt || new Date().toISOString(),
+    };
+  }
+  return member;
+});
+
+// Inverse of applyAssignment. Loads never go below zero, even if someone hand-edited them.
+export const removeAssignment = (team, decision) => team.map(member => {
+  if (decision.repId != null && member.id === decision.repId && decision.addsLoad !== false) {
+    return {
+      ...member,
+      cards: Math.max(0, member.cards - 1),
+      totalPages: Math.max(0, member.totalPages - (decision.pageCount || 1)),
+      totalLines: Math.max(0, (member.totalLines || 0) - (decision.lineCount || 0)),
+      flagCounts: countFlags(member.flagCounts, decision.flags, -1),
+    };
+  }
+  return member;
+});
+
+// Moves a routed order's card and pages from its current assignee to another rep
+export const transferAssignment = (team, decision, toRepId) =>
+  applyAssignment(removeAssignment(team, decision), { ...decision, repId: toRepId });
@@ -0,0 +1,215 @@
+import { determineRouting, applyAssignment, transferAssignment } from './routing';
+import { DEFAULT_RULE_SET, ruleProblem, validateRuleSet } from './routingRules';
+import { assessConfidence } from './confidence';
+
+const team = [
+  { id: 1, name: 'Busy Rep', role: 'Order Entry', cards: 5, totalPages: 40 },
+  { id: 2, name: 'Light Rep', role: 'Order Entry', cards: 1, totalPages: 3 },
+  { id: 3, name: 'Key Rep', role: 'Intl/Keying', cards: 0, totalPages: 0 },
+];
+
+const order = (lineItems, extra = {}) => ({ pageCount: 2, lineItems, ...extra });
+
+test('routes restricted prefixes to the keying rep with line evidence', () => {
+  const decision = determineRouting(order([{ lineNumber: '1', pageNumber: 1, partNumber: '8804 ETL', prefixes: ['21'] }]), team);
+  expect(decision.route).toBe('Key Rep');
+  expect(decision.reason).toBe("Restricted Prefix '21'");
+  expect(decision.evidence).toContain('Prefix: [21]');
+});
+
+test('ignores the 31/AL false positive and balances on page load', () => {
+  const decision = determineRouting(order([{ partNumber: '31-8204', prefixes: ['AL'] }]), team);
+  expect(decision.route).toBe('Light Rep');
+  expect(decision.flags).toEqual(['CHECKERED FLAG']);
+});
+
+test('matches keying keywords in page summaries', () => {
+  const decision = determineRouting(order([], { pages: [{ summary: 'Grand Master keyed' }] }), team);
+  expect(decision.route).toBe('Key Rep');
+  expect(decision.reason).toBe('Global Keyword Match');
+});
+
+test('custom rules can route to a named person and add flags', () => {
+  const ruleSet = {
+    ...DEFAULT_RULE_SET,
+    rules: [
+      { id: 'big', name: 'Big docs', conditions: { pageCount: { min: 20 } }, action: { type: 'flag', flag: 'BIG DOC' } },
+      { id: 'acme', name: 'Acme', conditions: { customers: ['acme'] }, action: { type: 'route', person: 'Busy Rep', reason: 'Account {customer}' } },
+    ],
+  };
+  const decision = determineRouting(order([], { pageCount: 25, customerInfo: { name: 'ACME Hardware' } }), team, ruleSet);
+  expect(decision.route).toBe('Busy Rep');
+  expect(decision.reason).toBe('Account acme');
+  expect(decision.flags).toEqual(['BIG DOC']);
+});
+
+test('applyAssignment adds the order to the assignee only', () => {
+  const next = applyAssignment(team, { route: 'Light Rep', repId: 2, pageCount: 4 });
+  expect(next[1]).toMatchObject({ cards: 2, totalPages: 7 });
+  expect(next[0]).toBe(team[0]);
+});
+
+test('transferAssignment moves the card and pages to the new rep', () => {
+  const next = transferAssignment(team, { route: 'Light Rep', repId: 2, pageCount: 3 }, 1);
+  expect(next[0]).toMatchObject({ cards: 6, totalPages: 43 });
+  expect(next[1]).toMatchObject({ cards: 0, totalPages: 0 });
+});
+
+test('skips unavailable reps when balancing and when keying', () => {
+  const rosterWithAbsences = team.map(m => (m.id === 2 || m.id === 3 ? { ...m, status: 'out' } : m));
+  expect(determineRouting(order([]), rosterWithAbsences).route).toBe('Busy Rep');
+  const keyed = determineRouting(order([{ partNumber: '8804', prefixes: ['10'] }]), rosterWithAbsences);
+  expect(keyed.route).toBe('Keying Dept');
+  expect(keyed.repId).toBeNull();
+});
+
+test('leaves the order unassigned instead of crashing when no Order Entry rep is available', () => {
+  const decision = determineRouting(order([]), team.filter(m => m.role !== 'Order Entry'));
+  expect(decision.route).toBe('Unassigned');
+  expect(applyAssignment(team, decision)).toEqual(team);
+});
+
+test('validateRuleSet rejects route rules without a target', () => {
+  expect(() => validateRuleSet({ rules: [{ id: 'x', action: { type: 'route' } }] })).toThrow(/role or a person/);
+  expect(validateRuleSet(DEFAULT_RULE_SET).rules).toHaveLength(DEFAULT_RULE_SET.rules.length);
+});
+
+test('weighted balancing counts cards and flags, not just pages', () => {
+  const reps = [
+    { id: 1, name: 'Many Short', role: 'Order Entry', cards: 5, totalPages: 5 },
+    { id: 2, name: 'One Long', role: 'Order Entry', cards: 1, totalPages: 8 },
+  ];
+  const pagesOnly = { ...DEFAULT_RULE_SET, balancing: { weights: { pages: 1, cards: 0, lines: 0, flags: {} } } };
+  expect(determineRouting(order([]), reps, pagesOnly).route).toBe('Many Short');
+
+  const decision = determineRouting(order([]), reps);
+  expect(decision.route).toBe('One Long');
+  expect(decision.logs).toContain('> SCORE: Many Short = 5 pages x1 + 5 cards x2 + 0 10+ LINES x5 = 15');
+});
+
+test('ties go round robin and capped reps are skipped', () => {
+  const reps = [
+    { id: 1, name: 'Recent', role: 'Order Entry', cards: 0, totalPages: 0, lastAssignedAt: '2024-01-02T00:00:00Z' },
+    { id: 2, name: 'Earlier', role: 'Order Entry', cards: 0, totalPages: 0, lastAssignedAt: '2024-01-01T00:00:00Z' },
+  ];
+  expect(determineRouting(order([]), reps).route).toBe('Earlier');
+
+  const capped = reps.map(m => (m.id === 2 ? { ...m, maxCards: 0 } : m));
+  expect(determineRouting(order([]), capped).route).toBe('Recent');
+
+  const allCapped = { ...DEFAULT_RULE_SET, balancing: { maxCards: 0 } };
+  expect(determineRouting(order([]), reps, allCapped).reason).toBe('All Order Entry reps at capacity');
+});
+
+test('applyAssignment tracks lines, flags and assignment time for the score', () => {
+  const decision = { repId: 2, pageCount: 1, lineCount: 12, flags: ['10+ LINES'], assignedAt: '2024-01-01T00:00:00Z' };
+  const next = applyAssignment(team, decision);
+  expect(next[1]).toMatchObject({ totalLines: 12, flagCounts: { '10+ LINES': 1 }, lastAssignedAt: '2024-01-01T00:00:00Z' });
+  expect(transferAssignment(next, decision, 1)[1]).toMatchObject({ totalLines: 0, flagCounts: { '10+ LINES': 0 } });
+});
+
+test('the customer directory routes to a preferred rep and adds handling flags', () => {
+  const customers = [{ id: 'c1', name: 'Acme', domains: ['acme.com'], repId: 1, repMode: 'preferred', handling: 'DPAS', notes: 'Ship complete' }];
+  const acmeOrder = order([], { customerInfo: { name: 'ACME Hardware', email: 'po@acme.com' } });
+  const decision = determineRouting(acmeOrder, team, DEFAULT_RULE_SET, { customers });
+  expect(decision.route).toBe('Busy Rep');
+  expect(decision.reason).toBe('Customer Preferred Rep (Acme)');
+  expect(decision.flags).toContain('DPAS');
+  expect(decision.customerId).toBe('c1');
+  expect(decision.logs).toContain('> NOTE: Ship complete');
+
+  const capped = team.map(m => (m.id === 1 ? { ...m, maxCards: 5 } : m));
+  expect(determineRouting(acmeOrder, capped, DEFAULT_RULE_SET, { customers }).route).toBe('Light Rep');
+  const assigned = [{ ...customers[0], repMode: 'assigned' }];
+  expect(determineRouting(acmeOrder, capped, DEFAULT_RULE_SET, { customers: assigned }).route).toBe('Busy Rep');
+});
+
+test('always-keying customers go to Keying but rule routes still come first', () => {
+  const customers = [{ id: 'c1', name: 'Acme', domains: ['acme.com'], alwaysKeying: true }];
+  const decision = determineRouting(order([], { customerInfo: { email: 'po@acme.com' } }), team, DEFAULT_RULE_SET, { customers });
+  expect(decision.route).toBe('Key Rep');
+  expect(decision.reason).toBe('Customer Always Keyed (Acme)');
+
+  const prefixed = order([{ partNumber: '8804', prefixes: ['21'] }], { customerInfo: { email: 'po@acme.com' } });
+  expect(determineRouting(prefixed, team, DEFAULT_RULE_SET, { customers }).reason).toBe("Restricted Prefix '21'");
+});
+
+test('duplicates go back to the earlier assignee without adding load', () => {
+  const entry = { id: 'h1', fileName: 'po.pdf', poNumber: 'PO-1', route: 'Busy Rep', repId: 1, routedAt: '2024-01-01T00:00:00Z' };
+  const decision = determineRouting(order([]), team, DEFAULT_RULE_SET, { duplicate: { entry, kind: 'duplicate', matchedBy: 'identical file' } });
+  expect(decision.route).toBe('Busy Rep');
+  expect(decision.flags).toContain('DUPLICATE');
+  expect(decision.duplicate).toMatchObject({ historyId: 'h1', route: 'Busy Rep' });
+  expect(applyAssignment(team, decision)).toEqual(team);
+
+  const revision = determineRouting(order([]), team, DEFAULT_RULE_SET, { duplicate: { entry, kind: 'revision', matchedBy: 'x' } });
+  expect(revision.reason).toBe('Revision of PO PO-1 (same rep)');
+  expect(applyAssignment(team, revision)[0].cards).toBe(6);
+});
+
+test('priority orders go to qualified reps ahead of the general balance', () => {
+  const roster = team.map(m => (m.id === 1 ? { ...m, priorityTiers: ['dpas'] } : m));
+  const dpas = order([], { routingKeywords: ['DPAS'] });
+  const decision = determineRouting(dpas, roster);
+  expect(decision.route).toBe('Busy Rep');
+  expect(decision.priority).toBe('dpas');
+  expect(decision.flags).toContain('DPAS');
+  expect(decision.reason).toBe('DPAS Priority (4h SLA)');
+
+  // Nobody qualified on the roster: any Order Entry rep will do
+  expect(determineRouting(dpas, team).route).toBe('Light Rep');
+  // Qualified rep out: falls back to the normal balance
+  expect(determineRouting(dpas, roster.map(m => (m.id === 1 ? { ...m, status: 'out' } : m))).route).toBe('Light Rep');
+});
+
+test('document types route to their own desks with their own evidence', () => {
+  const roster = [...team, { id: 4, name: 'CB Rep', role: 'Chargebacks', cards: 0, totalPages: 0 }];
+  // Prefix lines on a debit memo don't make it a keying job
+  const memo = order([{ partNumber: '8804', prefixes: ['21'] }], { documentType: 'chargeback', documentTypeEvidence: 'DEBIT MEMO' });
+  const decision = determineRouting(memo, roster);
+  expect(decision.route).toBe('CB Rep');
+  expect(decision.reason).toBe('Chargeback / Debit Memo');
+  expect(decision.evidence).toContain('DEBIT MEMO');
+  expect(decision.flags).toContain('CHARGEBACK');
+
+  expect(determineRouting(order([], { documentType: 'international' }), roster).route).toBe('Key Rep');
+  expect(determineRouting(order([], { documentType: 'quote_request' }), roster).route).toBe('Quotes Dept');
+
+  const change = determineRouting(order([], { documentType: 'change_order' }), roster);
+  expect(change.route).toBe('Light Rep');
+  expect(change.reason).toBe('Change Order / Lowest Load Score (5)');
+});
+
+test('lines that fail the part grammar add a PART CHECK flag', () => {
+  const item = { lineNumber: '2', partNumber: '8204 ETL', prefixes: [], partCheck: { issues: ["ETL trim doesn't fit the 8200 Mortise Lock"] } };
+  const decision = determineRouting(order([item]), team);
+  expect(decision.flags).toContain('PART CHECK');
+  expect(decision.logs).toContain("! PART CHECK: Line 2 (8204 ETL): ETL trim doesn't fit the 8200 Mortise Lock");
+});
+
+test('low-confidence orders are held for review instead of assigned', () => {
+  const data = order([{ lineNumber: '1', partNumber: '8804 ETL', quantity: 2 }], { poNumber: null, totalLineCount: 1, customerInfo: { email: 'buyer@acme.com' } });
+  const decision = determineRouting({ ...data, confidenceCheck: assessConfidence(data) }, team);
+  expect(decision.route).toBe('Review Hold');
+  expect(decision.repId).toBeNull();
+  expect(decision.flags).toContain('LOW CONFIDENCE');
+  expect(decision.reason).toBe('Low Confidence (PO #) / Light Rep: Lowest Load Score (5)');
+  expect(applyAssignment(team, decision)).toEqual(team);
+
+  const released = determineRouting({ ...data, confidenceCheck: assessConfidence(data) }, team, DEFAULT_RULE_SET, { holdReleased: true });
+  expect(released.route).toBe('Light Rep');
+  expect(released.flags).not.toContain('LOW CONFIDENCE');
+  expect(released.logs).toContain('> HOLD RELEASED: PO # checked by a reviewer');
+});
+
+test('skips a route rule with no target instead of routing to a department that does not exist', () => {
+  const ruleSet = {
+    ...DEFAULT_RULE_SET,
+    rules: [{ id: 'half', name: 'Half edited', conditions: { pageCount: { min: 1 } }, action: { type: 'route', reason: 'Big' } }],
+  };
+  const decision = determineRouting(order([]), team, ruleSet);
+  expect(decision.route).toBe('Light Rep');
+  expect(decision.logs).toContain('! RULE SKIPPED: Half edited must route to a role or a person');
+  expect(ruleProblem({ action: { type: 'route', role: ' ' } })).toBe('must route to a role or a person');
+  expect(ruleProblem({ action: { type: 'route', role: 'Keying' } })).toBeNull();
+});
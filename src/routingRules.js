@@ -0,0 +1,253 @@
+import { DEFAULT_BALANCING, normalizeBalancing } from "./loadBalancing";
+
+// --- DECLARATIVE ROUTING RULES ---
+// Rules are evaluated in order. Every condition present on a rule must match (AND).
+// Action types:
+//   "route"  -> send to a role ({ role }) or a named rep ({ person }). First match wins.
+//   "flag"   -> add a flag tag to the order
+//   "reason" -> override the reason shown on the verdict
+// Reason templates may use {prefix}, {keyword} and {customer} placeholders.
+// Exceptions drop a line item from prefix matching entirely (e.g. the 31/AL hallucination fix).
+// `balancing` holds the load score weights used when no route rule matches (see loadBalancing.js).
+
+export const RULE_SET_VERSION = 1;
+
+export const ACTION_TYPES = ["route", "flag", "reason"];
+
+export const DEFAULT_RULE_SET = {
+  version: RULE_SET_VERSION,
+  exceptions: [
+    {
+      id: "ex-31-al",
+      name: "31 series read as AL prefix (hallucination fix)",
+      enabled: true,
+      partNumberStartsWith: "31",
+      prefixes: ["AL"],
+    },
+  ],
+  rules: [
+    {
+      id: "high-volume",
+      name: "High volume order",
+      enabled: true,
+      conditions: { lineCount: { min: 10 } },
+      action: { type: "flag", flag: "10+ LINES" },
+    },
+    {
+      id: "short-order",
+      name: "Short order",
+      enabled: true,
+      conditions: { lineCount: { min: 1, max: 3 } },
+      action: { type: "flag", flag: "CHECKERED FLAG" },
+    },
+    {
+      id: "keying-prefix",
+      name: "Restricted keying prefix",
+      enabled: true,
+      conditions: { prefixes: ["10", "21", "22", "51", "59", "82", "83", "73", "AL"] },
+      action: { type: "route", role: "Keying", reason: "Restricted Prefix '{prefix}'" },
+    },
+    {
+      id: "keying-keyword",
+      name: "Global keying keyword",
+      enabled: true,
+      conditions: { keywords: ["MK", "GMK", "SKD", "KA", "KEYED", "MASTER KEY", "GRAND MASTER", "KESO"] },
+      action: { type: "route", role: "Keying", reason: "Global Keyword Match" },
+    },
+  ],
+  balancing: DEFAULT_BALANCING,
+};
+
+const cleanPrefix = (prefix) => String(prefix).replace(/[^0-9A-Z]/g, "");
+
+const inRange = (value, range) =>
+  (range.min === undefined || range.min === null || value >= range.min) &&
+  (range.max === undefined || range.max === null || value <= range.max);
+
+const fillTemplate = (template, match) =>
+  template.replace(/\{(prefix|keyword|customer)\}/g, (_, key) => match[key] || "");
+
+const isExcludedLine = (item, exceptions) => {
+  const prefixes = (item.prefixes || []).map(cleanPrefix);
+  return exceptions.some(ex =>
+    ex.enabled !== false &&
+    ex.partNumberStartsWith &&
+    [item.partNumber, item.rawPartNumber].some(part => part && part.startsWith(ex.partNumberStartsWith)) &&
+    (ex.prefixes || []).some(p => prefixes.includes(p))
+  );
+};
+
+const findPrefixMatch = (data, prefixList, exceptions, logs) => {
+  for (let item of data.lineItems || []) {
+    if (isExcludedLine(item, exceptions)) {
+      logs.push(`> EXCEPTION: Ignoring line ${item.lineNumber || "N/A"} (${item.partNumber})`);
+      continue;
+    }
+    const badPrefix = (item.prefixes || []).map(cleanPrefix).find(p => prefixList.includes(p));
+    if (badPrefix) return { item, prefix: badPrefix };
+  }
+  return null;
+};
+
+const findKeywordMatch = (data, keywords) => {
+  const safeSearchFields = [
+    ...(data.routingKeywords || []),
+    ...(data.pages || []).map(p => p.summary),
+    ...(data.pages || []).flatMap(p => p.itemsOnPage?.map(i => i.desc) || []),
+  ];
+  const globalText = safeSearchFields.join(" ").toUpperCase();
+  return keywords.find(kw => globalText.includes(kw.toUpperCase())) || null;
+};
+
+const findCustomerMatch = (data, customers) => {
+  const haystack = `${data.customerInfo?.name || ""} ${data.customerInfo?.email || ""}`.toUpperCase();
+  return customers.find(c => haystack.includes(c.toUpperCase())) || null;
+};
+
+// Returns the match context for a rule, or null when any of its conditions fail
+const matchRule = (rule, data, ruleSet, logs) => {
+  const conditions = rule.conditions || {};
+  const match = {};
+
+  if (conditions.lineCount) {
+    const lineCount = data.totalLineCount || data.lineItems?.length || 0;
+    if (!inRange(lineCount, conditions.lineCount)) return null;
+    match.lineCount = lineCount;
+  }
+
+  if (conditions.pageCount) {
+    const pageCount = data.pageCount || 1;
+    if (!inRange(pageCount, conditions.pageCount)) return null;
+    match.pageCount = pageCount;
+  }
+
+  if (conditions.customers?.length) {
+    const customer = findCustomerMatch(data, conditions.customers);
+    if (!customer) return null;
+    match.customer = customer;
+  }
+
+  if (conditions.keywords?.length) {
+    const keyword = findKeywordMatch(data, conditions.keywords);
+    if (!keyword) return null;
+    match.keyword = keyword;
+  }
+
+  if (conditions.prefixes?.length) {
+    const hit = findPrefixMatch(data, conditions.prefixes, ruleSet.exceptions || [], logs);
+    if (!hit) return null;
+    match.prefix = hit.prefix;
+    match.item = hit.item;
+  }
+
+  return match;
+};
+
+const buildEvidence = (match) => {
+  if (match.item) {
+    const { item, prefix } = match;
+    return `LINE DETECTED:\nLine #: ${item.lineNumber || 'N/A'}\nPage: ${item.pageNumber || '?'}\nPart: ${item.partNumber}\nPrefix: [${prefix}]`;
+  }
+  if (match.keyword) return `KEYWORD DETECTED: "${match.keyword}" found in notes/summary.`;
+  if (match.customer) return `CUSTOMER MATCH: "${match.customer}"`;
+  return null;
+};
+
+// What stops a rule from being evaluated, e.g. "must route to a role or a person", or null.
+// The admin editor disables such rules and the engine skips them, so a half-edited rule can't
+// send orders to a department that doesn't exist.
+const blank = (value) => !String(value ?? "").trim();
+
+export const ruleProblem = (rule) => {
+  const action = rule.action || {};
+  if (!ACTION_TYPES.includes(action.type)) return `has unknown action type "${action.type}"`;
+  if (action.type === "route" && blank(action.role) && blank(action.person)) return "must route to a role or a person";
+  if (action.type === "flag" && blank(action.flag)) return "is missing a flag";
+  if (action.type === "reason" && blank(action.reason)) return "is missing a reason";
+  return null;
+};
+
+// --- EVALUATION ---
+export const evaluateRules = (data, ruleSet = DEFAULT_RULE_SET) => {
+  const logs = [];
+  const flags = [];
+  let target = null;
+  let reason = null;
+  let evidence = null;
+
+  for (let rule of ruleSet.rules || []) {
+    if (rule.enabled === false) continue;
+    const problem = ruleProblem(rule);
+    if (problem) {
+      logs.push(`! RULE SKIPPED: ${rule.name} ${problem}`);
+      continue;
+    }
+    const { action } = rule;
+    // Once a route is chosen, later route rules can't change it, so skip the (costly) scan
+    if (action.type === "route" && target) continue;
+
+    const match = matchRule(rule, data, ruleSet, logs);
+    if (!match) continue;
+
+    if (action.type === "flag") {
+      if (!flags.includes(action.flag)) flags.push(action.flag);
+      const detail = match.lineCount !== undefined ? ` (${match.lineCount} lines)` : "";
+      logs.push(`! ALERT: ${rule.name}${detail}`);
+    } else if (action.type === "reason") {
+      reason = fillTemplate(action.reason || "", match);
+      logs.push(`> RULE: ${rule.name}`);
+    } else if (action.type === "route") {
+      // The report category goes with the target, whatever the (editable) reason text says
+      const category = match.prefix ? "prefix" : match.keyword ? "keyword" : "rule";
+      target = { role: action.role || null, person: action.person || null, ruleId: rule.id, category };
+      reason = fillTemplate(action.reason || rule.name, match);
+      evidence = buildEvidence(match);
+      if (match.prefix) {
+        logs.push(`> MATCH FOUND: Prefix [${match.prefix}] on Page ${match.item.pageNumber} (${rule.name})`);
+      } else if (match.keyword) {
+        logs.push(`> MATCH FOUND: Global Keyword [${match.keyword}] (${rule.name})`);
+      } else {
+        logs.push(`> MATCH FOUND: ${rule.name}`);
+      }
+    }
+  }
+
+  return { target, flags, reason, evidence, logs };
+};
+
+// --- IMPORT VALIDATION ---
+// Throws a readable error for anything the engine couldn't evaluate, otherwise returns a clean copy
+export const validateRuleSet = (input) => {
+  if (!input || typeof input !== "object" || !Array.isArray(input.rules)) {
+    throw new Error("Rule set must be an object with a \"rules\" array.");
+  }
+
+  const ids = new Set();
+  const rules = input.rules.map((rule, i) => {
+    const label = `Rule ${i + 1}${rule?.name ? ` (${rule.name})` : ""}`;
+    if (!rule || typeof rule !== "object") throw new Error(`${label} is not an object.`);
+    if (!rule.id) throw new Error(`${label} is missing an "id".`);
+    if (ids.has(rule.id)) throw new Error(`${label} reuses id "${rule.id}".`);
+    ids.add(rule.id);
+
+    const problem = ruleProblem(rule);
+    if (problem) throw new Error(`${label} ${problem}.`);
+
+    return {
+      id: String(rule.id),
+      name: rule.name || String(rule.id),
+      enabled: rule.enabled !== false,
+      conditions: rule.conditions || {},
+      action: rule.action,
+    };
+  });
+
+  const exceptions = (input.exceptions || []).map((ex, i) => {
+    if (!ex || !ex.partNumberStartsWith || !Array.isArray(ex.prefixes)) {
+      throw new Error(`Exception ${i + 1} needs "partNumberStartsWith" and a "prefixes" array.`);
+    }
+    return { id: ex.id || `ex-${i + 1}`, name: ex.name || "", enabled: ex.enabled !== false, ...ex };
+  });
+
+  return { version: RULE_SET_VERSION, exceptions, rules, balancing: normalizeBalancing(input.balancing) };
+};
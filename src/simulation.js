@@ -0,0 +1,181 @@
+import { applyAssignment, determineRouting } from "./routing";
+import { findDuplicate, fingerprintOrder } from "./duplicates";
+import { normalizeExtraction } from "./poSchema";
+import { applyPartGrammar } from "./partNumbers";
+import { HOLD_ROUTE, assessConfidence } from "./confidence";
+import { csvCell } from "./lineItems";
+
+// --- ROUTING DRY RUN ---
+// Replays orders through determineRouting with a candidate rule set and a starting team of
+// your choosing, and compares the outcome with what actually happened. Nothing here touches
+// live state: the team is threaded through a local copy, exactly as the batch queue does.
+// Both sides count every replayed order as open, so card closes don't skew the load spread.
+
+export const START_MODES = [
+  { id: "current", label: "Current load" },
+  { id: "empty", label: "Empty (start of day)" },
+];
+
+export const startingTeam = (team, { mode = "current", allAvailable = false } = {}) => team.map(member => ({
+  ...member,
+  ...(mode === "empty" ? { cards: 0, totalPages: 0, totalLines: 0, flagCounts: {} } : {}),
+  ...(allAvailable ? { status: "available" } : {}),
+}));
+
+const originalOf = (entry) => ({
+  route: entry.route,
+  repId: entry.repId ?? null,
+  flags: entry.flags || [],
+  reason: entry.reason || "",
+  pageCount: entry.pageCount,
+  lineCount: entry.lineCount || 0,
+  addsLoad: entry.addsLoad !== false,
+});
+
+const historyCase = (entry) => ({
+  id: entry.id,
+  label: entry.poNumber || entry.fileName,
+  routedAt: entry.routedAt,
+  fingerprint: entry.fingerprint || null,
+  data: entry.extraction,
+  holdReleased: Boolean(entry.holdReleased),
+  original: entry.route ? originalOf(entry) : null,
+});
+
+// Routed orders with a saved extraction, oldest first
+export const historyCases = (history) => history
+  .filter(entry => entry.extraction)
+  .sort((a, b) => new Date(a.routedAt) - new Date(b.routedAt))
+  .map(historyCase);
+
+// Raw model JSON gets the same checks a live extraction gets before routing
+const prepareExtraction = (raw) => {
+  const { data, warnings } = normalizeExtraction(raw);
+  const checked = applyPartGrammar(data);
+  const order = { ...checked.data, validationWarnings: [...warnings, ...checked.warnings] };
+  return { ...order, confidenceCheck: assessConfidence(order) };
+};
+
+// A saved JSON file holds a model extraction, a routed order (history entry), a list of
+// either, or a saved app state with a `history` list
+export const savedCases = (name, text) => {
+  const json = JSON.parse(text);
+  const items = Array.isArray(json) ? json : Array.isArray(json?.history) ? json.history : [json];
+  return items.map((item, i) => {
+    if (!item || typeof item !== "object") throw new Error(`${name}: entry ${i + 1} is not an object`);
+    const label = items.length > 1 ? `${name} #${i + 1}` : name;
+    if (item.extraction) return { ...historyCase(item), id: `${name}-${i}`, label: item.poNumber || label };
+    const data = prepareExtraction(item);
+    return { id: `${name}-${i}`, label: data.poNumber || label, routedAt: null, fingerprint: null, data, original: null };
+  });
+};
+
+// The desk an order lands on: the assignee's role, a department queue, or the review hold
+export const deskOf = (decision, team) => {
+  const rep = decision.repId != null ? team.find(m => m.id === decision.repId) : null;
+  if (rep) return rep.role;
+  if (decision.route === HOLD_ROUTE) return HOLD_ROUTE;
+  return decision.route.replace(/ Dept$/, "");
+};
+
+const compareCase = (testCase, decision, team) => {
+  const { original } = testCase;
+  const simulated = { route: decision.route, repId: decision.repId, flags: decision.flags, reason: decision.reason };
+  if (!original) return { id: testCase.id, label: testCase.label, original: null, simulated, changed: false };
+  const fromDesk = deskOf(original, team);
+  const toDesk = deskOf(decision, team);
+  const flagsAdded = decision.flags.filter(f => !original.flags.includes(f));
+  const flagsRemoved = original.flags.filter(f => !decision.flags.includes(f));
+  return {
+    id: testCase.id,
+    label: testCase.label,
+    original,
+    simulated,
+    changed: original.route !== decision.route,
+    deskChange: fromDesk !== toDesk ? { from: fromDesk, to: toDesk } : null,
+    flagsAdded,
+    flagsRemoved,
+  };
+};
+
+const loadOf = (member) => ({ cards: member.cards, pages: member.totalPages, lines: member.totalLines || 0 });
+
+// Returns { rows, deskMoves: [{ from, to, count }], loads: [{ id, name, role, start, original, simulated }], summary }
+export const simulateRouting = (cases, team, ruleSet, { customers = [] } = {}) => {
+  let simulatedTeam = team;
+  let originalTeam = team;
+  const replayed = [];
+
+  const rows = cases.map(testCase => {
+    const fingerprint = testCase.fingerprint || fingerprintOrder(testCase.data, { customers });
+    // Duplicates are judged against the replay so far, so they follow the simulated assignee
+    const duplicate = findDuplicate(replayed, fingerprint, testCase.data, customers);
+    const decision = determineRouting(testCase.data, simulatedTeam, ruleSet, {
+      customers, duplicate, holdReleased: testCase.holdReleased,
+    });
+    // Stamped with the original routing time so tie-breaks on last assignment replay faithfully
+    const assignedAt = testCase.routedAt || undefined;
+    simulatedTeam = applyAssignment(simulatedTeam, { ...decision, assignedAt });
+    if (testCase.original) originalTeam = applyAssignment(originalTeam, { ...testCase.original, assignedAt });
+    replayed.push({
+      id: testCase.id,
+      routedAt: testCase.routedAt,
+      fileName: testCase.label,
+      poNumber: testCase.data.poNumber,
+      route: decision.route,
+      repId: decision.repId,
+      fingerprint,
+      extraction: testCase.data,
+    });
+    return compareCase(testCase, decision, team);
+  });
+
+  const moves = new Map();
+  rows.filter(row => row.deskChange).forEach(({ deskChange: { from, to } }) => {
+    const key = `${from}\u0000${to}`;
+    moves.set(key, { from, to, count: (moves.get(key)?.count || 0) + 1 });
+  });
+
+  const compared = rows.filter(row => row.original);
+  return {
+    rows,
+    deskMoves: [...moves.values()].sort((a, b) => b.count - a.count),
+    loads: team.map(member => ({
+      id: member.id,
+      name: member.name,
+      role: member.role,
+      start: loadOf(member),
+      original: compared.length ? loadOf(originalTeam.find(m => m.id === member.id)) : null,
+      simulated: loadOf(simulatedTeam.find(m => m.id === member.id)),
+    })),
+    summary: {
+      orders: rows.length,
+      compared: compared.length,
+      changed: compared.filter(row => row.changed).length,
+      deskMoves: compared.filter(row => row.deskChange).length,
+      flagChanges: compared.filter(row => row.flagsAdded.length || row.flagsRemoved.length).length,
+    },
+  };
+};
+
+export const simulationCsv = ({ rows, loads }) => {
+  const out = [
+    ["Order", "Original Route", "Simulated Route", "Desk Change", "Flags Added", "Flags Removed", "Simulated Reason"],
+    ...rows.map(row => [
+      row.label,
+      row.original?.route || "",
+      row.simulated.route,
+      row.deskChange ? `${row.deskChange.from} -> ${row.deskChange.to}` : "",
+      (row.flagsAdded || []).join("; "),
+      (row.flagsRemoved || []).join("; "),
+      row.simulated.reason,
+    ]),
+    [],
+    ["Rep", "Role", "Start Cards", "Start Pages", "Original Cards", "Original Pages", "Simulated Cards", "Simulated Pages"],
+    ...loads.map(l => [
+      l.name, l.role, l.start.cards, l.start.pages,
+      l.original?.cards ?? "", l.original?.pages ?? "", l.simulated.cards, l.simulated.pages,
+    ]),
+  ];
+  return out.map(row => row.map(value => csvCell(String(value))).join(",")).join("\r\n");
+};
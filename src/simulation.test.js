@@ -0,0 +1,69 @@
+import { historyCases, savedCases, simulateRouting, startingTeam } from './simulation';
+import { DEFAULT_RULE_SET } from './routingRules';
+
+const team = [
+  { id: 1, name: 'Busy Rep', role: 'Order Entry', status: 'out', cards: 5, totalPages: 40 },
+  { id: 2, name: 'Light Rep', role: 'Order Entry', cards: 1, totalPages: 3 },
+  { id: 3, name: 'Key Rep', role: 'Intl/Keying', cards: 0, totalPages: 0 },
+];
+
+const extraction = (poNumber, prefixes) => ({
+  poNumber,
+  customerInfo: { name: 'Acme Doors' },
+  pageCount: 2,
+  lineItems: [{ lineNumber: '1', pageNumber: 1, partNumber: '8804 ETL', prefixes }],
+  pages: [],
+});
+
+const entry = (id, data, route, repId, flags = []) => ({
+  id, routedAt: `2026-10-0${id}T10:00:00.000Z`, poNumber: data.poNumber, fileName: `${id}.pdf`,
+  route, repId, flags, pageCount: 2, lineCount: 1, extraction: data,
+});
+
+test('starting team modes reset load and availability without touching the input', () => {
+  const start = startingTeam(team, { mode: 'empty', allAvailable: true });
+  expect(start[0]).toMatchObject({ cards: 0, totalPages: 0, status: 'available' });
+  expect(team[0]).toMatchObject({ cards: 5, status: 'out' });
+});
+
+test('replays history against candidate rules and reports desk moves, flags and load', () => {
+  const history = [
+    entry(2, extraction('PO-2', []), 'Light Rep', 2),
+    entry(1, extraction('PO-1', ['21']), 'Key Rep', 3),
+  ];
+  // Candidate drops 21 from the keying prefixes
+  const candidate = {
+    ...DEFAULT_RULE_SET,
+    rules: DEFAULT_RULE_SET.rules.map(rule => rule.id === 'keying-prefix'
+      ? { ...rule, conditions: { prefixes: rule.conditions.prefixes.filter(p => p !== '21') } }
+      : rule),
+  };
+  const before = JSON.stringify(team);
+  const result = simulateRouting(historyCases(history), team, candidate);
+
+  expect(result.rows.map(row => row.label)).toEqual(['PO-1', 'PO-2']);
+  expect(result.rows[0]).toMatchObject({ changed: true, deskChange: { from: 'Intl/Keying', to: 'Order Entry' } });
+  expect(result.rows[0].simulated.route).toBe('Light Rep');
+  expect(result.rows[1].changed).toBe(false);
+  expect(result.deskMoves).toEqual([{ from: 'Intl/Keying', to: 'Order Entry', count: 1 }]);
+  expect(result.summary).toMatchObject({ orders: 2, compared: 2, changed: 1, deskMoves: 1 });
+
+  const keyRep = result.loads.find(l => l.id === 3);
+  expect(keyRep.original.cards).toBe(1);
+  expect(keyRep.simulated.cards).toBe(0);
+  expect(result.loads.find(l => l.id === 2).simulated.cards).toBe(3);
+  expect(JSON.stringify(team)).toBe(before);
+});
+
+test('saved JSON files hold raw extractions, routed orders or lists of either', () => {
+  const raw = savedCases('po.json', JSON.stringify({ ...extraction('PO-9', ['21']), pageCount: '2' }));
+  expect(raw).toHaveLength(1);
+  expect(raw[0]).toMatchObject({ label: 'PO-9', original: null });
+  expect(raw[0].data.pageCount).toBe(2);
+  expect(raw[0].data.confidenceCheck).toBeDefined();
+
+  const list = savedCases('state.json', JSON.stringify({ history: [entry(1, extraction('PO-1', []), 'Light Rep', 2)] }));
+  expect(list[0].original).toMatchObject({ route: 'Light Rep', repId: 2 });
+
+  expect(() => savedCases('bad.json', '{nope')).toThrow(SyntaxError);
+});
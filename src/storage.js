@@ -0,0 +1,218 @@
+import { slaDueAt } from "./priority";
+
+// --- PERSISTENCE LAYER ---
+// Everything the dashboard needs to survive a reload lives under one localStorage key.
+// The stored blob carries a schemaVersion; on load it is walked forward through
+// MIGRATIONS one step at a time so older saves keep working after an upgrade.
+
+export const APP_VERSION = "2.4.0";
+export const SCHEMA_VERSION = 5;
+
+const STORAGE_KEY = "sargent-router:state";
+
+// MIGRATIONS[n] upgrades a blob from schema n to n + 1.
+// Version 0 is any blob written before versioning existed.
+export const MIGRATIONS = {
+  0: (state) => ({
+    team: state.team || null,
+    ruleSet: state.ruleSet || null,
+    history: Array.isArray(state.history) ? state.history : [],
+    currentOrder: state.currentOrder || null,
+    routingLog: state.routingLog || [],
+  }),
+  // v2: reps gained an availability status
+  1: (state) => ({
+    ...state,
+    team: state.team ? state.team.map(m => ({ status: "available", ...m })) : null,
+  }),
+  // v3: review audit trail and reviewer settings
+  2: (state) => ({
+    ...state,
+    reviewLog: [],
+    settings: { reviewer: "", ...state.settings },
+  }),
+  // v4: customer directory
+  3: (state) => ({
+    ...state,
+    customers: Array.isArray(state.customers) ? state.customers : [],
+  }),
+  // v5: routed orders became cards with a lifecycle status; everything already routed is open
+  4: (state) => ({
+    ...state,
+    history: (state.history || []).map(entry => ({
+      status: entry.enteredAt ? "entered" : "assigned",
+      statusLog: [],
+      closedAt: null,
+      lineCount: entry.extraction?.lineItems?.length || 0,
+      ...entry,
+    })),
+  }),
+};
+
+export const migrateState = (state) => {
+  let version = state.schemaVersion || 0;
+  let migrated = { ...state };
+  while (version < SCHEMA_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) throw new Error(`No migration from schema v${version}`);
+    migrated = migrate(migrated);
+    version++;
+  }
+  return { ...migrated, schemaVersion: SCHEMA_VERSION };
+};
+
+const getStorage = () => {
+  try {
+    return window.localStorage;
+  } catch (e) {
+    return null; // Private mode / disabled storage: run in-memory only
+  }
+};
+
+export const loadState = () => {
+  const storage = getStorage();
+  if (!storage) return null;
+  const raw = storage.getItem(STORAGE_KEY);
+  if (!raw) return null;
+
+  try {
+    const parsed = JSON.parse(raw);
+    if (parsed.schemaVersion > SCHEMA_VERSION) {
+      console.warn(`Saved data is from a newer version (schema v${parsed.schemaVersion}); ignoring it.`);
+      return null;
+    }
+    return migrateState(parsed);
+  } catch (e) {
+    console.error("Failed to load saved state:", e);
+    return null;
+  }
+};
+
+const isQuotaError = (e) =>
+  e && (e.name === "QuotaExceededError" || e.name === "NS_ERROR_DOM_QUOTA_REACHED");
+
+export const saveState = (state) => {
+  const storage = getStorage();
+  if (!storage) return;
+
+  let history = state.history || [];
+  // When storage fills up, drop the oldest half of the history until the blob fits
+  while (true) {
+    const blob = {
+      ...state,
+      history,
+      schemaVersion: SCHEMA_VERSION,
+      appVersion: APP_VERSION,
+      savedAt: new Date().toISOString(),
+    };
+    try {
+      storage.setItem(STORAGE_KEY, JSON.stringify(blob));
+      return;
+    } catch (e) {
+      if (!isQuotaError(e) || history.length === 0) {
+        console.error("Failed to save state:", e);
+        return;
+      }
+      console.warn(`Storage full; trimming ${Math.ceil(history.length / 2)} oldest history entries.`);
+      history = history.slice(Math.ceil(history.length / 2));
+    }
+  }
+};
+
+export const clearState = () => {
+  const storage = getStorage();
+  if (storage) storage.removeItem(STORAGE_KEY);
+};
+
+// --- PREFERENCES ---
+// Small per-screen settings (e.g. the ERP export layout) kept apart from the main blob,
+// so they survive RESET DATA and don't need a schema migration of their own.
+const PREF_PREFIX = "sargent-router:pref:";
+
+export const loadPreference = (key, fallback) => {
+  const storage = getStorage();
+  try {
+    const raw = storage && storage.getItem(PREF_PREFIX + key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (e) {
+    return fallback;
+  }
+};
+
+export const savePreference = (key, value) => {
+  const storage = getStorage();
+  try {
+    if (storage) storage.setItem(PREF_PREFIX + key, JSON.stringify(value));
+  } catch (e) {
+    console.error(`Failed to save preference ${key}:`, e);
+  }
+};
+
+// --- ROUTING HISTORY ---
+// Each entry doubles as the order's card (see cards.js). enteredAt is set once the order
+// is keyed into the ERP; it stops the SLA clock.
+let historySeq = 0;
+
+// `fingerprint` comes from duplicates.js and is what later orders are checked against
+export const createHistoryEntry = (extractedData, decision, fileName, fingerprint = null) => {
+  const routedAt = new Date().toISOString();
+  return {
+    id: `${Date.now()}-${historySeq++}`,
+    routedAt,
+    appVersion: APP_VERSION,
+    fileName,
+    poNumber: extractedData.poNumber || null,
+    customerName: decision.customerName || extractedData.customerInfo?.name || null,
+    customerId: decision.customerId || null,
+    route: decision.route,
+    repId: decision.repId,
+    reason: decision.reason,
+    reasonCategory: decision.reasonCategory || null,
+    evidence: decision.evidence,
+    flags: decision.flags,
+    pageCount: decision.pageCount,
+    lineCount: decision.lineCount || 0,
+    duplicateOf: decision.duplicate ? decision.duplicate.historyId : null,
+    addsLoad: decision.addsLoad !== false,
+    documentType: decision.documentType || "standard_po",
+    priority: decision.priority || "standard",
+    slaDueAt: slaDueAt(routedAt, decision.priority),
+    enteredAt: null,
+    status: "assigned",
+    statusLog: [],
+    closedAt: null,
+    holdReleased: null,
+    fingerprint,
+    extraction: extractedData,
+  };
+};
+
+// --- REVIEW AUDIT TRAIL ---
+// One entry per human action on a verdict. `from` is the decision as it stood before the
+// action and `to` what it became, so accepts have from === to.
+export const REVIEW_ACTIONS = ["accept", "reassign", "rerun", "release"];
+
+export const createReviewEntry = ({ action, historyId, poNumber, from, to, by, reason }) => ({
+  id: `${Date.now()}-${historySeq++}`,
+  at: new Date().toISOString(),
+  action,
+  historyId,
+  poNumber: poNumber || null,
+  from: { route: from.route, repId: from.repId ?? null, reason: from.reason },
+  to: { route: to.route, repId: to.repId ?? null, reason: to.reason },
+  // Releasing a hold carries out the engine's own pick, so it isn't an override
+  changed: action !== "release" && from.route !== to.route,
+  by,
+  reason,
+});
+
+// Share of reviewed orders whose assignee was changed by a person
+export const overrideRate = (reviewLog) => {
+  const changedByOrder = new Map();
+  (reviewLog || []).forEach(entry => {
+    changedByOrder.set(entry.historyId, Boolean(changedByOrder.get(entry.historyId)) || entry.changed);
+  });
+  const reviewed = changedByOrder.size;
+  const overridden = [...changedByOrder.values()].filter(Boolean).length;
+  return { reviewed, overridden, rate: reviewed ? overridden / reviewed : 0 };
+};
@@ -0,0 +1,49 @@
+import { SCHEMA_VERSION, clearState, createReviewEntry, loadState, migrateState, overrideRate, saveState } from './storage';
+
+afterEach(() => clearState());
+
+test('round-trips state through localStorage with version stamps', () => {
+  saveState({ team: [{ id: 1, name: 'Rep', cards: 2, totalPages: 9 }], history: [{ id: 'a' }] });
+  const loaded = loadState();
+  expect(loaded.schemaVersion).toBe(SCHEMA_VERSION);
+  expect(loaded.appVersion).toBeDefined();
+  expect(loaded.team[0].totalPages).toBe(9);
+  expect(loaded.history).toHaveLength(1);
+});
+
+test('migrates unversioned saves forward', () => {
+  const migrated = migrateState({ team: [], history: 'bad' });
+  expect(migrated.schemaVersion).toBe(SCHEMA_VERSION);
+  expect(migrated.history).toEqual([]);
+});
+
+test('adds an availability status to reps saved under schema v1', () => {
+  const migrated = migrateState({ schemaVersion: 1, team: [{ id: 1, name: 'Rep' }, { id: 2, status: 'out' }] });
+  expect(migrated.team.map(m => m.status)).toEqual(['available', 'out']);
+});
+
+test('ignores corrupt or newer saves', () => {
+  window.localStorage.setItem('sargent-router:state', '{not json');
+  expect(loadState()).toBeNull();
+  window.localStorage.setItem('sargent-router:state', JSON.stringify({ schemaVersion: SCHEMA_VERSION + 1 }));
+  expect(loadState()).toBeNull();
+});
+
+test('override rate counts each reviewed order once', () => {
+  const decision = (route) => ({ route, repId: null, reason: 'x' });
+  const log = [
+    createReviewEntry({ action: 'accept', historyId: 'a', from: decision('A'), to: decision('A'), by: 'Sup', reason: '' }),
+    createReviewEntry({ action: 'reassign', historyId: 'b', from: decision('A'), to: decision('B'), by: 'Sup', reason: 'keying miss' }),
+    createReviewEntry({ action: 'accept', historyId: 'b', from: decision('B'), to: decision('B'), by: 'Sup', reason: '' }),
+  ];
+  expect(overrideRate(log)).toEqual({ reviewed: 2, overridden: 1, rate: 0.5 });
+});
+
+test('turns routed orders saved under schema v4 into open cards', () => {
+  const migrated = migrateState({
+    schemaVersion: 4,
+    history: [{ id: 'a', extraction: { lineItems: [{}, {}] } }, { id: 'b', enteredAt: '2024-01-01T00:00:00Z' }],
+  });
+  expect(migrated.history.map(e => e.status)).toEqual(['assigned', 'entered']);
+  expect(migrated.history[0].lineCount).toBe(2);
+});
@@ -0,0 +1,175 @@
+// --- SYNC CLIENT ---
+// Talks to server/syncServer.js when REACT_APP_SYNC_URL is set. Without it the app keeps its
+// team and history in this browser only.
+// commit(mutate) is optimistic: mutate(state) returns { team?, history? } computed from the
+// latest server state, and if someone else committed first it runs again on their result.
+// mutate may therefore run more than once and must not have side effects beyond its result.
+// Only what changed goes over the wire: the result is diffed against the state it was computed
+// from into a list of changes (see diffShared), so a commit stays small however long the
+// history grows. The server sends other dashboards' commits back the same way.
+
+export const SYNC_URL = (process.env.REACT_APP_SYNC_URL || "").replace(/\/$/, "");
+
+export const SYNC_STATUSES = {
+  local: { label: "LOCAL ONLY", title: "No sync server configured; load and history live in this browser." },
+  connecting: { label: "CONNECTING...", title: "Connecting to the sync server." },
+  live: { label: "SYSTEM ACTIVE", title: "Connected. Every dashboard sees the same load." },
+  offline: { label: "SYNC OFFLINE", title: "Lost the sync server. Retrying; routing is paused until it's back." },
+};
+
+export const MAX_COMMIT_TRIES = 5;
+
+const LOAD_FIELDS = ["cards", "totalPages", "totalLines", "flagCounts", "lastAssignedAt"];
+
+// A roster edit is made on the team as it was shown (`shown`) but committed on the server's
+// latest team. Reps whose load the edit didn't touch keep the latest load, so an order
+// another dashboard assigned in the meantime isn't wiped out by a rename.
+export const rebaseRosterEdit = (edited, shown, latest) => edited.map(member => {
+  const before = shown.find(m => m.id === member.id);
+  const now = latest.find(m => m.id === member.id);
+  if (!before || !now || LOAD_FIELDS.some(field => member[field] !== before[field])) return member;
+  const load = {};
+  LOAD_FIELDS.forEach(field => {
+    if (field in now) load[field] = now[field];
+  });
+  return { ...member, ...load };
+});
+
+// Changes between two { team, history } states, keyed on history entry id:
+//   { op: "team", team }                 the whole roster (it's small)
+//   { op: "add", entry }                 a new history entry, appended
+//   { op: "patch", id, changes }         the fields of an entry that changed
+//   { op: "remove", id } / { op: "clear" }
+// `next` holds only the slices mutate returned; a slice it didn't return is unchanged.
+export const diffShared = (base, next) => {
+  const changes = [];
+  if (next.team !== undefined && next.team !== base.team) changes.push({ op: "team", team: next.team });
+  if (next.history === undefined || next.history === base.history) return changes;
+  if (!next.history.length) return base.history.length ? [...changes, { op: "clear" }] : changes;
+
+  const before = new Map(base.history.map(entry => [entry.id, entry]));
+  const kept = new Set(next.history.map(entry => entry.id));
+  base.history.forEach(entry => {
+    if (!kept.has(entry.id)) changes.push({ op: "remove", id: entry.id });
+  });
+  next.history.forEach(entry => {
+    const old = before.get(entry.id);
+    if (!old) {
+      changes.push({ op: "add", entry });
+      return;
+    }
+    if (old === entry) return;
+    const fields = {};
+    Object.keys(entry).forEach(key => {
+      if (entry[key] !== old[key]) fields[key] = entry[key];
+    });
+    if (Object.keys(fields).length) changes.push({ op: "patch", id: entry.id, changes: fields });
+  });
+  return changes;
+};
+
+// The same rules as applyChanges in server/syncServer.js
+export const applyChanges = (state, changes, version) => {
+  let team = state.team;
+  let history = state.history.slice();
+  changes.forEach(change => {
+    if (change.op === "team") team = change.team;
+    else if (change.op === "add") history.push(change.entry);
+    else if (change.op === "remove") history = history.filter(entry => entry.id !== change.id);
+    else if (change.op === "clear") history = [];
+    else if (change.op === "patch") {
+      const index = history.findIndex(entry => entry.id === change.id);
+      if (index >= 0) history[index] = { ...history[index], ...change.changes };
+    }
+  });
+  return { version, team, history };
+};
+
+export const createSyncClient = (baseUrl, { EventSourceImpl = window.EventSource } = {}) => {
+  let current = null;
+
+  const accept = (state) => {
+    // The event stream and commit replies can arrive out of order; never step back
+    if (!current || state.version >= current.version) current = state;
+    return current;
+  };
+
+  // A delta is { version, changes } and only applies on top of the version just before it.
+  // Returns "applied", "old" (already have it) or "gap" (missed one; fetch the full state).
+  const applyDelta = (delta) => {
+    if (delta.version <= current.version) return "old";
+    if (delta.version !== current.version + 1) return "gap";
+    current = applyChanges(current, delta.changes, delta.version);
+    return "applied";
+  };
+
+  const resync = async () => {
+    const response = await fetch(`${baseUrl}/api/state`);
+    if (!response.ok) throw new Error(`Sync server answered HTTP ${response.status}`);
+    return accept(await response.json());
+  };
+
+  // onState(state) on every newer state, onStatus(status, clients) on connection changes.
+  // Returns a function that closes the stream.
+  const connect = (onState, onStatus) => {
+    onStatus("connecting");
+    const source = new EventSourceImpl(`${baseUrl}/api/events`);
+    source.addEventListener("state", (e) => {
+      const state = JSON.parse(e.data);
+      if (accept(state) === state) onState(state);
+      onStatus("live");
+    });
+    source.addEventListener("delta", (e) => {
+      if (!current) return;
+      const result = applyDelta(JSON.parse(e.data));
+      if (result === "applied") onState(current);
+      if (result === "gap") resync().then(onState).catch(() => onStatus("offline"));
+    });
+    source.addEventListener("presence", (e) => onStatus("live", JSON.parse(e.data).clients));
+    // EventSource reconnects by itself; the next "state" event brings the status back
+    source.onerror = () => onStatus("offline");
+    return () => source.close();
+  };
+
+  const post = async (body) => {
+    const response = await fetch(`${baseUrl}/api/commit`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    const reply = await response.json().catch(() => ({}));
+    if (response.status === 409) return { conflict: true, ...reply };
+    if (!response.ok) throw new Error(reply.error || `Sync server answered HTTP ${response.status}`);
+    return { conflict: false, ...reply };
+  };
+
+  // A 409 carries the commits made since our base (or the full state, when the server no
+  // longer has them all); apply them so the retry starts from the winning state
+  const catchUp = async ({ state, deltas = [] }) => {
+    if (state) {
+      accept(state);
+      return;
+    }
+    if (deltas.some(delta => applyDelta(delta) === "gap")) await resync();
+  };
+
+  // Resolves with the committed state
+  const commit = async (mutate) => {
+    if (!current) throw new Error("Not connected to the sync server yet.");
+    for (let attempt = 0; attempt < MAX_COMMIT_TRIES; attempt++) {
+      const base = current;
+      const changes = diffShared(base, mutate(base));
+      if (!changes.length) return current;
+      const reply = await post({ baseVersion: base.version, changes });
+      if (!reply.conflict) {
+        // The event stream may already have brought our own commit back
+        if (current.version === base.version) current = applyChanges(base, changes, reply.version);
+        return current;
+      }
+      await catchUp(reply);
+    }
+    throw new Error(`Gave up after ${MAX_COMMIT_TRIES} conflicting updates. Try again.`);
+  };
+
+  return { connect, commit, current: () => current };
+};
@@ -0,0 +1,126 @@
+import { createSyncClient, diffShared, rebaseRosterEdit } from './syncClient';
+
+class FakeEventSource {
+  constructor(url) {
+    this.url = url;
+    this.listeners = {};
+    FakeEventSource.last = this;
+  }
+  addEventListener(type, fn) { this.listeners[type] = fn; }
+  emit(type, data) { this.listeners[type]({ data: JSON.stringify(data) }); }
+  close() { this.closed = true; }
+}
+
+const reply = (status, body) => ({ ok: status < 300, status, json: async () => body });
+
+test('a conflicting commit re-runs the change on the winning state', async () => {
+  const client = createSyncClient('http://sync:4000', { EventSourceImpl: FakeEventSource });
+  const states = [];
+  const statuses = [];
+  const close = client.connect(state => states.push(state), status => statuses.push(status));
+  FakeEventSource.last.emit('state', { version: 3, team: [{ id: 1, cards: 0 }], history: [] });
+  expect(states).toHaveLength(1);
+  expect(statuses).toEqual(['connecting', 'live']);
+
+  // Another dashboard assigned a card to rep 1 first
+  const winner = { version: 4, team: [{ id: 1, cards: 1 }], history: [] };
+  const originalFetch = global.fetch;
+  global.fetch = jest.fn()
+    .mockResolvedValueOnce(reply(409, { error: 'stale', deltas: [{ version: 4, changes: [{ op: 'team', team: winner.team }] }] }))
+    .mockImplementationOnce(async (url, { body }) => reply(200, { version: JSON.parse(body).baseVersion + 1 }));
+  try {
+    const seen = [];
+    const state = await client.commit(base => {
+      seen.push(base.version);
+      return { team: base.team.map(m => ({ ...m, cards: m.cards + 1 })) };
+    });
+    expect(seen).toEqual([3, 4]);
+    expect(state).toEqual({ version: 5, team: [{ id: 1, cards: 2 }], history: [] });
+    expect(global.fetch.mock.calls[0][0]).toBe('http://sync:4000/api/commit');
+    expect(JSON.parse(global.fetch.mock.calls[1][1].body).changes).toEqual([{ op: 'team', team: [{ id: 1, cards: 2 }] }]);
+  } finally {
+    global.fetch = originalFetch;
+  }
+
+  // A late event for an older version doesn't roll the dashboard back
+  FakeEventSource.last.emit('state', winner);
+  expect(states).toHaveLength(1);
+  close();
+  expect(FakeEventSource.last.closed).toBe(true);
+});
+
+test('commits send only what changed, however large the history', async () => {
+  // Well past the server's 10 MB body limit if the history went over the wire
+  const extraction = 'x'.repeat(1024 * 1024);
+  const history = Array.from({ length: 12 }, (_, i) => ({ id: `o${i}`, route: 'Ana', extraction }));
+  const client = createSyncClient('http://sync:4000', { EventSourceImpl: FakeEventSource });
+  client.connect(() => {}, () => {});
+  FakeEventSource.last.emit('state', { version: 7, team: [{ id: 1, cards: 12 }], history });
+
+  const originalFetch = global.fetch;
+  global.fetch = jest.fn(async () => reply(200, { version: 8 }));
+  try {
+    const state = await client.commit(base => ({
+      team: base.team.map(m => ({ ...m, cards: m.cards + 1 })),
+      history: [
+        ...base.history.map(entry => (entry.id === 'o3' ? { ...entry, closedAt: '2026-10-19T10:00:00Z' } : entry)),
+        { id: 'o12', route: 'Ana' },
+      ],
+    }));
+    const { body } = global.fetch.mock.calls[0][1];
+    expect(body.length).toBeLessThan(1024);
+    expect(JSON.parse(body)).toEqual({
+      baseVersion: 7,
+      changes: [
+        { op: 'team', team: [{ id: 1, cards: 13 }] },
+        { op: 'patch', id: 'o3', changes: { closedAt: '2026-10-19T10:00:00Z' } },
+        { op: 'add', entry: { id: 'o12', route: 'Ana' } },
+      ],
+    });
+    expect(state.version).toBe(8);
+    expect(state.history).toHaveLength(13);
+    expect(state.history[3]).toEqual({ id: 'o3', route: 'Ana', extraction, closedAt: '2026-10-19T10:00:00Z' });
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
+
+test('other dashboards\' commits arrive as deltas; a missed one fetches the full state', async () => {
+  const client = createSyncClient('http://sync:4000', { EventSourceImpl: FakeEventSource });
+  const states = [];
+  client.connect(state => states.push(state), () => {});
+  FakeEventSource.last.emit('state', { version: 1, team: [{ id: 1 }], history: [{ id: 'a', route: 'Ana' }] });
+  FakeEventSource.last.emit('delta', { version: 2, changes: [{ op: 'patch', id: 'a', changes: { route: 'Bo' } }] });
+  FakeEventSource.last.emit('delta', { version: 2, changes: [{ op: 'clear' }] });
+  expect(states).toHaveLength(2);
+  expect(client.current()).toEqual({ version: 2, team: [{ id: 1 }], history: [{ id: 'a', route: 'Bo' }] });
+
+  const latest = { version: 5, team: [{ id: 1 }], history: [] };
+  const originalFetch = global.fetch;
+  global.fetch = jest.fn(async () => reply(200, latest));
+  try {
+    FakeEventSource.last.emit('delta', { version: 4, changes: [{ op: 'clear' }] });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(global.fetch).toHaveBeenCalledWith('http://sync:4000/api/state');
+    expect(states[2]).toEqual(latest);
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
+
+test('unchanged slices produce no changes', () => {
+  const base = { version: 1, team: [{ id: 1 }], history: [{ id: 'a' }] };
+  expect(diffShared(base, {})).toEqual([]);
+  expect(diffShared(base, { team: base.team, history: [...base.history] })).toEqual([]);
+  expect(diffShared(base, { history: [] })).toEqual([{ op: 'clear' }]);
+});
+
+test('roster edits keep load added elsewhere unless they change it', () => {
+  const shown = [{ id: 1, name: 'Ana', cards: 2, totalPages: 10 }, { id: 2, name: 'Bo', cards: 0, totalPages: 0 }];
+  const latest = [{ id: 1, name: 'Ana', cards: 3, totalPages: 14 }, { id: 2, name: 'Bo', cards: 1, totalPages: 2 }];
+  const edited = [{ ...shown[0], name: 'Ana R.' }, { ...shown[1], cards: 5 }];
+  expect(rebaseRosterEdit(edited, shown, latest)).toEqual([
+    { id: 1, name: 'Ana R.', cards: 3, totalPages: 14 },
+    { id: 2, name: 'Bo', cards: 5, totalPages: 0 },
+  ]);
+});
@@ -0,0 +1,83 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { createSyncServer } from '../server/syncServer';
+
+const request = (server, method, body) => new Promise((resolve, reject) => {
+  const req = http.request(
+    { host: '127.0.0.1', port: server.address().port, method, path: method === 'POST' ? '/api/commit' : '/api/state' },
+    res => {
+      let text = '';
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(text) }));
+    }
+  );
+  req.on('error', reject);
+  if (body !== undefined) req.write(body);
+  req.end();
+});
+
+const commit = (server, body) => request(server, 'POST', JSON.stringify(body));
+
+let dir;
+let server;
+
+const start = () => new Promise(resolve => {
+  server = createSyncServer({ dataFile: path.join(dir, 'sync-data.json') });
+  server.listen(0, '127.0.0.1', resolve);
+});
+
+const stop = () => new Promise(resolve => server.close(resolve));
+
+beforeEach(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-'));
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  await start();
+});
+
+afterEach(async () => {
+  await stop();
+  console.error.mockRestore();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a commit against a stale version is refused with the commits it missed', async () => {
+  expect(await commit(server, { baseVersion: 0, changes: [{ op: 'team', team: [{ id: 1, cards: 0 }] }] }))
+    .toEqual({ status: 200, body: { version: 1 } });
+  const winner = { baseVersion: 1, changes: [{ op: 'team', team: [{ id: 1, cards: 1 }] }] };
+  expect((await commit(server, winner)).status).toBe(200);
+
+  const stale = await commit(server, { baseVersion: 1, changes: [{ op: 'team', team: [] }] });
+  expect(stale.status).toBe(409);
+  expect(stale.body.deltas).toEqual([{ version: 2, changes: winner.changes }]);
+  expect((await request(server, 'GET')).body.team).toEqual([{ id: 1, cards: 1 }]);
+});
+
+test('bad bodies get a 400 and the server keeps serving', async () => {
+  expect((await request(server, 'POST', 'null')).status).toBe(400);
+  expect((await request(server, 'POST', '[1]')).status).toBe(400);
+  expect((await request(server, 'POST', '{not json')).status).toBe(400);
+  expect((await commit(server, { baseVersion: 0 })).status).toBe(400);
+  expect((await commit(server, { baseVersion: 0, changes: [{ op: 'patch', id: 'nope', changes: {} }] })).status).toBe(400);
+  expect((await commit(server, { baseVersion: 0, changes: [{ op: 'add', entry: { id: 'a' } }] })).status).toBe(200);
+});
+
+test('a restart replays the journal, skipping a torn last line', async () => {
+  await commit(server, { baseVersion: 0, changes: [{ op: 'add', entry: { id: 'a', route: 'Ana' } }] });
+  await commit(server, { baseVersion: 1, changes: [{ op: 'patch', id: 'a', changes: { route: 'Bo' } }] });
+  await stop();
+
+  const dataFile = path.join(dir, 'sync-data.json');
+  // Only the startup snapshot is on disk; both commits live in the journal
+  expect(JSON.parse(fs.readFileSync(dataFile, 'utf8')).version).toBe(0);
+  fs.appendFileSync(`${dataFile}.journal`, '{"version":3,"chan');
+
+  await start();
+  expect((await request(server, 'GET')).body).toEqual({ version: 2, team: null, history: [{ id: 'a', route: 'Bo' }] });
+  expect(JSON.parse(fs.readFileSync(dataFile, 'utf8')).version).toBe(2);
+  expect(fs.readFileSync(`${dataFile}.journal`, 'utf8')).toBe('');
+});
@@ -0,0 +1,40 @@
+// --- TEAM ROSTER ---
+export const ROLES = ["Order Entry", "Intl/Keying", "Chargebacks", "Quotes"];
+
+export const REP_STATUSES = [
+  { value: "available", label: "Available" },
+  { value: "out", label: "Out of Office" },
+  { value: "lunch", label: "At Lunch" },
+  { value: "capacity", label: "At Capacity" },
+];
+
+// Colors updated to "Neon" versions for dark mode
+export const REP_COLORS = ["#3b82f6", "#10b981", "#ec4899", "#06b6d4", "#84cc16", "#8b5cf6", "#f59e0b", "#ef4444"];
+
+// --- MOCK INITIAL TEAM STATE ---
+export const INITIAL_TEAM = [
+  { id: 1, name: "Hector Origel", role: "Order Entry", status: "available", cards: 5, totalPages: 45, color: "#3b82f6", priorityTiers: ["dpas", "quick-ship", "expedite"] },
+  { id: 2, name: "Jairo Figueroa", role: "Order Entry", status: "available", cards: 4, totalPages: 25, color: "#10b981" },
+  { id: 5, name: "Claudia Franco", role: "Order Entry", status: "available", cards: 9, totalPages: 12, color: "#ec4899", priorityTiers: ["quick-ship", "expedite"] },
+  { id: 6, name: "Emmanuel Rojas", role: "Order Entry", status: "available", cards: 3, totalPages: 30, color: "#06b6d4", priorityTiers: ["dpas", "expedite"] },
+  { id: 7, name: "Paulina Lobo", role: "Order Entry", status: "available", cards: 0, totalPages: 0, color: "#84cc16" },
+  { id: 3, name: "Maureen Thompson", role: "Intl/Keying", status: "available", cards: 12, totalPages: 60, color: "#8b5cf6" },
+  { id: 4, name: "Susan Alpert", role: "Chargebacks", status: "available", cards: 2, totalPages: 5, color: "#f59e0b" },
+];
+
+// Reps saved before statuses existed have no status field and count as available
+export const isAvailable = (member) => !member.status || member.status === "available";
+
+export const statusLabel = (status) =>
+  (REP_STATUSES.find(s => s.value === status) || REP_STATUSES[0]).label;
+
+export const createRep = (team) => ({
+  id: team.reduce((max, m) => Math.max(max, m.id), 0) + 1,
+  name: "New Rep",
+  role: "Order Entry",
+  status: "available",
+  cards: 0,
+  totalPages: 0,
+  priorityTiers: [],
+  color: REP_COLORS[team.length % REP_COLORS.length],
+});